@@ -58,6 +58,8 @@ interface ArrowProps {
     headShape?: HeadShape;
     headSize?: number;
     headFill?: boolean;
+    /** Width (px) of an invisible stroke along the line that takes pointer events */
+    hitWidth?: number;
     class?: string;
 }
 
@@ -800,6 +802,17 @@ export function Arrow(props: ArrowProps): JSX.Element {
             data-to={props.toId}
             class={props.class}
         >
+            {/* Hit area - a thin line is hard to point at */}
+            {props.hitWidth && (
+                <path
+                    class="arrow-hit-area"
+                    d={paths().linePath}
+                    fill="none"
+                    stroke="transparent"
+                    stroke-width={props.hitWidth}
+                    pointer-events="stroke"
+                />
+            )}
             {/* Line path - stroke only, no fill */}
             <path
                 d={paths().linePath}
@@ -2,6 +2,7 @@ import { For, createMemo, untrack, JSX } from 'solid-js';
 import { Arrow } from './Arrow';
 import type { AnchorType, RoutingType, HeadShape } from './Arrow';
 import { prof } from '../utils/profiler';
+import { relationshipKey } from '../utils/criticalPath';
 import type { TaskStore } from '../stores/taskStore';
 import type { Relationship, BarPosition, DependencyType } from '../types';
 
@@ -43,6 +44,8 @@ interface ArrowConfig {
     headShape?: HeadShape;
     headSize?: number;
     headFill?: boolean;
+    criticalStroke?: string;
+    criticalStrokeWidth?: number;
 }
 
 interface ArrowLayerProps {
@@ -50,7 +53,12 @@ interface ArrowLayerProps {
     taskStore?: TaskStore;
     startRow?: number;
     endRow?: number;
+    rowHeight?: number;
     arrowConfig?: ArrowConfig;
+    /** Relationship keys (`from->to`) to highlight as critical */
+    criticalRelationships?: Set<string>;
+    /** Make arrows pointer targets this wide (px), e.g. for context menus */
+    hitWidth?: number;
 }
 
 /**
@@ -129,7 +137,7 @@ export function ArrowLayer(props: ArrowLayerProps): JSX.Element {
             return all;
         }
 
-        const rowHeight = 38;
+        const rowHeight = props.rowHeight ?? 38;
         const positions = positionMap();
 
         return all.filter((dep) => {
@@ -153,6 +161,10 @@ export function ArrowLayer(props: ArrowLayerProps): JSX.Element {
     // Arrow configuration from props or defaults
     const arrowConfig = (): ArrowConfig => props.arrowConfig || {};
 
+    // Critical dependencies override the per-arrow stroke
+    const isCritical = (dep: CachedDependency): boolean =>
+        !!props.criticalRelationships?.has(relationshipKey({ from: dep.fromId, to: dep.toId }));
+
     // Position map for Arrow components
     const arrowPositionMap = (): Map<string, BarPosition> | null => {
         const isDragging = props.taskStore?.draggingTaskId?.();
@@ -176,8 +188,16 @@ export function ArrowLayer(props: ArrowLayerProps): JSX.Element {
                         endOffset={dep.endOffset ?? arrowConfig().endOffset ?? 0.5}
                         routing={dep.routing || arrowConfig().routing || 'orthogonal'}
                         curveRadius={dep.curveRadius ?? arrowConfig().curveRadius ?? 5}
-                        stroke={dep.stroke || arrowConfig().stroke || '#666'}
-                        strokeWidth={dep.strokeWidth ?? arrowConfig().strokeWidth ?? 1.4}
+                        stroke={
+                            isCritical(dep)
+                                ? arrowConfig().criticalStroke || '#e74c3c'
+                                : dep.stroke || arrowConfig().stroke || '#666'
+                        }
+                        strokeWidth={
+                            isCritical(dep)
+                                ? arrowConfig().criticalStrokeWidth ?? 2
+                                : dep.strokeWidth ?? arrowConfig().strokeWidth ?? 1.4
+                        }
                         strokeOpacity={dep.strokeOpacity ?? arrowConfig().strokeOpacity ?? 1}
                         strokeDasharray={dep.strokeDasharray || arrowConfig().strokeDasharray}
                         strokeLinecap={dep.strokeLinecap || arrowConfig().strokeLinecap || 'round'}
@@ -185,6 +205,7 @@ export function ArrowLayer(props: ArrowLayerProps): JSX.Element {
                         headShape={dep.headShape || arrowConfig().headShape || 'chevron'}
                         headSize={dep.headSize ?? arrowConfig().headSize ?? 5}
                         headFill={dep.headFill ?? arrowConfig().headFill ?? false}
+                        hitWidth={props.hitWidth}
                     />
                 )}
             </For>
@@ -1,5 +1,6 @@
 import { createMemo, untrack, For, JSX } from 'solid-js';
 import type { TaskStore } from '../stores/taskStore';
+import { relationshipKey } from '../utils/criticalPath';
 import type { Relationship, BarPosition, DependencyType } from '../types';
 
 /**
@@ -8,7 +9,7 @@ import type { Relationship, BarPosition, DependencyType } from '../types';
  * Trade-offs vs ArrowLayer:
  * - DOM Elements: 2 paths total (vs 2N for N arrows)
  * - Reconciliation: Single update (vs N component updates)
- * - Per-arrow styling: NO (uniform stroke/fill)
+ * - Per-arrow styling: NO (style groups only, e.g. critical path)
  * - Per-arrow hover: NO (no individual interaction)
  * - Per-arrow selection: NO
  *
@@ -27,6 +28,8 @@ interface ArrowConfig {
     stroke?: string;
     strokeWidth?: number;
     strokeOpacity?: number;
+    criticalStroke?: string;
+    criticalStrokeWidth?: number;
 }
 
 interface ArrowLayerBatchedProps {
@@ -34,10 +37,13 @@ interface ArrowLayerBatchedProps {
     taskStore?: TaskStore;
     startRow?: number;
     endRow?: number;
+    rowHeight?: number;
     startX?: number;
     endX?: number;
     positionVersion?: number;
     arrowConfig?: ArrowConfig;
+    /** Relationship keys (`from->to`) to draw in the critical style group */
+    criticalRelationships?: Set<string>;
 }
 
 interface ArrowPaths {
@@ -56,6 +62,7 @@ interface CachedPosition {
     type: DependencyType;
     strokeDasharray?: string;
     stroke?: string;
+    critical?: boolean;
 }
 
 interface StyleGroup {
@@ -64,6 +71,7 @@ interface StyleGroup {
     heads: string;
     dasharray: string;
     stroke?: string;
+    critical?: boolean;
 }
 
 type AnchorType = 'top' | 'bottom' | 'left' | 'right';
@@ -78,6 +86,8 @@ const DEFAULTS = {
     STROKE: '#666',
     STROKE_WIDTH: 1.4,
     STROKE_OPACITY: 1,
+    CRITICAL_STROKE: '#e74c3c',
+    CRITICAL_STROKE_WIDTH: 2,
     STROKE_LINECAP: 'round',
     STROKE_LINEJOIN: 'round',
     HEAD_SIZE: 5,
@@ -269,11 +279,14 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
         props.arrowConfig?.strokeWidth ?? DEFAULTS.STROKE_WIDTH;
     const strokeOpacity = (): number =>
         props.arrowConfig?.strokeOpacity ?? DEFAULTS.STROKE_OPACITY;
+    const criticalStroke = (): string => props.arrowConfig?.criticalStroke ?? DEFAULTS.CRITICAL_STROKE;
+    const criticalStrokeWidth = (): number =>
+        props.arrowConfig?.criticalStrokeWidth ?? DEFAULTS.CRITICAL_STROKE_WIDTH;
 
     // Viewport bounds for filtering (Y-axis)
     const startRow = (): number => props.startRow ?? 0;
     const endRow = (): number => props.endRow ?? Infinity;
-    const rowHeight = (): number => 38;
+    const rowHeight = (): number => props.rowHeight ?? 38;
 
     // Viewport bounds for filtering (X-axis)
     const startX = (): number => props.startX ?? 0;
@@ -305,6 +318,9 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
         // This prop is incremented by GanttPerfIsolate whenever updateBarPosition is called
         const _pv = props.positionVersion;
 
+        // Critical set changes the style grouping, so it also invalidates the caches
+        const critical = props.criticalRelationships;
+
         // Clear path cache when positions change (task drag, resize, load)
         arrowPathCache.clear();
         lastVisibleSet = new Set();
@@ -331,6 +347,7 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
                 from: fromPos,
                 to: toPos,
                 type: rel.type || 'FS',
+                critical: critical?.has(relationshipKey(rel)) ?? false,
             });
 
             // Index by row range
@@ -405,8 +422,11 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
         lastVisibleSet = new Set(visibleIndices);
 
         // Build paths using per-arrow cache, grouped by style
-        // styleKey = strokeDasharray|stroke
-        const styleGroups = new Map<string, { lines: string[]; heads: string[]; dasharray: string; stroke?: string }>();
+        // styleKey = strokeDasharray|stroke|critical
+        const styleGroups = new Map<
+            string,
+            { lines: string[]; heads: string[]; dasharray: string; stroke?: string; critical?: boolean }
+        >();
 
         for (const idx of visibleIndices) {
             const pos = positions.get(idx);
@@ -421,13 +441,14 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
 
             if (cached) {
                 // Group by style
-                const styleKey = `${pos.strokeDasharray || ''}|${pos.stroke || ''}`;
+                const styleKey = `${pos.strokeDasharray || ''}|${pos.stroke || ''}|${pos.critical ? 'critical' : ''}`;
                 if (!styleGroups.has(styleKey)) {
                     styleGroups.set(styleKey, {
                         lines: [],
                         heads: [],
                         dasharray: pos.strokeDasharray || '',
                         stroke: pos.stroke,
+                        critical: pos.critical,
                     });
                 }
                 const group = styleGroups.get(styleKey)!;
@@ -445,6 +466,7 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
                 heads: group.heads.join(' '),
                 dasharray: group.dasharray,
                 stroke: group.stroke,
+                critical: group.critical,
             });
         }
 
@@ -461,8 +483,8 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
                         <path
                             d={group.lines}
                             fill="none"
-                            stroke={group.stroke || stroke()}
-                            stroke-width={strokeWidth()}
+                            stroke={group.critical ? criticalStroke() : group.stroke || stroke()}
+                            stroke-width={group.critical ? criticalStrokeWidth() : strokeWidth()}
                             stroke-opacity={strokeOpacity()}
                             stroke-linecap="round"
                             stroke-linejoin="round"
@@ -472,8 +494,8 @@ export function ArrowLayerBatched(props: ArrowLayerBatchedProps): JSX.Element {
                         <path
                             d={group.heads}
                             fill="none"
-                            stroke={group.stroke || stroke()}
-                            stroke-width={strokeWidth()}
+                            stroke={group.critical ? criticalStroke() : group.stroke || stroke()}
+                            stroke-width={group.critical ? criticalStrokeWidth() : strokeWidth()}
                             stroke-opacity={strokeOpacity()}
                             stroke-linecap="round"
                             stroke-linejoin="round"
@@ -1,9 +1,10 @@
-import { createMemo, createEffect, Accessor, JSX } from 'solid-js';
+import { createSignal, createMemo, createEffect, untrack, Show, Accessor, JSX } from 'solid-js';
 import {
     computeProgressWidth,
     computeExpectedProgress,
     computeLabelPosition,
     snapToGrid,
+    skipIgnoredEnd,
 } from '../utils/barCalculations';
 import { useDrag, clamp } from '../hooks/useDrag';
 import { useGanttEvents } from '../contexts/GanttEvents';
@@ -16,12 +17,29 @@ interface TaskPosition {
     height?: number;
 }
 
+/**
+ * Argument of a custom bar content renderer. Fields are getters, so reading
+ * them inside JSX keeps the content in sync like component props.
+ */
+export interface BarContentProps {
+    task: ProcessedTask;
+    /** Bar size in pixels */
+    width: number;
+    height: number;
+    /** Where the default label goes: inside the bar, or after its end */
+    labelPosition: 'inside' | 'outside';
+}
+
+/** Renders bar internals in place of the name label (called once per bar) */
+export type BarContentRenderer = (bar: BarContentProps) => JSX.Element;
+
 interface BatchOriginal {
     originalX: number;
 }
 
 interface ConstrainedResult {
     x?: number;
+    width?: number;
 }
 
 interface BarProps {
@@ -41,6 +59,18 @@ interface BarProps {
     showExpectedProgress?: boolean;
     columnWidth?: number;
     ignoredPositions?: number[];
+    /** On the critical path (zero total float) */
+    critical?: boolean;
+    /** Overlaps another task of the same resource */
+    conflict?: boolean;
+    /** Part of the current selection */
+    selected?: boolean;
+    /** Has keyboard focus (roving focus ring) */
+    focused?: boolean;
+    /** Moved by an edit that's awaiting approval (dimmed, not editable) */
+    pending?: boolean;
+    /** Edits are paused while another edit awaits approval (not editable) */
+    frozen?: boolean;
     onCollectDependents?: (taskId: string) => Set<string>;
     onCollectDescendants?: (taskId: string) => Set<string>;
     onClampBatchDelta?: (batchOriginals: Map<string, BatchOriginal>, deltaX: number) => number;
@@ -51,6 +81,14 @@ interface BarProps {
     onHover?: (taskId: string, clientX: number, clientY: number) => void;
     onHoverEnd?: () => void;
     onTaskClick?: (taskId: string, e: MouseEvent) => void;
+    /** Bar dragged vertically: Y of the bar center (the bar follows the pointer) */
+    onRowDrag?: (taskId: string, centerY: number) => void;
+    /** Bar dropped with its center at Y (after the date change is reported) */
+    onRowDrop?: (taskId: string, centerY: number) => void;
+    /** Press on a start/end connector (drawing a dependency); connectors show on hover when set */
+    onConnectorPointerDown?: (taskId: string, side: 'start' | 'end', e: PointerEvent) => void;
+    /** Custom content in place of the label (handles and progress stay) */
+    renderContent?: BarContentRenderer;
 }
 
 interface TaskData {
@@ -107,7 +145,10 @@ export function Bar(props: BarProps): JSX.Element {
 
     // Configuration - OPTIMIZED: memoize config accessors to avoid repeated optional chaining
     const barCornerRadius = createMemo(() => props.ganttConfig?.barCornerRadius?.() ?? props.cornerRadius ?? 3);
-    const readonly = createMemo(() => props.ganttConfig?.readonly?.() ?? props.readonly ?? false);
+    // Edits awaiting approval freeze the bars like readonly
+    const readonly = createMemo(
+        () => !!props.pending || !!props.frozen || (props.ganttConfig?.readonly?.() ?? props.readonly ?? false),
+    );
     const readonlyDates = createMemo(() => props.ganttConfig?.readonlyDates?.() ?? props.readonlyDates ?? false);
     const readonlyProgress = createMemo(() => props.ganttConfig?.readonlyProgress?.() ?? props.readonlyProgress ?? false);
     const showExpectedProgress = createMemo(() => props.ganttConfig?.showExpectedProgress?.() ?? props.showExpectedProgress ?? false);
@@ -165,6 +206,12 @@ export function Bar(props: BarProps): JSX.Element {
     // OPTIMIZATION: Track if a drag occurred in non-reactive variable (avoids 60fps signal updates)
     let didDragFlag = false;
 
+    // Vertical offset while the bar is dragged across rows (only with onRowDrop)
+    const [dragOffsetY, setDragOffsetY] = createSignal(0);
+
+    // Pointer over the bar (shows the dependency connectors)
+    const [hovered, setHovered] = createSignal(false);
+
     // ═══════════════════════════════════════════════════════════════════════════
     // DRAG SETUP
     // ═══════════════════════════════════════════════════════════════════════════
@@ -228,6 +275,12 @@ export function Bar(props: BarProps): JSX.Element {
             const ignored = ignoredPositions();
 
             if (state === 'dragging_bar') {
+                // Vertical movement - follow the pointer across rows
+                if (props.onRowDrop) {
+                    setDragOffsetY(move.deltaY);
+                    props.onRowDrag?.(t().id, (data['originalY'] as number) + height() / 2 + move.deltaY);
+                }
+
                 // Bar movement - snap to grid
                 const originalX = data['originalX'] as number;
                 let newX = snapToGrid(
@@ -261,6 +314,7 @@ export function Bar(props: BarProps): JSX.Element {
                     );
                 } else {
                     // Fallback: apply constraints and update single task
+                    let newWidth = width();
                     if (props.onConstrainPosition) {
                         const constrained = props.onConstrainPosition(
                             t().id,
@@ -269,8 +323,10 @@ export function Bar(props: BarProps): JSX.Element {
                         );
                         if (constrained === null) return; // Movement blocked
                         newX = constrained.x ?? newX;
+                        // On a calendar the end follows the working time, so the width can change
+                        newWidth = constrained.width ?? newWidth;
                     }
-                    props.taskStore.updateBarPosition(t().id, { x: newX });
+                    props.taskStore.updateBarPosition(t().id, { x: newX, width: newWidth });
                 }
             } else if (state === 'dragging_left') {
                 // Left handle - resize from start
@@ -318,6 +374,9 @@ export function Bar(props: BarProps): JSX.Element {
 
                 let newWidth = originalWidth + snappedDelta;
 
+                // Skip ignored positions (end moves past them)
+                newWidth = skipIgnoredEnd(x() + newWidth, colWidth, ignored) - x();
+
                 // Enforce minimum width
                 newWidth = Math.max(minWidth(), newWidth);
 
@@ -376,7 +435,7 @@ export function Bar(props: BarProps): JSX.Element {
             }
         },
 
-        onDragEnd: (_move, _data, state) => {
+        onDragEnd: (_move, data, state) => {
             // Clear drag state (allows deferred recalculations to resume)
             props.taskStore?.setDraggingTaskId?.(null);
 
@@ -391,15 +450,22 @@ export function Bar(props: BarProps): JSX.Element {
                 state === 'dragging_left' ||
                 state === 'dragging_right'
             ) {
+                // Trigger constraint resolution after resize (width changed) first,
+                // so the date change reports the cascades it caused
+                if (state === 'dragging_left' || state === 'dragging_right') {
+                    onResizeEnd?.(t().id);
+                }
+
                 const pos = props.taskStore?.getBarPosition(t().id);
                 onDateChange?.(t().id, {
                     x: pos?.x ?? x(),
                     width: pos?.width ?? width(),
                 });
 
-                // Trigger constraint resolution after resize (width changed)
-                if (state === 'dragging_left' || state === 'dragging_right') {
-                    onResizeEnd?.(t().id);
+                if (state === 'dragging_bar' && props.onRowDrop) {
+                    const offsetY = dragOffsetY();
+                    setDragOffsetY(0);
+                    props.onRowDrop(t().id, (data['originalY'] as number) + height() / 2 + offsetY);
                 }
             } else if (state === 'dragging_progress') {
                 onProgressChange?.(t().id, t().progress);
@@ -411,8 +477,9 @@ export function Bar(props: BarProps): JSX.Element {
     // EVENT HANDLERS
     // ═══════════════════════════════════════════════════════════════════════════
 
-    const handleBarMouseDown = (e: MouseEvent): void => {
-        if (readonly() || readonlyDates() || isLocked()) {
+    const handleBarPointerDown = (e: PointerEvent): void => {
+        // Secondary buttons open the context menu, they don't drag
+        if (e.button !== 0 || readonly() || readonlyDates() || isLocked()) {
             return;
         }
 
@@ -422,12 +489,13 @@ export function Bar(props: BarProps): JSX.Element {
             return;
         }
 
-        didDragFlag = false; // Reset drag flag on mousedown
+        didDragFlag = false; // Reset drag flag on press
         startDrag(e, 'dragging_bar', { taskId: t().id });
     };
 
     // Hover handlers for task data popup (use context with props fallback)
     const handleMouseEnter = (e: MouseEvent): void => {
+        setHovered(true);
         const onHover = props.onHover ?? events.onHover;
         if (onHover && !isDragging()) {
             onHover(t().id, e.clientX, e.clientY);
@@ -435,6 +503,7 @@ export function Bar(props: BarProps): JSX.Element {
     };
 
     const handleMouseLeave = (): void => {
+        setHovered(false);
         const onHoverEnd = props.onHoverEnd ?? events.onHoverEnd;
         if (onHoverEnd) {
             onHoverEnd();
@@ -450,25 +519,31 @@ export function Bar(props: BarProps): JSX.Element {
         }
     };
 
-    const handleLeftHandleMouseDown = (e: MouseEvent): void => {
+    const handleLeftHandlePointerDown = (e: PointerEvent): void => {
         if (readonly() || readonlyDates() || isLocked()) return;
         e.stopPropagation();
         startDrag(e, 'dragging_left', { taskId: t().id });
     };
 
-    const handleRightHandleMouseDown = (e: MouseEvent): void => {
+    const handleRightHandlePointerDown = (e: PointerEvent): void => {
         if (readonly() || readonlyDates() || isLocked()) return;
         e.stopPropagation();
         startDrag(e, 'dragging_right', { taskId: t().id });
     };
 
-    const handleProgressMouseDown = (e: MouseEvent): void => {
+    const handleProgressPointerDown = (e: PointerEvent): void => {
         if (readonly() || readonlyProgress() || isLocked())
             return;
         e.stopPropagation();
         startDrag(e, 'dragging_progress', { taskId: t().id });
     };
 
+    const handleConnectorPointerDown = (side: 'start' | 'end') => (e: PointerEvent): void => {
+        if (readonly() || !props.onConnectorPointerDown) return;
+        e.stopPropagation();
+        props.onConnectorPointerDown(t().id, side, e);
+    };
+
     // ═══════════════════════════════════════════════════════════════════════════
     // COMPUTED VALUES - OPTIMIZED: memoized to avoid recalculation on every render
     // ═══════════════════════════════════════════════════════════════════════════
@@ -513,6 +588,28 @@ export function Bar(props: BarProps): JSX.Element {
         return computeLabelPosition(x(), width(), t().name);
     });
 
+    // Custom content, rendered once; the getters track the pooled task
+    const customContent = (): JSX.Element => {
+        const render = props.renderContent;
+        if (!render) return null;
+        return untrack(() =>
+            render({
+                get task() {
+                    return getTask() as ProcessedTask;
+                },
+                get width() {
+                    return width();
+                },
+                get height() {
+                    return height();
+                },
+                get labelPosition() {
+                    return labelInfo().position;
+                },
+            }),
+        );
+    };
+
     // Colors - use t() memo values
     const barColor = (): string => t().color;
     const progressColor = (): string => t().colorProgress;
@@ -537,6 +634,20 @@ export function Bar(props: BarProps): JSX.Element {
     // Locked state (from constraint system)
     const isLocked = (): boolean => !!t().locked;
 
+    // Dependency connectors (locked tasks can still be linked)
+    const showConnectors = (): boolean => hovered() && !readonly() && !isDragging() && !!props.onConnectorPointerDown;
+
+    // Critical path highlight (locked styling takes precedence)
+    const isCritical = (): boolean => !!props.critical && !isLocked();
+
+    // Selection ring sits outside the critical outline when both apply
+    const boxShadow = (): string => {
+        const rings: string[] = [];
+        if (isCritical()) rings.push('0 0 0 2px var(--g-critical-color, #e74c3c)');
+        if (props.selected) rings.push(`0 0 0 ${isCritical() ? 4 : 2}px var(--g-selected-color, #2c7be5)`);
+        return rings.length > 0 ? rings.join(', ') : 'none';
+    };
+
     // Drag state class
     const dragClass = (): string => (isDragging() ? `dragging ${dragState()}` : '');
 
@@ -560,13 +671,13 @@ export function Bar(props: BarProps): JSX.Element {
     const visible = (): boolean => props.visible ?? true;
 
     // GPU-accelerated transform for positioning
-    const barTransform = (): string => `translate(${x()}px, ${y()}px)`;
+    const barTransform = (): string => `translate(${x()}px, ${y() + dragOffsetY()}px)`;
 
     return (
         <div
-            class={`bar-wrapper ${customClass()} ${isInvalid() ? 'invalid' : ''} ${isLocked() ? 'locked' : ''} ${dragClass()}`}
+            class={`bar-wrapper ${customClass()} ${isInvalid() ? 'invalid' : ''} ${isLocked() ? 'locked' : ''} ${isCritical() ? 'critical' : ''} ${props.conflict ? 'conflict' : ''} ${props.selected ? 'selected' : ''} ${props.focused ? 'focused' : ''} ${props.pending ? 'pending' : ''} ${dragClass()}`}
             data-id={t().id}
-            onMouseDown={handleBarMouseDown}
+            onPointerDown={handleBarPointerDown}
             onMouseEnter={handleMouseEnter}
             onMouseLeave={handleMouseLeave}
             onClick={handleClick}
@@ -575,12 +686,26 @@ export function Bar(props: BarProps): JSX.Element {
                 transform: barTransform(),
                 width: `${width()}px`,
                 height: `${height()}px`,
-                cursor: isLocked()
-                    ? 'not-allowed'
-                    : readonly()
-                      ? 'default'
-                      : 'move',
+                cursor: props.pending
+                    ? 'progress'
+                    : isLocked()
+                      ? 'not-allowed'
+                      : readonly()
+                        ? 'default'
+                        : 'move',
                 visibility: visible() ? 'visible' : 'hidden',
+                opacity: props.pending ? 0.6 : undefined,
+                // Long press drags on touch: no text selection or callout
+                'user-select': 'none',
+                '-webkit-touch-callout': 'none',
+                'border-radius': `${barCornerRadius()}px`,
+                'box-shadow': boxShadow(),
+                outline: props.conflict
+                    ? '2px dashed var(--g-conflict-color, #e74c3c)'
+                    : props.focused
+                      ? '2px solid var(--g-focus-color, #2c7be5)'
+                      : 'none',
+                'outline-offset': '2px',
             }}
         >
             {/* Main bar - outline style with subtle fill */}
@@ -640,24 +765,50 @@ export function Bar(props: BarProps): JSX.Element {
                 }}
             />
 
-            {/* Label */}
-            <div
-                class={`bar-label ${labelInfo().position}`}
-                style={{
-                    position: 'absolute',
-                    top: '50%',
-                    left: labelInfo().position === 'inside' ? '50%' : `${width() + 5}px`,
-                    transform: labelInfo().position === 'inside'
-                        ? 'translate(-50%, -50%)'
-                        : 'translateY(-50%)',
-                    'white-space': 'nowrap',
-                    'pointer-events': 'none',
-                    'font-size': '12px',
-                    color: labelInfo().position === 'inside' ? '#fff' : '#333',
-                }}
+            {/* Label, or the consumer's content filling the bar */}
+            <Show
+                when={props.renderContent}
+                fallback={
+                    <div
+                        class={`bar-label ${labelInfo().position}`}
+                        style={{
+                            position: 'absolute',
+                            top: '50%',
+                            left: labelInfo().position === 'inside' ? '50%' : `${width() + 5}px`,
+                            transform: labelInfo().position === 'inside'
+                                ? 'translate(-50%, -50%)'
+                                : 'translateY(-50%)',
+                            'white-space': 'nowrap',
+                            'pointer-events': 'none',
+                            'font-size': '12px',
+                            color: labelInfo().position === 'inside' ? '#fff' : '#333',
+                        }}
+                    >
+                        {t().name}
+                    </div>
+                }
             >
-                {t().name}
-            </div>
+                <div
+                    class="bar-content"
+                    style={{
+                        position: 'absolute',
+                        top: '0',
+                        left: '0',
+                        width: '100%',
+                        height: '100%',
+                        display: 'flex',
+                        'align-items': 'center',
+                        gap: '4px',
+                        padding: '0 6px',
+                        'box-sizing': 'border-box',
+                        'pointer-events': 'none',
+                        'font-size': '12px',
+                        'white-space': 'nowrap',
+                    }}
+                >
+                    {customContent()}
+                </div>
+            </Show>
 
             {/* Lock icon for locked tasks - CSS display instead of Show to avoid unmount/remount */}
             <div
@@ -677,7 +828,7 @@ export function Bar(props: BarProps): JSX.Element {
             {/* Left resize handle */}
             <div
                 class="handle handle-left"
-                onMouseDown={handleLeftHandleMouseDown}
+                onPointerDown={handleLeftHandlePointerDown}
                 style={{
                     position: 'absolute',
                     left: '-2px',
@@ -695,7 +846,7 @@ export function Bar(props: BarProps): JSX.Element {
             {/* Right resize handle */}
             <div
                 class="handle handle-right"
-                onMouseDown={handleRightHandleMouseDown}
+                onPointerDown={handleRightHandlePointerDown}
                 style={{
                     position: 'absolute',
                     right: '-2px',
@@ -713,7 +864,7 @@ export function Bar(props: BarProps): JSX.Element {
             {/* Progress handle (circle) */}
             <div
                 class="handle handle-progress"
-                onMouseDown={handleProgressMouseDown}
+                onPointerDown={handleProgressPointerDown}
                 style={{
                     position: 'absolute',
                     left: `${progressWidth() - 5}px`,
@@ -730,6 +881,44 @@ export function Bar(props: BarProps): JSX.Element {
                     display: showHandles() && !isLocked() && showProgressHandle() && progressWidth() > 0 ? 'block' : 'none',
                 }}
             />
+
+            {/* Dependency connectors - just outside the start and end of the bar */}
+            <div
+                class="connector connector-start"
+                onPointerDown={handleConnectorPointerDown('start')}
+                style={{
+                    position: 'absolute',
+                    left: '-10px',
+                    top: '50%',
+                    transform: 'translateY(-50%)',
+                    width: '8px',
+                    height: '8px',
+                    'border-radius': '50%',
+                    'background-color': 'var(--g-connector-color, #fff)',
+                    border: `1.5px solid ${barColor()}`,
+                    'box-sizing': 'border-box',
+                    cursor: 'crosshair',
+                    display: showConnectors() ? 'block' : 'none',
+                }}
+            />
+            <div
+                class="connector connector-end"
+                onPointerDown={handleConnectorPointerDown('end')}
+                style={{
+                    position: 'absolute',
+                    right: '-10px',
+                    top: '50%',
+                    transform: 'translateY(-50%)',
+                    width: '8px',
+                    height: '8px',
+                    'border-radius': '50%',
+                    'background-color': 'var(--g-connector-color, #fff)',
+                    border: `1.5px solid ${barColor()}`,
+                    'box-sizing': 'border-box',
+                    cursor: 'crosshair',
+                    display: showConnectors() ? 'block' : 'none',
+                }}
+            />
         </div>
     );
 }
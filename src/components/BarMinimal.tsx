@@ -1,8 +1,11 @@
-import { createMemo, JSX, Accessor } from 'solid-js';
+import { createMemo, untrack, Show, JSX, Accessor } from 'solid-js';
 import type { ProcessedTask } from '../types';
+import type { BarContentRenderer } from './Bar';
 
 interface BarMinimalProps {
     task: ProcessedTask | Accessor<ProcessedTask>;
+    /** Custom content in place of the task name (see Bar) */
+    renderContent?: BarContentRenderer;
 }
 
 interface ComputedBarData {
@@ -52,6 +55,26 @@ export function BarMinimal(props: BarMinimalProps): JSX.Element {
         };
     });
 
+    // Custom content, rendered once (getters keep it reactive)
+    const customContent = (): JSX.Element => {
+        const render = props.renderContent;
+        if (!render) return null;
+        return untrack(() =>
+            render({
+                get task() {
+                    return getTask() as ProcessedTask;
+                },
+                get width() {
+                    return t().width;
+                },
+                get height() {
+                    return t().height;
+                },
+                labelPosition: 'inside',
+            }),
+        );
+    };
+
     return (
         <div style={{
             position: 'absolute',
@@ -81,7 +104,7 @@ export function BarMinimal(props: BarMinimalProps): JSX.Element {
                 opacity: 0.3,
                 'border-radius': '3px',
             }} />
-            {/* Task name */}
+            {/* Task name, or custom content */}
             <div style={{
                 position: 'absolute',
                 top: '50%',
@@ -90,7 +113,11 @@ export function BarMinimal(props: BarMinimalProps): JSX.Element {
                 color: '#fff',
                 'font-size': '12px',
                 'white-space': 'nowrap',
-            }}>{t().name}</div>
+            }}>
+                <Show when={props.renderContent} fallback={t().name}>
+                    {customContent()}
+                </Show>
+            </div>
             {/* Task ID (for debugging) */}
             <div style={{
                 position: 'absolute',
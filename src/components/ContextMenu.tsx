@@ -0,0 +1,154 @@
+import { For, Show, createEffect, onCleanup, JSX, Accessor } from 'solid-js';
+
+/** An entry of a context menu */
+export interface ContextMenuItem {
+    /** Stable key, e.g. to find a default action ('delete', 'lock', ...) */
+    id: string;
+    label: string;
+    disabled?: boolean;
+    /** Destructive action (drawn in red) */
+    danger?: boolean;
+    /** Draw a divider above the item */
+    separator?: boolean;
+    action: () => void;
+}
+
+interface ContextMenuProps {
+    /** Viewport position (the pointer); null hides the menu */
+    position?: Accessor<{ x: number; y: number } | null>;
+    items?: Accessor<ContextMenuItem[]>;
+    onClose?: () => void;
+}
+
+/** Gap between the menu and the viewport edge */
+const VIEWPORT_MARGIN = 8;
+
+/**
+ * Menu of actions at the pointer. Closes on a pick, Escape, a press outside
+ * it, scrolling or window resize; Arrow Up/Down and Enter pick by keyboard.
+ */
+export function ContextMenu(props: ContextMenuProps): JSX.Element {
+    let menuRef: HTMLDivElement | undefined;
+
+    const close = (): void => props.onClose?.();
+
+    const pick = (item: ContextMenuItem): void => {
+        if (item.disabled) return;
+        close();
+        item.action();
+    };
+
+    // Dismiss on anything that moves attention away from the menu; focus goes
+    // back where it was (the chart, for keyboard shortcuts)
+    createEffect(() => {
+        if (!props.position?.()) return;
+        const previousFocus = document.activeElement as HTMLElement | null;
+        const handlePointerDown = (e: PointerEvent): void => {
+            if (!menuRef?.contains(e.target as Node)) close();
+        };
+        const handleKeyDown = (e: KeyboardEvent): void => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close();
+            }
+        };
+        document.addEventListener('pointerdown', handlePointerDown, true);
+        document.addEventListener('keydown', handleKeyDown, true);
+        window.addEventListener('scroll', close, true);
+        window.addEventListener('resize', close);
+        onCleanup(() => {
+            document.removeEventListener('pointerdown', handlePointerDown, true);
+            document.removeEventListener('keydown', handleKeyDown, true);
+            window.removeEventListener('scroll', close, true);
+            window.removeEventListener('resize', close);
+            const active = document.activeElement;
+            if (!active || active === document.body || menuRef?.contains(active)) {
+                previousFocus?.focus({ preventScroll: true });
+            }
+        });
+    });
+
+    // Below and right of the pointer, flipped or lifted to stay in the viewport;
+    // the first item takes focus for keyboard use
+    createEffect(() => {
+        const pos = props.position?.();
+        props.items?.();
+        if (!pos || !menuRef) return;
+
+        const { width, height } = menuRef.getBoundingClientRect();
+        let left = pos.x;
+        if (left + width > window.innerWidth - VIEWPORT_MARGIN) left = pos.x - width;
+        let top = pos.y;
+        if (top + height > window.innerHeight - VIEWPORT_MARGIN) top = pos.y - height;
+        menuRef.style.left = `${Math.max(VIEWPORT_MARGIN, left)}px`;
+        menuRef.style.top = `${Math.max(VIEWPORT_MARGIN, top)}px`;
+        menuRef.querySelector<HTMLButtonElement>('button:not(:disabled)')?.focus({ preventScroll: true });
+    });
+
+    // Arrow keys move between enabled items (wrapping around)
+    const handleMenuKeyDown = (e: KeyboardEvent): void => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        e.preventDefault();
+        const buttons = [...(menuRef?.querySelectorAll<HTMLButtonElement>('button:not(:disabled)') ?? [])];
+        if (buttons.length === 0) return;
+        const index = buttons.indexOf(document.activeElement as HTMLButtonElement);
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        buttons[(index + step + buttons.length) % buttons.length]?.focus();
+    };
+
+    const menuStyle = {
+        position: 'fixed' as const,
+        background: '#fff',
+        'box-shadow': '0 4px 12px rgba(0,0,0,0.15)',
+        'border-radius': '6px',
+        padding: '4px 0',
+        'min-width': '160px',
+        'z-index': 1200,
+        'font-size': '13px',
+    };
+
+    const itemStyle = (item: ContextMenuItem): JSX.CSSProperties => ({
+        display: 'block',
+        width: '100%',
+        padding: '6px 14px',
+        border: 'none',
+        'border-top': item.separator ? '1px solid #eee' : 'none',
+        background: 'none',
+        'text-align': 'left',
+        font: 'inherit',
+        color: item.disabled ? '#bbb' : item.danger ? '#c0392b' : '#333',
+        cursor: item.disabled ? 'default' : 'pointer',
+    });
+
+    return (
+        <Show when={props.position?.() && (props.items?.().length ?? 0) > 0}>
+            <div
+                ref={menuRef}
+                class="gantt-context-menu"
+                role="menu"
+                style={menuStyle}
+                onKeyDown={handleMenuKeyDown}
+                onContextMenu={(e) => e.preventDefault()}
+            >
+                <For each={props.items?.()}>
+                    {(item) => (
+                        <button
+                            type="button"
+                            role="menuitem"
+                            class={`gantt-context-menu-item${item.danger ? ' danger' : ''}`}
+                            data-action={item.id}
+                            disabled={item.disabled}
+                            style={itemStyle(item)}
+                            onClick={() => pick(item)}
+                        >
+                            {item.label}
+                        </button>
+                    )}
+                </For>
+            </div>
+        </Show>
+    );
+}
+
+export default ContextMenu;
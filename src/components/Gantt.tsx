@@ -1,44 +1,205 @@
-import { createSignal, createMemo, createEffect, onMount, untrack, batch, Accessor, JSX } from 'solid-js';
+import { createSignal, createMemo, createEffect, onMount, onCleanup, untrack, batch, Show, Accessor, JSX } from 'solid-js';
 import { createTaskStore } from '../stores/taskStore';
 import { createGanttConfigStore } from '../stores/ganttConfigStore';
 import { createGanttDateStore } from '../stores/ganttDateStore';
 import { createResourceStore } from '../stores/resourceStore';
+import { createTaskHistory } from '../stores/historyStore';
+import type { HistoryChange } from '../stores/historyStore';
+import { createSelectionStore } from '../stores/selectionStore';
+import { unwrap } from 'solid-js/store';
+import type { SelectionMode } from '../stores/selectionStore';
+import { useDrag } from '../hooks/useDrag';
+import { useChangeApproval } from '../hooks/useChangeApproval';
+import { useTaskSelection } from '../hooks/useTaskSelection';
+import { useContextMenu } from '../hooks/useContextMenu';
+import { useChartKeyboard } from '../hooks/useChartKeyboard';
 import { processTasks, findDateBounds } from '../utils/taskProcessor';
 import { extractResourcesFromTasks } from '../utils/resourceProcessor';
 import { createVirtualViewport } from '../utils/createVirtualViewport';
-import { buildHierarchy, isHiddenByCollapsedAncestor } from '../utils/hierarchyProcessor';
-import { recomputeAllSummaryBounds } from '../utils/barCalculations';
-import { calculateRowLayouts, calculateSimpleRowLayouts, rowLayoutsToSortedArray } from '../utils/rowLayoutCalculator';
+import { buildHierarchy, isHiddenByCollapsedAncestor, collectDescendants } from '../utils/hierarchyProcessor';
+import {
+    recomputeAllSummaryBounds,
+    computeTaskDateUpdate,
+    computeIgnoredPositions,
+    snapToGrid,
+    skipIgnoredEnd,
+} from '../utils/barCalculations';
+import date_utils from '../utils/date_utils';
+import { checkTaskEdit, dependencyRelationship, editableTask } from '../utils/taskEdit';
+import type { TaskEditCheck } from '../utils/taskEdit';
+import { computeCriticalPath } from '../utils/criticalPath';
+import { zoomLevel } from '../utils/zoom';
+import { createWorkingCalendar } from '../utils/workingCalendar';
+import {
+    collectDependentTasks,
+    buildRelationshipIndex,
+    resolveConstraintsInTime,
+    calculateCascadeUpdatesInTime,
+    detectCycles,
+} from '../utils/constraintEngine';
+import type { ScheduleTask, TaskSchedule } from '../utils/criticalPath';
+import { findResourceConflicts, mergeResourceConflicts, sameResourceConflicts } from '../utils/resourceConflicts';
+import type { ConflictTask, ResourceConflict } from '../utils/resourceConflicts';
+import type { LevelingMove } from '../utils/resourceLeveling';
+import {
+    calculateRowLayouts,
+    calculateSimpleRowLayouts,
+    rowLayoutsToSortedArray,
+    findRowAtY,
+} from '../utils/rowLayoutCalculator';
 
 import { GanttContainer } from './GanttContainer';
 import { Grid } from './Grid';
 import { DateHeaders } from './DateHeaders';
 import { ResourceColumn } from './ResourceColumn';
+import { ArrowLayer } from './ArrowLayer';
+import { ArrowLayerBatched } from './ArrowLayerBatched';
+import { Arrow } from './Arrow';
+import type { HeadShape } from './Arrow';
 import { TaskLayer } from './TaskLayer';
+import type { BarContentRenderer } from './Bar';
 import { TaskLayerMinimal } from './TaskLayerMinimal';
 import { TaskDataPopup } from './TaskDataPopup';
-import { TaskDataModal } from './TaskDataModal';
+import { TaskEditor } from './TaskEditor';
+import { ContextMenu } from './ContextMenu';
+import type { ContextMenuItem } from './ContextMenu';
 import { GanttEventsProvider } from '../contexts/GanttEvents';
-import type { GanttTask, ProcessedTask, Relationship, BarPosition, ResourceInput } from '../types';
+import type {
+    GanttTask,
+    ProcessedTask,
+    Relationship,
+    BarPosition,
+    ResourceInput,
+    DateChangeEvent,
+    TaskDateUpdate,
+    CalendarOptions,
+    LockState,
+    TimeConstraintContext,
+    DependencyType,
+    BeforeChangeResult,
+    DateChangeOverride,
+    DependencyChange,
+    TaskTimeSpan,
+} from '../types';
 import type { RowLayout } from '../utils/rowLayoutCalculator';
 
 interface ContainerAPI {
     scrollTo: (x: number, smooth?: boolean) => void;
+    scrollRectIntoView?: (rect: { x: number; y: number; width: number; height: number }) => void;
     getScrollLeft: () => number;
     getScrollTop: () => number;
     getContainerWidth: () => number;
     getContainerHeight: () => number;
+    getSvgElement?: () => SVGSVGElement | undefined;
     scrollLeftSignal?: Accessor<number>;
     scrollTopSignal?: Accessor<number>;
     containerWidthSignal?: Accessor<number>;
     containerHeightSignal?: Accessor<number>;
 }
 
+/** Imperative chart API, passed to onReady */
+export interface GanttAPI {
+    undo: () => void;
+    redo: () => void;
+    canUndo: Accessor<boolean>;
+    canRedo: Accessor<boolean>;
+
+    /** Selected task IDs */
+    getSelection: () => string[];
+    setSelection: (taskIds: string[]) => void;
+    clearSelection: () => void;
+    /** Remove the selected tasks (and their subtasks) */
+    deleteSelected: () => void;
+    /** Lock (default) or unlock the selected tasks */
+    lockSelected: (locked?: LockState) => void;
+    recolorSelected: (color: string) => void;
+    /** Move the selected tasks and their dependents by whole days (negative = earlier) */
+    shiftSelected: (days: number) => void;
+    /** Apply levelResources moves as one undoable operation */
+    applyLeveling: (moves: LevelingMove[]) => void;
+    /** Zoom the timeline around the viewport center (factor > 1 zooms in) */
+    zoom: (factor: number) => void;
+}
+
+/** What a custom hover popup (popupContent) shows for a task */
+export interface TaskPopupInfo {
+    task: ProcessedTask;
+    /** Current dates of the bar */
+    start: Date;
+    end: Date;
+    /** Duration in hours (working hours with a calendar) */
+    duration: number;
+    /** Total float in hours (null for summaries, or when dependencies form a cycle) */
+    float: number | null;
+    /** Zero total float */
+    critical: boolean;
+    /** Dependencies on predecessors */
+    predecessors: Relationship[];
+    /** Dependencies of successors on this task */
+    successors: Relationship[];
+}
+
+/** Task saved from the details panel (onTaskEdit) */
+export interface TaskEditEvent {
+    taskId: string;
+    /** The task as saved */
+    task: GanttTask;
+    /** Fields that differ from the task as opened */
+    changed: (keyof GanttTask)[];
+    /** Other tasks pushed to satisfy the new schedule */
+    cascaded: TaskDateUpdate[];
+}
+
+/** Task proposed by drawing on an empty row or double-clicking a cell */
+export interface TaskCreateEvent {
+    resource: string;
+    start: Date;
+    end: Date;
+    startString: string;
+    endString: string;
+    /** Set for "Add successor": the new task depends on it (finish-to-start) */
+    predecessor?: string;
+}
+
+/** What a context menu was opened on */
+export type ContextMenuTarget =
+    | { type: 'task'; taskId: string }
+    | { type: 'resource'; resourceId: string; isGroup: boolean }
+    /** Empty grid space: the row's resource (null outside resource rows) and the column's start */
+    | { type: 'cell'; resource: string | null; date: Date }
+    | { type: 'dependency'; from: string; to: string; dependencyType: DependencyType };
+
+/** Right-click or long press in the chart (onContextMenu) */
+export interface ContextMenuEvent {
+    target: ContextMenuTarget;
+    /** Viewport position of the pointer */
+    clientX: number;
+    clientY: number;
+    /** Default actions for the target; add, remove or reorder them in place */
+    items: ContextMenuItem[];
+    originalEvent: MouseEvent;
+}
+
+/** Timeline scale after a zoom */
+export interface ZoomChange {
+    viewMode: string;
+    columnWidth: number;
+}
+
+/** Task properties changed by a bulk edit (or its undo) */
+export interface TaskPropertyUpdate {
+    taskId: string;
+    color?: string;
+    locked?: LockState;
+}
+
 interface ArrowConfigOptions {
     stroke?: string;
     curveRadius?: number;
-    headShape?: string;
+    headShape?: HeadShape;
     headSize?: number;
+    criticalStroke?: string;
+    criticalStrokeWidth?: number;
 }
 
 interface GanttOptions {
@@ -51,6 +212,18 @@ interface GanttOptions {
     arrow_curve?: number;
     arrow_head_shape?: string;
     arrow_head_size?: number;
+    hide_arrows_on_scroll?: boolean;
+    /** Hover time (ms) before a bar's popup shows */
+    popup_delay?: number;
+    /** Show the built-in menu on right-click or long press */
+    context_menu?: boolean;
+    critical_path?: boolean;
+    show_conflicts?: boolean;
+    pack_lanes?: boolean;
+    calendar?: CalendarOptions;
+    collapse_non_working?: boolean;
+    ignoredDates?: Array<Date | string>;
+    ignoredFunction?: (date: Date) => boolean;
     lines?: 'horizontal' | 'vertical' | 'both' | 'none';
     readonly?: boolean;
     bar_height?: number;
@@ -69,10 +242,59 @@ interface GanttProps {
     overscanCols?: number;
     overscanRows?: number;
     overscanX?: number;
-    onDateChange?: (taskId: string, position: { x: number; width: number }) => void;
+    onDateChange?: (taskId: string, change: DateChangeEvent) => void;
     onProgressChange?: (taskId: string, progress: number) => void;
     onResizeEnd?: (taskId: string) => void;
     onTaskClick?: (taskId: string, event: MouseEvent) => void;
+    /** Bar internals in place of the task name (drag handles and progress stay) */
+    barContent?: BarContentRenderer;
+    /** Content of the hover popup (replaces the default task summary) */
+    popupContent?: (info: TaskPopupInfo) => JSX.Element;
+    /** Called with the overlapping task pairs whenever resource conflicts change */
+    onResourceConflicts?: (conflicts: ResourceConflict[]) => void;
+    /** Called once on mount with the chart API (undo/redo, ...) */
+    onReady?: (api: GanttAPI) => void;
+    /** Called with the selected task IDs whenever the selection changes */
+    onSelectionChange?: (taskIds: string[]) => void;
+    /** Called after tasks are removed from the chart (bulk delete) */
+    onTasksDelete?: (taskIds: string[]) => void;
+    /** Called after bulk edits of task color or lock state */
+    onTasksUpdate?: (updates: TaskPropertyUpdate[]) => void;
+    /** Called when a task moves to another resource row (vertical drag, or its undo) */
+    onResourceChange?: (taskId: string, fromResource: string, toResource: string) => void;
+    /** Called with all edits made in the task details panel, once per save */
+    onTaskEdit?: (edit: TaskEditEvent) => void;
+    /**
+     * Called when a task is drawn on an empty row or a cell is double-clicked
+     * (drawing is enabled by this prop). Return false to reject the task, or
+     * fields for it (id, name, ...); it's added to the chart otherwise (unless
+     * the returned id is taken).
+     */
+    onTaskCreate?: (task: TaskCreateEvent) => boolean | Partial<GanttTask> | void;
+    /** Called after a dependency is drawn between two bars (predecessor `from`, successor `to`) */
+    onDependencyCreate?: (dependency: Relationship) => void;
+    /** Called after a dependency is removed (context menu) */
+    onDependencyDelete?: (dependency: Relationship) => void;
+    /**
+     * Asked before a drag, keyboard edit or shiftSelected is reported through
+     * onDateChange: return false to roll it back, dates to move the task to
+     * instead, or a promise (the bars stay pending until it settles)
+     */
+    onBeforeDateChange?: (taskId: string, change: DateChangeEvent) => BeforeChangeResult<DateChangeOverride>;
+    /** Like onBeforeDateChange, for progress edits (return a number to replace it) */
+    onBeforeProgressChange?: (taskId: string, progress: number) => BeforeChangeResult<number>;
+    /** Like onBeforeDateChange, for drawn or removed dependencies (return { type, lag } to replace a new one) */
+    onBeforeDependencyChange?: (
+        change: DependencyChange
+    ) => BeforeChangeResult<Partial<Pick<Relationship, 'type' | 'lag'>>>;
+    /**
+     * Called on right-click or long press on a bar, resource cell, empty cell
+     * or dependency arrow, with the target's default actions. Edit `items` in
+     * place or return the items to show; return false to show your own menu.
+     */
+    onContextMenu?: (event: ContextMenuEvent) => ContextMenuItem[] | false | void;
+    /** Called after Ctrl+wheel, pinch or api.zoom changed the view mode or column width */
+    onZoomChange?: (zoom: ZoomChange) => void;
 }
 
 declare global {
@@ -83,6 +305,11 @@ declare global {
     }
 }
 
+/** Resource row of a task (tasks without one are grouped as 'Unassigned') */
+function resourceOf(task: Pick<ProcessedTask, 'resource'> | undefined): string {
+    return task?.resource || 'Unassigned';
+}
+
 /**
  * Gantt - Main orchestrator component for the Gantt chart.
  */
@@ -92,6 +319,8 @@ export function Gantt(props: GanttProps): JSX.Element {
     const ganttConfig = createGanttConfigStore(props.options || {});
     const dateStore = createGanttDateStore(props.options || {});
     const resourceStore = createResourceStore(props.resources || []);
+    const history = createTaskHistory(taskStore);
+    const selection = createSelectionStore();
 
     // Expose for profiling (development only)
     if (typeof window !== 'undefined') {
@@ -124,9 +353,8 @@ export function Gantt(props: GanttProps): JSX.Element {
     const [popupPosition, setPopupPosition] = createSignal({ x: 0, y: 0 });
     const [popupVisible, setPopupVisible] = createSignal(false);
 
-    // Modal state for click
-    const [modalTaskId, setModalTaskId] = createSignal<string | null>(null);
-    const [modalVisible, setModalVisible] = createSignal(false);
+    // Task open in the details panel (an editable snapshot taken when it opens)
+    const [editedTask, setEditedTask] = createSignal<GanttTask | null>(null);
 
     // Computed task/position for popup
     const hoveredTask = createMemo(() => {
@@ -139,22 +367,27 @@ export function Gantt(props: GanttProps): JSX.Element {
         return id ? taskStore.getBarPosition(id) : null;
     });
 
-    // Computed task/position for modal
-    const modalTask = createMemo(() => {
-        const id = modalTaskId();
-        return id ? taskStore.getTask(id) : null;
-    });
-
-    const modalBarPosition = createMemo(() => {
-        const id = modalTaskId();
-        return id ? taskStore.getBarPosition(id) : null;
-    });
+    // Mirror the time axis of the date store into ganttConfig
+    const syncDateConfig = (): void => {
+        ganttConfig.setGanttStart(dateStore.ganttStart());
+        ganttConfig.setGanttEnd(dateStore.ganttEnd());
+        ganttConfig.setUnit(dateStore.unit());
+        ganttConfig.setStep(dateStore.step());
+        ganttConfig.setColumnWidth(dateStore.columnWidth());
+    };
 
-    // Filter relationships for modal task
-    const modalRelationships = createMemo(() => {
-        const id = modalTaskId();
-        if (!id) return [];
-        return relationships().filter((r) => r.from === id || r.to === id);
+    // Axis and bar settings processTasks positions bars with
+    const positionConfig = (): Parameters<typeof processTasks>[1] => ({
+        ganttStart: dateStore.ganttStart(),
+        unit: dateStore.unit(),
+        step: dateStore.step(),
+        columnWidth: dateStore.columnWidth(),
+        headerHeight: ganttConfig.headerHeight(),
+        barHeight: ganttConfig.barHeight(),
+        padding: ganttConfig.padding(),
+        calendar: ganttConfig.calendar(),
+        resourceCalendars: resourceStore.calendars(),
+        dateToX: dateStore.collapsedTime() ? dateStore.dateToX : undefined,
     });
 
     // Initialize tasks and compute positions
@@ -178,23 +411,10 @@ export function Gantt(props: GanttProps): JSX.Element {
         dateStore.setupDates(rawTasks);
 
         // Update ganttConfig with date store values
-        ganttConfig.setGanttStart(dateStore.ganttStart());
-        ganttConfig.setGanttEnd(dateStore.ganttEnd());
-        ganttConfig.setUnit(dateStore.unit());
-        ganttConfig.setStep(dateStore.step());
-        ganttConfig.setColumnWidth(dateStore.columnWidth());
+        syncDateConfig();
 
         // Process tasks with computed positions
-        const config = {
-            ganttStart: dateStore.ganttStart(),
-            ganttEnd: dateStore.ganttEnd(),
-            unit: dateStore.unit(),
-            step: dateStore.step(),
-            columnWidth: dateStore.columnWidth(),
-            headerHeight: ganttConfig.headerHeight(),
-            barHeight: ganttConfig.barHeight(),
-            padding: ganttConfig.padding(),
-        };
+        const config = positionConfig();
 
         // Determine resource index map to use
         // If resourceStore has explicit resources, use its map (respects collapse state)
@@ -240,6 +460,34 @@ export function Gantt(props: GanttProps): JSX.Element {
         setLegacyResources(taskResources);
     };
 
+    // Loaded state that edits change (bars, rows, fields), to tell a reload
+    // echoing the chart's own edits from new data
+    const loadedState = (): string =>
+        JSON.stringify(
+            taskStore
+                .getAllTasks()
+                .map((task) => [
+                    task.id,
+                    Math.round(task._bar.x),
+                    Math.round(task._bar.width),
+                    task.progress,
+                    task.resource,
+                    task.color,
+                    task.constraints?.locked,
+                    task.dependencies.map((dep) => [dep.id, dep.type, dep.lag, dep.max]),
+                ])
+                .sort(([a], [b]) => String(a).localeCompare(String(b))),
+        );
+
+    // Reload from props. A controlled parent echoing edits back leaves the undo
+    // history valid; anything else (other tasks, dropped edits) would be
+    // overwritten by its stale snapshots on undo, so it's cleared
+    const reloadTasks = (rawTasks: GanttTask[]): void => {
+        const before = loadedState();
+        initializeTasks(rawTasks);
+        if (loadedState() !== before) history.clear();
+    };
+
     // Initialize on mount and when tasks change
     onMount(() => {
         initializeTasks(props.tasks);
@@ -255,7 +503,7 @@ export function Gantt(props: GanttProps): JSX.Element {
 
         if (tasks && tasks.length > 0) {
             // Use untrack to prevent initializeTasks from creating reactive dependencies
-            untrack(() => initializeTasks(tasks));
+            untrack(() => reloadTasks(tasks));
         }
     });
 
@@ -269,18 +517,52 @@ export function Gantt(props: GanttProps): JSX.Element {
         }
     });
 
-    // Watch for view mode changes - use signal to track previous value
+    // Recompute ignored columns whenever the date columns or ignore settings change
+    createEffect(() => {
+        ganttConfig.setIgnoredPositions(
+            computeIgnoredPositions(
+                dateStore.dates(),
+                dateStore.unit(),
+                dateStore.columnWidth(),
+                ganttConfig.ignoredDates(),
+                ganttConfig.ignoredFunction(),
+            ),
+        );
+    });
+
+    // Collapsed axis (collapse_non_working): drop columns without working time
+    // in the chart calendar, or Mon-Fri when no calendar is set
+    const collapseFilter = createMemo(() => {
+        if (!ganttConfig.collapseNonWorking()) return null;
+        const cal = ganttConfig.calendar() ?? createWorkingCalendar();
+        return (start: Date, end: Date): boolean => cal.workingHoursBetween(start, end) > 0;
+    });
+    createEffect(() => {
+        const filter = collapseFilter();
+        if (filter === untrack(dateStore.collapsedTime)) return;
+        // Bar positions depend on the axis
+        untrack(() => reprojectAxis(() => dateStore.setCollapsedTime(filter)));
+    });
+
+    // Watch for view mode changes - use signal to track previous value.
+    // A mode already shown (e.g. reached by zooming and echoed back through
+    // onZoomChange) is left as is, keeping the zoomed column width
     const [prevViewMode, setPrevViewMode] = createSignal(props.options?.view_mode);
     createEffect(() => {
         const viewMode = props.options?.view_mode;
         const prev = prevViewMode();
         if (viewMode && viewMode !== prev) {
             setPrevViewMode(viewMode);
-            dateStore.changeViewMode(viewMode);
-            // Re-initialize tasks with new view mode settings
-            if (props.tasks && props.tasks.length > 0) {
-                untrack(() => initializeTasks(props.tasks));
-            }
+            if (viewMode === untrack(dateStore.viewMode).name) return;
+            // Re-projected like a zoom, keeping unsaved edits and the history
+            untrack(() =>
+                keepDateInView(viewportWidth() / 2, () =>
+                    reprojectAxis(() => {
+                        dateStore.setColumnWidth(null);
+                        dateStore.changeViewMode(viewMode);
+                    }),
+                ),
+            );
         }
     });
 
@@ -307,7 +589,10 @@ export function Gantt(props: GanttProps): JSX.Element {
 
     // Compute row layouts based on render mode
     // Simple mode: static heights, maximum performance
-    // Detailed mode: variable heights based on expanded tasks
+    // Simple mode + pack_lanes: rows grow to stack overlapping tasks (held during a drag)
+    // Detailed mode: variable heights based on expanded tasks, overlapping tasks
+    // on sub-rows (by bar extent with pack_lanes, held during a drag too)
+    let lastPacked: Map<string, RowLayout> | undefined;
     const rowLayouts = createMemo((): Map<string, RowLayout> => {
         const resources = resourceStore.displayResources();
         const mode = ganttConfig.renderMode();
@@ -332,12 +617,24 @@ export function Gantt(props: GanttProps): JSX.Element {
 
         // Simple mode: skip all subtask/expansion logic
         if (mode === 'simple') {
-            return calculateSimpleRowLayouts(displayRows, config);
+            if (!ganttConfig.packLanes()) return calculateSimpleRowLayouts(displayRows, config);
+
+            taskStore.positionVersion();
+            if (taskStore.draggingTaskId() && lastPacked) return lastPacked;
+            return (lastPacked = untrack(() =>
+                calculateSimpleRowLayouts(displayRows, { ...config, packLanes: true }, taskStore.tasks),
+            ));
         }
 
         // Detailed mode: full layout with variable heights
         const expandedTasks = ganttConfig.expandedTasks();
-        return calculateRowLayouts(displayRows, config, expandedTasks, taskStore.tasks);
+        if (!ganttConfig.packLanes()) return calculateRowLayouts(displayRows, config, expandedTasks, taskStore.tasks);
+
+        taskStore.positionVersion();
+        if (taskStore.draggingTaskId() && lastPacked) return lastPacked;
+        return (lastPacked = untrack(() =>
+            calculateRowLayouts(displayRows, { ...config, packLanes: true }, expandedTasks, taskStore.tasks),
+        ));
     });
 
     // Sorted row layouts for binary search in virtualization
@@ -366,6 +663,17 @@ export function Gantt(props: GanttProps): JSX.Element {
         });
     });
 
+    // Toggling lane packing: re-process so bars return to uniform row Y when it's off
+    let prevPackLanes = ganttConfig.packLanes();
+    createEffect(() => {
+        const pack = ganttConfig.packLanes();
+        if (pack === prevPackLanes) return;
+        prevPackLanes = pack;
+        untrack(() => {
+            if (props.tasks && props.tasks.length > 0) reloadTasks(props.tasks);
+        });
+    });
+
     // Total content height (variable based on expanded rows)
     const totalContentHeight = createMemo(() => {
         const layouts = rowLayouts();
@@ -406,14 +714,26 @@ export function Gantt(props: GanttProps): JSX.Element {
     });
 
     // Event handlers
-    const handleDateChange = (taskId: string, position: Partial<BarPosition>): void => {
+    // Drags end in the turn their writes are still open in history, so the
+    // operation before them is the last recorded one (see CHANGE APPROVAL)
+    const handleDateChange = (taskId: string, change: DateChangeEvent): void => {
+        proposeDateChange(history.lastOperation(), taskId, change);
+    };
+
+    // Bars rendered outside TaskLayer report raw pixels through the events context
+    const handleContextDateChange = (taskId: string, position: Partial<BarPosition>): void => {
         if (position.x !== undefined && position.width !== undefined) {
-            props.onDateChange?.(taskId, { x: position.x, width: position.width });
+            proposeDateChange(history.lastOperation(), taskId, {
+                ...computeTaskDateUpdate(taskId, position.x, position.width, dateStore.xToDate),
+                x: position.x,
+                width: position.width,
+                cascaded: [],
+            });
         }
     };
 
     const handleProgressChange = (taskId: string, progress: number): void => {
-        props.onProgressChange?.(taskId, progress);
+        proposeProgressChange(history.lastOperation(), taskId, progress);
     };
 
     const handleResizeEnd = (taskId: string): void => {
@@ -421,29 +741,888 @@ export function Gantt(props: GanttProps): JSX.Element {
     };
 
     const handleTaskClick = (taskId: string, event: MouseEvent): void => {
-        // Show modal with task debug info
-        setModalTaskId(taskId);
-        setModalVisible(true);
+        // The click ending a long press that opened the menu
+        if (contextMenu()) return;
+        // Ctrl/Cmd-click toggles and Shift-click extends the selection;
+        // a plain click selects just this task
+        const mode: SelectionMode = event.ctrlKey || event.metaKey ? 'toggle' : event.shiftKey ? 'add' : 'replace';
+        batch(() => {
+            selection.select(taskId, mode);
+            selection.setFocusedId(taskId);
+            hideFocus();
+        });
+        if (mode === 'replace') openTaskEditor(taskId);
         // Also call external handler
         props.onTaskClick?.(taskId, event);
     };
 
+    // The popup shows after popup_delay ms on a bar
+    let popupTimer: ReturnType<typeof setTimeout> | undefined;
+    onCleanup(() => clearTimeout(popupTimer));
+
     const handleTaskHover = (taskId: string, clientX: number, clientY: number): void => {
+        clearTimeout(popupTimer);
         setHoveredTaskId(taskId);
         setPopupPosition({ x: clientX, y: clientY });
-        setPopupVisible(true);
+        const delay = props.options?.popup_delay ?? 0;
+        if (delay > 0) {
+            popupTimer = setTimeout(() => setPopupVisible(true), delay);
+        } else {
+            setPopupVisible(true);
+        }
     };
 
     const handleTaskHoverEnd = (): void => {
+        clearTimeout(popupTimer);
         setPopupVisible(false);
         setHoveredTaskId(null);
     };
 
-    const handleModalClose = (): void => {
-        setModalVisible(false);
-        setModalTaskId(null);
+    const openTaskEditor = (taskId: string): void => {
+        const task = taskStore.getTask(taskId);
+        const bar = taskStore.getBarPosition(taskId);
+        if (!task || !bar) return;
+        setEditedTask(editableTask(unwrap(task), dateStore.xToDate(bar.x), dateStore.xToDate(bar.x + bar.width)));
     };
 
+    // ═══════════════════════════════════════════════════════════════════════════
+    // UNDO / REDO
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Current dates of tasks (after an edit moved them)
+    const currentDateUpdates = (taskIds: Iterable<string>): TaskDateUpdate[] =>
+        [...taskIds].map((id) => {
+            const bar = taskStore.getBarPosition(id)!;
+            return computeTaskDateUpdate(id, bar.x, bar.width, dateStore.xToDate);
+        });
+
+    // Several moved tasks as one date change (first task, the rest cascaded)
+    const toDateChange = (dateUpdates: TaskDateUpdate[]): DateChangeEvent | null => {
+        const [first, ...rest] = dateUpdates;
+        if (!first) return null;
+        const bar = taskStore.getBarPosition(first.taskId);
+        return { ...first, x: bar?.x ?? 0, width: bar?.width ?? 0, cascaded: rest };
+    };
+
+    const reportDateUpdates = (dateUpdates: TaskDateUpdate[]): void => {
+        const change = toDateChange(dateUpdates);
+        if (change) props.onDateChange?.(change.taskId, change);
+    };
+
+    // Report restored schedules like an edit, so controlled parents follow along
+    const reportHistoryChanges = (changes: HistoryChange[]): void => {
+        const dateUpdates: TaskDateUpdate[] = [];
+        const propertyUpdates: TaskPropertyUpdate[] = [];
+        const removed: string[] = [];
+        for (const { id, from, to } of changes) {
+            if (!to) {
+                if (from) removed.push(id);
+                continue;
+            }
+            if (!from || from._bar.x !== to._bar.x || from._bar.width !== to._bar.width) {
+                dateUpdates.push(computeTaskDateUpdate(id, to._bar.x, to._bar.width, dateStore.xToDate));
+            }
+            if (from && from.progress !== to.progress) {
+                props.onProgressChange?.(id, to.progress ?? 0);
+            }
+            if (from && (from.color !== to.color || from.constraints?.locked !== to.constraints?.locked)) {
+                propertyUpdates.push({ taskId: id, color: to.color, locked: to.constraints?.locked ?? false });
+            }
+            if (from && resourceOf(from) !== resourceOf(to)) {
+                props.onResourceChange?.(id, resourceOf(from), resourceOf(to));
+            }
+            if (from && from.dependencies !== to.dependencies) syncDependencies(id);
+        }
+
+        reportDateUpdates(dateUpdates);
+        if (propertyUpdates.length > 0) props.onTasksUpdate?.(propertyUpdates);
+        if (removed.length > 0) props.onTasksDelete?.(removed);
+    };
+
+    const undo = (): void => {
+        if (!canEdit()) return;
+        const changes = history.undo();
+        if (changes) reportHistoryChanges(changes);
+    };
+
+    const redo = (): void => {
+        if (!canEdit()) return;
+        const changes = history.redo();
+        if (changes) reportHistoryChanges(changes);
+    };
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CHANGE APPROVAL
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Edits are reported once the onBefore* hooks accept them (see useChangeApproval)
+    const {
+        beforeDateChange,
+        beforeProgressChange,
+        beforeDependencyChange,
+        pendingTasks,
+        canEdit,
+        proposeDateChange,
+        proposeProgressChange,
+        proposeDependencyChange,
+        proposeTaskEdit,
+        deferResourceChange,
+    } = useChangeApproval({
+        events: props,
+        history,
+        taskStore,
+        readonly: ganttConfig.readonly,
+        currentDateUpdates,
+        toDateChange,
+        syncDependencies: (taskId) => syncDependencies(taskId),
+        replaceDates: (taskId, start, end, resource) => {
+            const result = resolveConstraintsInTime(taskId, start, end, timeContext());
+            if (result.blocked) return;
+            history.transaction(() => {
+                if (resource) reassignResource(taskId, resource);
+                const x = dateStore.dateToX(result.start);
+                taskStore.updateBarPosition(taskId, { x, width: dateStore.dateToX(result.end) - x });
+                applyCascade(result.cascadeUpdates);
+            });
+            reportDateUpdates(currentDateUpdates([taskId, ...result.cascadeUpdates.keys()]));
+        },
+    });
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // SELECTION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Selectable bars, the marquee drag and onSelectionChange (see useTaskSelection)
+    const { isSelectable, barRect, tasksInRect, selectedTasks, marquee, startMarquee, toSvgCoords } = useTaskSelection({
+        events: props,
+        selection,
+        taskStore,
+        ganttConfig,
+        rowLayouts,
+        // With onTaskCreate, a plain drag that stays in its resource row draws
+        // a new task (see TASK CREATION)
+        draftRowAt: (y) => (canCreateTasks() ? resourceRowAtY(y) : null),
+        onDraft: (draft) => setTaskDraft(draft && draftSpan(draft.resource, draft.fromX, draft.toX)),
+        onDraftEnd: () => {
+            const draft = taskDraft();
+            setTaskDraft(null);
+            if (draft) createTaskAt(draft.resource, draft.x, draft.x + draft.width);
+        },
+    });
+
+    const handleContentPointerDown = (e: PointerEvent): void => {
+        if (e.button !== 0) return;
+        hideFocus();
+        startMarquee(e);
+    };
+
+    // Bulk edits: each is one undoable operation
+
+    const deleteSelected = (): void => {
+        if (!canEdit()) return;
+        const ids = new Set<string>();
+        for (const task of selectedTasks()) {
+            ids.add(task.id);
+            for (const child of collectDescendants(task.id, taskStore.tasks)) ids.add(child);
+        }
+        if (ids.size === 0) return;
+
+        history.transaction(() => batch(() => ids.forEach((id) => taskStore.removeTask(id))));
+        selection.clear();
+        props.onTasksDelete?.([...ids]);
+    };
+
+    const updateSelected = (changes: (task: ProcessedTask) => Partial<ProcessedTask>): void => {
+        if (!canEdit()) return;
+        const updates: TaskPropertyUpdate[] = [];
+        history.transaction(() =>
+            batch(() => {
+                for (const task of selectedTasks()) {
+                    const next = { ...task, ...changes(task) };
+                    taskStore.updateTask(task.id, next);
+                    updates.push({ taskId: task.id, color: next.color, locked: next.constraints?.locked ?? false });
+                }
+            }),
+        );
+        if (updates.length > 0) props.onTasksUpdate?.(updates);
+    };
+
+    const lockSelected = (locked: LockState = true): void => {
+        updateSelected((task) => ({ constraints: { ...task.constraints, locked } }));
+    };
+
+    const recolorSelected = (color: string): void => {
+        updateSelected(() => ({ color }));
+    };
+
+    // A task's dates `days` days later: working days on its calendar (keeping
+    // its working time), calendar days without one
+    const shiftSpan = (taskId: string, span: TaskTimeSpan, days: number): TaskTimeSpan => {
+        const calendar = resourceStore.getCalendar(taskStore.getTask(taskId)?.resource) ?? ganttConfig.calendar();
+        if (!calendar) return { start: date_utils.add(span.start, days, 'day'), end: date_utils.add(span.end, days, 'day') };
+        const start = calendar.addWorkingTime(span.start, days * calendar.hoursPerDay, 'start');
+        return { start, end: calendar.addWorkingTime(start, calendar.workingHoursBetween(span.start, span.end), 'end') };
+    };
+
+    /**
+     * Move the selection by whole days, like dragging it: dependents and
+     * subtasks move along, locked tasks stay, and moving earlier stops at the
+     * first day a predecessor or constraint doesn't allow.
+     */
+    const shiftSelected = (days: number): void => {
+        if (!canEdit() || ganttConfig.readonlyDates() || !days) return;
+
+        const rels = relationships();
+        const moving = new Set<string>();
+        for (const task of selectedTasks()) {
+            if (moving.has(task.id)) continue;
+            collectDependentTasks(task.id, rels, taskStore.getTask, moving);
+            if (!moving.has(task.id)) continue; // Locked
+            for (const child of collectDescendants(task.id, taskStore.tasks)) moving.add(child);
+        }
+
+        const context = timeContext();
+        const originals = new Map<string, TaskTimeSpan>();
+        for (const id of moving) {
+            const span = context.getTaskSpan(id);
+            if (span) originals.set(id, span);
+        }
+        if (originals.size === 0) return;
+
+        const shiftAll = (by: number): Map<string, TaskTimeSpan> =>
+            new Map([...originals].map(([id, span]) => [id, shiftSpan(id, span, by)]));
+
+        // Each task checked against the rest already shifted
+        const allowed = (spans: Map<string, TaskTimeSpan>): boolean =>
+            [...spans].every(([id, span]) => {
+                const result = resolveConstraintsInTime(id, span.start, span.end, {
+                    ...context,
+                    getTaskSpan: (other) => (other === id ? originals.get(id)! : (spans.get(other) ?? context.getTaskSpan(other))),
+                });
+                return !result.blocked && result.start.getTime() === span.start.getTime();
+            });
+
+        let step = days;
+        let spans = shiftAll(step);
+        while (step < 0 && !allowed(spans)) spans = shiftAll(++step);
+        if (step === 0) return;
+
+        const since = history.lastOperation();
+        history.transaction(() =>
+            batch(() => {
+                for (const [id, span] of spans) {
+                    const x = dateStore.dateToX(span.start);
+                    taskStore.updateBarPosition(id, { x, width: dateStore.dateToX(span.end) - x });
+                }
+            }),
+        );
+        const change = toDateChange(currentDateUpdates(originals.keys()));
+        if (change) proposeDateChange(since, change.taskId, change);
+    };
+
+    /**
+     * Move tasks to the dates levelResources proposed. The moves already form
+     * a consistent schedule, so nothing cascades; they're reported like a
+     * shiftSelected (first move, the rest in `cascaded`).
+     */
+    const applyLeveling = (moves: LevelingMove[]): void => {
+        if (!canEdit() || ganttConfig.readonlyDates()) return;
+        const known = moves.filter((move) => taskStore.getBarPosition(move.taskId));
+        if (known.length === 0) return;
+
+        const since = history.lastOperation();
+        history.transaction(() =>
+            batch(() => {
+                for (const move of known) {
+                    const x = dateStore.dateToX(move.start);
+                    taskStore.updateBarPosition(move.taskId, { x, width: dateStore.dateToX(move.end) - x });
+                }
+            }),
+        );
+        const change = toDateChange(currentDateUpdates(known.map((move) => move.taskId)));
+        if (change) proposeDateChange(since, change.taskId, change);
+    };
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // RESOURCE DRAG
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Dragging a bar vertically moves it to the resource row under the bar's
+    // center on drop. The date change of the same drag is reported first, and
+    // both are one undoable operation (writes in the drag-end turn).
+
+    // Resource row containing a content Y (group header rows don't take tasks)
+    const resourceRowAtY = (y: number): (RowLayout & { id: string }) | null => {
+        const rows = sortedRowLayouts();
+        const row = rows[findRowAtY(rows, y)];
+        if (!row || y < row.y || y >= row.y + row.height || row.type === 'group') return null;
+        return row;
+    };
+
+    // Resource row highlighted as the drop target
+    const [dropResource, setDropResource] = createSignal<string | null>(null);
+    const dropRow = createMemo(() => {
+        const id = dropResource();
+        return id ? rowLayouts().get(id) ?? null : null;
+    });
+
+    const handleRowDrag = (taskId: string, centerY: number): void => {
+        const task = taskStore.getTask(taskId);
+        const row = resourceRowAtY(centerY);
+        setDropResource(task && row && row.id !== resourceOf(task) ? row.id : null);
+    };
+
+    const handleRowDrop = (taskId: string, centerY: number): void => {
+        setDropResource(null);
+        const task = taskStore.getTask(taskId);
+        const row = resourceRowAtY(centerY);
+        if (!task || !row || row.id === resourceOf(task)) return;
+        reassignResource(taskId, row.id);
+    };
+
+    // Bar Y at the top of a resource row (lane and subtask layouts refine it)
+    const rowBarY = (resource: string): number | undefined => {
+        const layout = rowLayouts().get(resource);
+        return layout ? (layout.contentY ?? layout.y + ganttConfig.padding() / 2) : undefined;
+    };
+
+    /**
+     * Move a task, and its subtasks that share its resource, to another
+     * resource row. Row layout and arrows follow the new bar Y.
+     */
+    const reassignResource = (taskId: string, toResource: string): void => {
+        const fromResource = resourceOf(taskStore.getTask(taskId));
+        const rowIndex = resourceStore.resourceIndexMap().get(toResource) ?? -1;
+        const barY = rowBarY(toResource);
+
+        const moved: string[] = [];
+        batch(() => {
+            for (const id of [taskId, ...collectDescendants(taskId, taskStore.tasks)]) {
+                const task = taskStore.getTask(id);
+                if (!task || resourceOf(task) !== fromResource) continue;
+                const raw = unwrap(task);
+                taskStore.updateTask(id, {
+                    ...raw,
+                    resource: toResource,
+                    _resourceIndex: rowIndex,
+                    _bar: { ...raw._bar, y: barY ?? raw._bar.y },
+                });
+                moved.push(id);
+            }
+        });
+        const report = (): void => {
+            for (const id of moved) props.onResourceChange?.(id, fromResource, toResource);
+        };
+        // The drop of a drag whose date change awaits approval goes with it
+        if (!deferResourceChange(taskId, toResource, report)) report();
+    };
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // DEPENDENCY DRAWING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Dragging from a bar's start/end connector onto another bar creates a
+    // dependency. The ends used give the type: the press side is the
+    // predecessor's end, the half of the target under the pointer the
+    // successor's (end → start = FS, start → start = SS, ...).
+
+    type ConnectorSide = 'start' | 'end';
+
+    const dependencyType = (fromSide: ConnectorSide, toSide: ConnectorSide): DependencyType =>
+        `${fromSide === 'end' ? 'F' : 'S'}${toSide === 'end' ? 'F' : 'S'}` as DependencyType;
+
+    // Rebuild a successor's incoming relationships from its dependencies (undo/redo)
+    const syncDependencies = (taskId: string): void => {
+        const task = taskStore.getTask(taskId);
+        const incoming = (task?.dependencies ?? [])
+            .filter((dep) => taskStore.getTask(dep.id))
+            .map((dep) => dependencyRelationship(taskId, dep));
+        setRelationships((rels) => [...rels.filter((rel) => rel.to !== taskId), ...incoming]);
+    };
+
+    // A new dependency must not duplicate an existing one or close a cycle
+    const canLink = (fromId: string, toId: string): boolean => {
+        if (fromId === toId) return false;
+        const rels = relationships();
+        if (rels.some((rel) => rel.from === fromId && rel.to === toId)) return false;
+        return !detectCycles([...rels, { from: fromId, to: toId, type: 'FS', lag: 0 }]).hasCycle;
+    };
+
+    // Rubber-band arrow while drawing (snaps to the target bar once over one)
+    const [linkPreview, setLinkPreview] = createSignal<{
+        from: BarPosition;
+        to: BarPosition;
+        type: DependencyType;
+        valid: boolean;
+    } | null>(null);
+
+    // Bar under a content point; connectors sit just outside the bar ends
+    const linkTargetAt = (x: number, y: number): ProcessedTask | undefined => {
+        const [id] = tasksInRect({ x: x - 10, y, width: 20, height: 0 });
+        return id ? taskStore.getTask(id) : undefined;
+    };
+
+    const linkTarget = (
+        move: { svgX: number; svgY: number },
+        data: Record<string, unknown>,
+    ): { task: ProcessedTask; bar: BarPosition; type: DependencyType; valid: boolean } | null => {
+        const fromId = data['fromId'] as string;
+        const task = linkTargetAt(move.svgX, move.svgY);
+        const bar = task && task.id !== fromId ? barRect(task) : null;
+        if (!task || !bar) return null;
+        const toSide: ConnectorSide = move.svgX < bar.x + bar.width / 2 ? 'start' : 'end';
+        return {
+            task,
+            bar,
+            type: dependencyType(data['fromSide'] as ConnectorSide, toSide),
+            valid: canLink(fromId, task.id),
+        };
+    };
+
+    const linkDrag = useDrag({
+        onDragMove: (move, data) => {
+            const source = taskStore.getTask(data['fromId'] as string);
+            const from = source && barRect(source);
+            if (!from) return;
+            const target = linkTarget(move, data);
+            const fromSide = data['fromSide'] as ConnectorSide;
+            setLinkPreview(
+                target
+                    ? { from, to: target.bar, type: target.type, valid: target.valid }
+                    : {
+                          from,
+                          to: { x: move.svgX, y: move.svgY, width: 0, height: 0 },
+                          type: dependencyType(fromSide, 'start'),
+                          valid: true,
+                      },
+            );
+        },
+        onDragEnd: (move, data) => {
+            setLinkPreview(null);
+            const target = linkTarget(move, data);
+            if (target?.valid) createDependency(data['fromId'] as string, target.task.id, target.type);
+        },
+    });
+
+    const handleConnectorPointerDown = (taskId: string, side: ConnectorSide, e: PointerEvent): void => {
+        if (e.button !== 0 || !canEdit()) return;
+        hideFocus();
+        linkDrag.startDrag(e, 'connecting', { fromId: taskId, fromSide: side });
+    };
+
+    /**
+     * Add a dependency to the successor and push it (with its own successors)
+     * to satisfy it, as one undoable operation. Returns the pushed tasks.
+     */
+    const addDependency = (relationship: Relationship): TaskDateUpdate[] => {
+        const successor = taskStore.getTask(relationship.to);
+        if (!successor || !canLink(relationship.from, relationship.to)) return [];
+        const { from, to, type, lag } = relationship;
+
+        let cascaded = new Map<string, TaskTimeSpan>();
+        history.transaction(() => {
+            const raw = unwrap(successor);
+            taskStore.updateTask(to, { ...raw, dependencies: [...(raw.dependencies ?? []), { id: from, type, lag }] });
+            setRelationships((rels) => [...rels, relationship]);
+
+            const bar = taskStore.getBarPosition(from);
+            if (!bar) return;
+            cascaded = calculateCascadeUpdatesInTime(from, dateStore.xToDate(bar.x), timeContext());
+            applyCascade(cascaded);
+        });
+        return currentDateUpdates(cascaded.keys());
+    };
+
+    const createDependency = (fromId: string, toId: string, type: DependencyType): void => {
+        if (!taskStore.getTask(toId) || !canLink(fromId, toId)) return;
+        const relationship: Relationship = { from: fromId, to: toId, type, lag: 0, elastic: true };
+        const report = (rel: Relationship, cascaded: TaskDateUpdate[]): void => {
+            props.onDependencyCreate?.(rel);
+            reportDateUpdates(cascaded);
+        };
+
+        const since = history.lastOperation();
+        const cascaded = addDependency(relationship);
+        proposeDependencyChange(
+            since,
+            { action: 'create', dependency: relationship, cascaded },
+            () => report(relationship, cascaded),
+            (fields) => {
+                const replaced = { ...relationship, ...fields };
+                report(replaced, addDependency(replaced));
+            },
+        );
+    };
+
+    /** Remove a dependency from its successor, as one undoable operation */
+    const deleteDependency = (relationship: Relationship): void => {
+        const successor = taskStore.getTask(relationship.to);
+        if (!successor) return;
+        history.transaction(() => {
+            const raw = unwrap(successor);
+            taskStore.updateTask(relationship.to, {
+                ...raw,
+                dependencies: (raw.dependencies ?? []).filter((dep) => dep.id !== relationship.from),
+            });
+        });
+        setRelationships((rels) => rels.filter((rel) => rel !== relationship));
+    };
+
+    const removeDependency = (fromId: string, toId: string): void => {
+        const relationship = relationships().find((rel) => rel.from === fromId && rel.to === toId);
+        if (!relationship || !canEdit()) return;
+
+        const since = history.lastOperation();
+        deleteDependency(relationship);
+        // A removal can only be accepted or rejected: a replacement removes it again
+        proposeDependencyChange(
+            since,
+            { action: 'delete', dependency: relationship, cascaded: [] },
+            () => props.onDependencyDelete?.(relationship),
+            () => {
+                deleteDependency(relationship);
+                props.onDependencyDelete?.(relationship);
+            },
+        );
+    };
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // TASK CREATION
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Drawing on an empty row (the marquee drag) or double-clicking a cell
+    // proposes a task through onTaskCreate; accepted tasks are added as one
+    // undoable operation and selected.
+
+    const canCreateTasks = (): boolean => !!props.onTaskCreate && canEdit();
+
+    // Bar being drawn
+    const [taskDraft, setTaskDraft] = createSignal<{ resource: string; x: number; width: number } | null>(null);
+
+    // Whole columns covered by [fromX, toX] (at least one), clear of ignored columns
+    const draftSpan = (resource: string, fromX: number, toX: number): { resource: string; x: number; width: number } => {
+        const colWidth = dateStore.columnWidth();
+        const ignored = ganttConfig.ignoredPositions();
+        const x = snapToGrid(Math.floor(Math.min(fromX, toX) / colWidth) * colWidth, colWidth, ignored);
+        const endX = skipIgnoredEnd(
+            Math.max(x + colWidth, Math.ceil(Math.max(fromX, toX) / colWidth) * colWidth),
+            colWidth,
+            ignored,
+        );
+        return { resource, x, width: endX - x };
+    };
+
+    let createdTaskCount = 0;
+    const newTaskId = (): string => {
+        let id: string;
+        do {
+            id = `new-task-${++createdTaskCount}`;
+        } while (taskStore.getTask(id));
+        return id;
+    };
+
+    const createTaskAt = (resource: string, x: number, endX: number, predecessor?: string): void => {
+        if (!canCreateTasks()) return;
+        const start = dateStore.xToDate(x);
+        const end = dateStore.xToDate(endX);
+        const startString = date_utils.format(start, 'YYYY-MM-DD HH:mm');
+        const endString = date_utils.format(end, 'YYYY-MM-DD HH:mm');
+
+        const result = props.onTaskCreate?.({ resource, start, end, startString, endString, predecessor });
+        if (result === false) return;
+        const raw: GanttTask = {
+            id: newTaskId(),
+            name: 'New task',
+            progress: 0,
+            resource,
+            start: startString,
+            end: endString,
+            ...(predecessor ? { dependencies: [{ id: predecessor, type: 'FS' as const, lag: 0 }] } : {}),
+            ...(typeof result === 'object' ? result : {}),
+        };
+        // An ID already in the chart rejects the task
+        if (taskStore.getTask(raw.id)) {
+            console.warn(`onTaskCreate: task ID "${raw.id}" is already in the chart, task not added`);
+            return;
+        }
+
+        const [task] = processTasks([raw], positionConfig(), resourceStore.resourceIndexMap()).tasks;
+        if (!task) return;
+        const barY = rowBarY(resourceOf(task));
+        history.transaction(() => {
+            taskStore.updateTask(task.id, {
+                ...task,
+                _index: taskStore.taskCount(),
+                _bar: { ...task._bar, y: barY ?? task._bar.y },
+            });
+        });
+        if (task.dependencies.length > 0) syncDependencies(task.id);
+        selection.select(task.id);
+    };
+
+    // A one-column task at a content X of a row
+    const addTaskAt = (resource: string, x: number): void => {
+        const span = draftSpan(resource, x, x);
+        createTaskAt(resource, span.x, span.x + span.width);
+    };
+
+    const handleContentDoubleClick = (e: MouseEvent): void => {
+        if (!canCreateTasks()) return;
+        const { x, y } = toSvgCoords(e.clientX, e.clientY, e.currentTarget as SVGSVGElement);
+        const row = resourceRowAtY(y);
+        if (row) addTaskAt(row.id, x);
+    };
+
+    // A one-column task right after a task's end, in its row, depending on it
+    const addSuccessor = (taskId: string): void => {
+        const task = taskStore.getTask(taskId);
+        const bar = taskStore.getBarPosition(taskId);
+        if (!task || !bar) return;
+        const colWidth = dateStore.columnWidth();
+        const afterEnd = Math.ceil((bar.x + bar.width) / colWidth) * colWidth;
+        const span = draftSpan(resourceOf(task), afterEnd, afterEnd);
+        createTaskAt(span.resource, span.x, span.x + span.width, taskId);
+    };
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // TASK EDITING
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // The details panel checks every draft here: the edited task is run through
+    // processTasks on its own and settled by the constraint engine against the
+    // rest of the chart (see utils/taskEdit).
+
+    const checkEdit = (task: GanttTask): TaskEditCheck =>
+        checkTaskEdit(
+            task,
+            (raw) => processTasks([raw], positionConfig(), resourceStore.resourceIndexMap()).tasks[0],
+            timeContext(),
+        );
+
+    /**
+     * Apply the panel's task, with the successors its new schedule pushes, as
+     * one undoable operation. Returns the edit to report through onTaskEdit
+     * (null if the task doesn't check out); `before` is the task as opened.
+     */
+    const applyTaskEdit = (raw: GanttTask, before: GanttTask | null): TaskEditEvent | null => {
+        const previous = taskStore.getTask(raw.id);
+        const check = checkEdit(raw);
+        const { task, start, end } = check;
+        if (!previous || !task || !start || !end || check.errors.length > 0) return null;
+
+        // Keep the entered fields unless the engine moved the task
+        const saved: GanttTask = check.adjusted
+            ? { ...raw, start: date_utils.format(start, 'YYYY-MM-DD HH:mm'), end: date_utils.format(end, 'YYYY-MM-DD HH:mm') }
+            : raw;
+        const x = dateStore.dateToX(start);
+        const resourceChanged = resourceOf(previous) !== resourceOf(task);
+
+        history.transaction(() => {
+            taskStore.updateTask(task.id, {
+                ...unwrap(previous),
+                ...task,
+                start: saved.start,
+                end: saved.end,
+                _start: start,
+                _end: end,
+                _index: previous._index,
+                _children: previous._children,
+                _depth: previous._depth,
+                _bar: {
+                    ...task._bar,
+                    x,
+                    width: dateStore.dateToX(end) - x,
+                    y: resourceChanged ? (rowBarY(resourceOf(task)) ?? task._bar.y) : previous._bar.y,
+                },
+            });
+            setRelationships(check.relationships);
+            applyCascade(check.cascadeUpdates);
+        });
+
+        const changed = (Object.keys({ ...before, ...saved }) as (keyof GanttTask)[]).filter(
+            (key) => JSON.stringify(before?.[key]) !== JSON.stringify(saved[key]),
+        );
+        return { taskId: task.id, task: saved, changed, cascaded: currentDateUpdates(check.cascadeUpdates.keys()) };
+    };
+
+    /** Save the panel's task, reported once the onBefore* hooks accept it */
+    const saveTaskEdit = (raw: GanttTask): void => {
+        const current = taskStore.getTask(raw.id);
+        if (!current || !canEdit()) return;
+        const previous = { ...unwrap(current), _bar: { ...current._bar } };
+        const before = editedTask();
+
+        const since = history.lastOperation();
+        const edit = applyTaskEdit(raw, before);
+        if (!edit) return;
+        setEditedTask(null);
+        proposeTaskEdit(since, previous, edit, (task) => applyTaskEdit(task, before));
+    };
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // CONTEXT MENU
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Default actions per target, onContextMenu and the built-in menu (see useContextMenu)
+    const { contextMenuEnabled, contextMenu, closeContextMenu, handleContextMenu } = useContextMenu({
+        events: props,
+        builtInMenu: () => !!props.options?.context_menu,
+        taskStore,
+        resourceStore,
+        ganttConfig,
+        dateStore,
+        selection,
+        relationships,
+        svgElement: () => containerApi()?.getSvgElement?.(),
+        toSvgCoords,
+        resourceRowAtY,
+        canEdit,
+        canCreateTasks,
+        isSelectable,
+        actions: {
+            openTaskEditor,
+            addSuccessor,
+            addTaskAt,
+            lockSelected,
+            deleteSelected,
+            removeDependency,
+        },
+    });
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // KEYBOARD & API
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    // Time-domain constraint context from the current bars (as TaskLayer builds it)
+    const timeContext = (): TimeConstraintContext => ({
+        getTaskSpan: (id) => {
+            const bar = taskStore.getBarPosition(id);
+            if (!bar) return null;
+            return { start: dateStore.xToDate(bar.x), end: dateStore.xToDate(bar.x + bar.width) };
+        },
+        getTask: taskStore.getTask,
+        relationships: relationships(),
+        relationshipIndex: buildRelationshipIndex(relationships()),
+        calendar: ganttConfig.calendar(),
+        getCalendar: (id) => resourceStore.getCalendar(taskStore.getTask(id)?.resource),
+    });
+
+    const applyCascade = (updates: Map<string, TaskTimeSpan>): void => {
+        for (const [succId, span] of updates) {
+            const x = dateStore.dateToX(span.start);
+            taskStore.updateBarPosition(succId, { x, width: dateStore.dateToX(span.end) - x });
+        }
+    };
+
+    // Roving focus, shortcuts and keyboard edits of the focused task (see useChartKeyboard)
+    const { focusVisible, hideFocus, handleKeyDown } = useChartKeyboard({
+        events: props,
+        selection,
+        taskStore,
+        dateStore,
+        ganttConfig,
+        resourceStore,
+        history,
+        canEdit,
+        isSelectable,
+        barRect,
+        scrollRectIntoView: (rect) => containerApi()?.scrollRectIntoView?.(rect),
+        timeContext,
+        applyCascade,
+        currentDateUpdates,
+        toDateChange,
+        proposeDateChange,
+        proposeProgressChange,
+        actions: { undo, redo, openTaskEditor, deleteSelected },
+    });
+
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ZOOM
+    // ═══════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Run an axis change and scroll so the date that was at `viewportX` is
+     * there again (a new view mode or width moves every date).
+     */
+    const keepDateInView = (viewportX: number, change: () => void): void => {
+        const api = containerApi();
+        const anchorDate = dateStore.xToDate((api?.getScrollLeft() ?? 0) + viewportX);
+        batch(change);
+        api?.scrollTo(Math.max(0, dateStore.dateToX(anchorDate) - viewportX), false);
+    };
+
+    /**
+     * Change the time axis (mode, column width, collapsing) and re-project the
+     * bars through their dates rather than reloading them from props, so
+     * unsaved edits and the undo history carry over.
+     */
+    const reprojectAxis = (change: () => void): void => {
+        const tasks = taskStore.getAllTasks().map((task) => unwrap(task));
+        if (tasks.length === 0) {
+            batch(change);
+            return;
+        }
+
+        const oldXToDate = dateStore.captureXToDate();
+        const reproject = (bar: { x: number; width: number }): { x: number; width: number } => {
+            const x = dateStore.dateToX(oldXToDate(bar.x));
+            return { x, width: Math.max(0, dateStore.dateToX(oldXToDate(bar.x + bar.width)) - x) };
+        };
+
+        batch(() => {
+            change();
+            // Range padding follows the view mode
+            dateStore.setupDates(
+                tasks.map((task) => ({ _start: oldXToDate(task._bar.x), _end: oldXToDate(task._bar.x + task._bar.width) })),
+            );
+            syncDateConfig();
+
+            taskStore.updateTasks(tasks.map((task) => ({ ...task, _bar: { ...task._bar, ...reproject(task._bar) } })));
+            history.mapBars((task) => reproject(task._bar));
+        });
+    };
+
+    /** Scale the time axis by `factor`, keeping the date at the anchor fixed on screen */
+    const zoomAt = (factor: number, anchor: { contentX: number; viewportX: number }): void => {
+        if (untrack(taskStore.draggingTaskId)) return;
+
+        const current = { mode: dateStore.viewMode(), columnWidth: dateStore.columnWidth() };
+        const next = zoomLevel(dateStore.viewModes(), current, factor, dateStore.baseColumnWidth);
+        if (next.mode === current.mode && Math.abs(next.columnWidth - current.columnWidth) < 0.01) return;
+
+        const anchorDate = dateStore.xToDate(anchor.contentX);
+        reprojectAxis(() => {
+            if (next.mode !== current.mode) dateStore.changeViewMode(next.mode);
+            dateStore.setColumnWidth(next.columnWidth);
+        });
+
+        containerApi()?.scrollTo(Math.max(0, dateStore.dateToX(anchorDate) - anchor.viewportX), false);
+        props.onZoomChange?.({ viewMode: next.mode.name, columnWidth: next.columnWidth });
+    };
+
+    const zoom = (factor: number): void => {
+        const viewportX = viewportWidth() / 2;
+        zoomAt(factor, { contentX: (containerApi()?.getScrollLeft() ?? 0) + viewportX, viewportX });
+    };
+
+    onMount(() => {
+        props.onReady?.({
+            undo,
+            redo,
+            canUndo: history.canUndo,
+            canRedo: history.canRedo,
+            getSelection: selection.getSelection,
+            setSelection: (taskIds) => selection.setSelection(taskIds),
+            clearSelection: selection.clear,
+            deleteSelected,
+            lockSelected,
+            recolorSelected,
+            shiftSelected,
+            applyLeveling,
+            zoom,
+        });
+    });
+
     const handleContainerReady = (api: ContainerAPI): void => {
         setContainerApi(api);
 
@@ -544,19 +1723,158 @@ export function Gantt(props: GanttProps): JSX.Element {
     const arrowConfig = createMemo(() => ({
         stroke: props.options?.arrow_color || '#666',
         curveRadius: props.options?.arrow_curve || 5,
-        headShape: props.options?.arrow_head_shape || 'chevron',
+        headShape: (props.options?.arrow_head_shape || 'chevron') as HeadShape,
         headSize: props.options?.arrow_head_size || 5,
         ...props.arrowConfig,
     }));
 
+    // Arrow layers map bar Y to rows with a uniform row height, so derive their
+    // row range from the pixel Y range (stays correct with variable row heights)
+    const arrowRowRange = createMemo(() => {
+        const { start, end } = viewport.yRange();
+        const rh = rowHeight();
+        return { start: Math.floor(start / rh), end: Math.ceil(end / rh) };
+    });
+
+    // Leaf task spans from the bars, as the critical path schedules them
+    const scheduledTasks = (): ScheduleTask[] => {
+        const scheduled: ScheduleTask[] = [];
+        for (const task of taskStore.getAllTasks()) {
+            if (task.type === 'summary' || task.type === 'project' || !task._bar) continue;
+            scheduled.push({
+                id: task.id,
+                start: dateStore.xToDate(task._bar.x),
+                end: dateStore.xToDate(task._bar.x + task._bar.width),
+            });
+        }
+        return scheduled;
+    };
+
+    // Critical path highlighting (critical_path option). Recomputed after position
+    // writes, but held during a drag so bars don't flicker mid-gesture.
+    // Summaries are marked when any descendant is critical.
+    let lastCritical: { tasks: Set<string>; relationships: Set<string> } | undefined;
+    const criticalPath = createMemo(() => {
+        if (!ganttConfig.showCriticalPath()) return (lastCritical = undefined);
+
+        taskStore.positionVersion();
+        const rels = relationships();
+        const calendar = ganttConfig.calendar();
+        if (taskStore.draggingTaskId() && lastCritical) return lastCritical;
+
+        return untrack(() => {
+            const result = computeCriticalPath(scheduledTasks(), rels, { calendar });
+            const tasks = new Set(result.criticalPath);
+            for (const id of result.criticalPath) {
+                let parentId = taskStore.getTask(id)?.parentId;
+                while (parentId && !tasks.has(parentId)) {
+                    tasks.add(parentId);
+                    parentId = taskStore.getTask(parentId)?.parentId;
+                }
+            }
+
+            return (lastCritical = { tasks, relationships: result.criticalRelationships });
+        });
+    });
+
+    // CPM timings for popup floats, recomputed only once the schedule changed
+    let scheduleCache:
+        | { version: number; relationships: Relationship[]; schedules: Map<string, TaskSchedule> }
+        | undefined;
+    const taskSchedule = (taskId: string): TaskSchedule | undefined => {
+        const version = taskStore.positionVersion();
+        const rels = relationships();
+        if (scheduleCache?.version !== version || scheduleCache.relationships !== rels) {
+            const calendar = ganttConfig.calendar();
+            const { schedules } = untrack(() => computeCriticalPath(scheduledTasks(), rels, { calendar }));
+            scheduleCache = { version, relationships: rels, schedules };
+        }
+        return scheduleCache.schedules.get(taskId);
+    };
+
+    // Hovered task as a custom popup sees it (hidden while dragging)
+    const popupInfo = createMemo((): TaskPopupInfo | null => {
+        const task = hoveredTask();
+        const bar = task && taskStore.getBarPosition(task.id);
+        if (!props.popupContent || !task || !bar || !popupVisible() || taskStore.draggingTaskId()) return null;
+
+        const start = dateStore.xToDate(bar.x);
+        const end = dateStore.xToDate(bar.x + bar.width);
+        const calendar = resourceStore.getCalendar(task.resource) ?? ganttConfig.calendar();
+        const schedule = taskSchedule(task.id);
+        const rels = relationships();
+        return {
+            task,
+            start,
+            end,
+            duration: calendar ? calendar.workingHoursBetween(start, end) : (end.getTime() - start.getTime()) / 3_600_000,
+            float: schedule?.totalFloat ?? null,
+            critical: schedule?.critical ?? false,
+            predecessors: rels.filter((rel) => rel.to === task.id),
+            successors: rels.filter((rel) => rel.from === task.id),
+        };
+    });
+
+    // Resource over-allocation (show_conflicts option / onResourceConflicts).
+    // Spans come from the bars like the critical path, and are held during a
+    // drag. Writes that leave the conflicts as they were (progress, colors, row
+    // Y) keep the previous result, so onResourceConflicts fires on changes only.
+    let lastConflicts: ResourceConflict[] | undefined;
+    const resourceConflicts = createMemo((): ResourceConflict[] | undefined => {
+        if (!ganttConfig.showConflicts() && !props.onResourceConflicts) return (lastConflicts = undefined);
+
+        taskStore.positionVersion();
+        if (taskStore.draggingTaskId() && lastConflicts) return lastConflicts;
+
+        return untrack(() => {
+            const spans: ConflictTask[] = [];
+            for (const task of taskStore.getAllTasks()) {
+                if (!task._bar) continue;
+                spans.push({
+                    id: task.id,
+                    resource: task.resource,
+                    type: task.type,
+                    _children: task._children,
+                    _start: dateStore.xToDate(task._bar.x),
+                    _end: dateStore.xToDate(task._bar.x + task._bar.width),
+                });
+            }
+            return (lastConflicts = findResourceConflicts(spans));
+        });
+    }, undefined, { equals: sameResourceConflicts });
+
+    // Conflict markers: dashed outline on the bars, red band over the overlap in the grid
+    const conflictMarkers = createMemo(() => {
+        const conflicts = resourceConflicts();
+        if (!ganttConfig.showConflicts() || !conflicts) return undefined;
+
+        const tasks = new Set<string>();
+        for (const conflict of conflicts) {
+            tasks.add(conflict.taskIds[0]);
+            tasks.add(conflict.taskIds[1]);
+        }
+        return { tasks, bands: mergeResourceConflicts(conflicts) };
+    });
+
+    createEffect(() => {
+        const conflicts = resourceConflicts();
+        if (conflicts) untrack(() => props.onResourceConflicts?.(conflicts));
+    });
+
+    // Optionally hide arrows while scroll events are firing
+    const showArrows = (): boolean => !(props.options?.hide_arrows_on_scroll && isScrolling());
+
     return (
         <GanttEventsProvider
-            onDateChange={handleDateChange}
+            onDateChange={handleContextDateChange}
             onProgressChange={handleProgressChange}
             onResizeEnd={handleResizeEnd}
             onTaskClick={handleTaskClick}
             onHover={handleTaskHover}
             onHoverEnd={handleTaskHoverEnd}
+            onBeforeDateChange={beforeDateChange()}
+            onBeforeProgressChange={beforeProgressChange()}
+            onBeforeDependencyChange={beforeDependencyChange()}
         >
             <GanttContainer
                 ganttConfig={ganttConfig}
@@ -566,6 +1884,11 @@ export function Gantt(props: GanttProps): JSX.Element {
                 resourceColumnWidth={resourceColumnWidth()}
                 resourceHeaderLabel="Resource"
                 onContainerReady={handleContainerReady}
+                onKeyDown={handleKeyDown}
+                onContentPointerDown={handleContentPointerDown}
+                onContentDoubleClick={handleContentDoubleClick}
+                onContextMenu={contextMenuEnabled() ? handleContextMenu : undefined}
+                onZoom={zoomAt}
                 resourceColumn={
                     <ResourceColumn
                         resourceStore={resourceStore}
@@ -596,11 +1919,13 @@ export function Gantt(props: GanttProps): JSX.Element {
                             endRow={viewport.rowRange().end}
                             startX={viewport.xRange().start}
                             endX={viewport.xRange().end}
+                            renderBarContent={props.barContent}
                         />
                     ) : (
                         <TaskLayer
                             taskStore={taskStore}
                             ganttConfig={ganttConfig}
+                            dateStore={dateStore}
                             relationships={relationships()}
                             resourceStore={resourceStore}
                             onDateChange={handleDateChange}
@@ -614,6 +1939,15 @@ export function Gantt(props: GanttProps): JSX.Element {
                             startX={viewport.xRange().start}
                             endX={viewport.xRange().end}
                             rowLayouts={rowLayouts()}
+                            criticalTasks={criticalPath()?.tasks}
+                            conflictTasks={conflictMarkers()?.tasks}
+                            pendingTasks={pendingTasks()}
+                            selection={selection}
+                            showFocus={focusVisible()}
+                            onRowDrag={handleRowDrag}
+                            onRowDrop={handleRowDrop}
+                            onConnectorPointerDown={handleConnectorPointerDown}
+                            renderBarContent={props.barContent}
                         />
                     )
                 }
@@ -632,24 +1966,146 @@ export function Gantt(props: GanttProps): JSX.Element {
                     endRow={viewport.rowRange().end}
                     resourceStore={resourceStore}
                     rowLayouts={rowLayouts()}
+                    ignoredPositions={ganttConfig.ignoredPositions()}
+                    dateToX={dateStore.dateToX}
+                    xToDate={dateStore.xToDate}
+                    startX={viewport.xRange().start}
+                    endX={viewport.xRange().end}
+                    conflicts={conflictMarkers()?.bands}
                 />
+
+                {/* Dependency arrows (above grid, below HTML bars layer) */}
+                <Show when={showArrows()}>
+                    <Show
+                        when={props.arrowRenderer === 'batched'}
+                        fallback={
+                            <ArrowLayer
+                                relationships={relationships()}
+                                taskStore={taskStore}
+                                startRow={arrowRowRange().start}
+                                endRow={arrowRowRange().end}
+                                rowHeight={rowHeight()}
+                                arrowConfig={arrowConfig()}
+                                criticalRelationships={criticalPath()?.relationships}
+                                hitWidth={contextMenuEnabled() ? 8 : undefined}
+                            />
+                        }
+                    >
+                        <ArrowLayerBatched
+                            relationships={relationships()}
+                            taskStore={taskStore}
+                            startRow={arrowRowRange().start}
+                            endRow={arrowRowRange().end}
+                            rowHeight={rowHeight()}
+                            startX={viewport.xRange().start}
+                            endX={viewport.xRange().end}
+                            positionVersion={taskStore.positionVersion()}
+                            arrowConfig={arrowConfig()}
+                            criticalRelationships={criticalPath()?.relationships}
+                        />
+                    </Show>
+                </Show>
+
+                {/* Resource row a dragged bar would drop into */}
+                <Show when={dropRow()}>
+                    {(row) => (
+                        <rect
+                            class="resource-drop-target"
+                            x={0}
+                            y={row().y}
+                            width={gridWidth()}
+                            height={row().height}
+                            fill="var(--g-drop-target-color, rgba(44, 123, 229, 0.12))"
+                            pointer-events="none"
+                        />
+                    )}
+                </Show>
+                <Show when={taskDraft()}>
+                    {(draft) => (
+                        <rect
+                            class="task-draft"
+                            x={draft().x}
+                            y={rowBarY(draft().resource) ?? 0}
+                            width={draft().width}
+                            height={ganttConfig.barHeight()}
+                            rx={ganttConfig.barCornerRadius()}
+                            fill="var(--g-draft-color, rgba(44, 123, 229, 0.25))"
+                            stroke="var(--g-selected-color, #2c7be5)"
+                            stroke-dasharray="4 2"
+                            pointer-events="none"
+                        />
+                    )}
+                </Show>
+                <Show when={linkPreview()}>
+                    {(preview) => (
+                        <Arrow
+                            class="dependency-preview"
+                            from={preview().from}
+                            to={preview().to}
+                            dependencyType={preview().type}
+                            curveRadius={arrowConfig().curveRadius}
+                            headShape={arrowConfig().headShape}
+                            headSize={arrowConfig().headSize}
+                            stroke={
+                                preview().valid
+                                    ? 'var(--g-selected-color, #2c7be5)'
+                                    : 'var(--g-conflict-color, #e74c3c)'
+                            }
+                            strokeWidth={2}
+                            strokeDasharray="5 3"
+                        />
+                    )}
+                </Show>
+                {/* Marquee selection rectangle */}
+                <Show when={marquee()}>
+                    {(rect) => (
+                        <rect
+                            class="selection-marquee"
+                            x={rect().x}
+                            y={rect().y}
+                            width={rect().width}
+                            height={rect().height}
+                            fill="var(--g-marquee-fill, rgba(44, 123, 229, 0.1))"
+                            stroke="var(--g-selected-color, #2c7be5)"
+                            stroke-dasharray="4 2"
+                            pointer-events="none"
+                        />
+                    )}
+                </Show>
             </GanttContainer>
 
             {/* Hover popup */}
             <TaskDataPopup
-                visible={popupVisible}
+                visible={() => popupVisible() && !taskStore.draggingTaskId()}
                 position={popupPosition}
                 task={hoveredTask as Accessor<GanttTask | null>}
                 barPosition={hoveredBarPosition as Accessor<BarPosition | null>}
+                content={
+                    props.popupContent &&
+                    (() => {
+                        const info = popupInfo();
+                        return info ? props.popupContent?.(info) : null;
+                    })
+                }
+            />
+
+            {/* Task details */}
+            <TaskEditor
+                visible={() => editedTask() !== null}
+                task={editedTask}
+                tasks={() => taskStore.getAllTasks().map((task) => ({ id: task.id, name: task.name }))}
+                resources={() => resourceStore.resources().filter((r) => r.type !== 'group').map((r) => r.id)}
+                readonly={() => !canEdit()}
+                validate={checkEdit}
+                onSave={saveTaskEdit}
+                onClose={() => setEditedTask(null)}
             />
 
-            {/* Click modal */}
-            <TaskDataModal
-                visible={modalVisible}
-                task={modalTask as Accessor<GanttTask | null>}
-                barPosition={modalBarPosition as Accessor<BarPosition | null>}
-                relationships={modalRelationships}
-                onClose={handleModalClose}
+            {/* Context menu */}
+            <ContextMenu
+                position={() => contextMenu()}
+                items={() => contextMenu()?.items ?? []}
+                onClose={closeContextMenu}
             />
         </GanttEventsProvider>
     );
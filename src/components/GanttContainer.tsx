@@ -4,6 +4,13 @@ import type { GanttConfigStore } from '../stores/ganttConfigStore';
 // Throttle interval for scroll signal updates
 const SCROLL_THROTTLE_MS = 100;
 
+// Zoom factor per pixel of Ctrl+wheel delta
+const WHEEL_ZOOM_SPEED = 0.002;
+
+// Touch held this long (ms) and lifted within LONG_PRESS_SLOP px is a long press
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_SLOP = 10;
+
 /** Scroll timing debug info */
 interface ScrollDebugInfo {
     domSync: number;
@@ -40,6 +47,8 @@ interface ScrollTiming {
 
 interface ContainerAPI {
     scrollTo: (x: number, smooth?: boolean) => void;
+    /** Scroll just enough to show a content rectangle */
+    scrollRectIntoView: (rect: { x: number; y: number; width: number; height: number }) => void;
     getScrollLeft: () => number;
     getScrollTop: () => number;
     getContainerWidth: () => number;
@@ -68,6 +77,22 @@ interface GanttContainerProps {
     overlay?: JSX.Element;
     onScroll?: (scrollLeft: number, scrollTop: number) => void;
     onContainerReady?: (api: ContainerAPI) => void;
+    /** Keyboard shortcuts (the container takes focus when clicked) */
+    onKeyDown?: (e: KeyboardEvent) => void;
+    /** Press on empty chart space (the grid, not a bar) */
+    onContentPointerDown?: (e: PointerEvent) => void;
+    /** Double click on empty chart space */
+    onContentDoubleClick?: (e: MouseEvent) => void;
+    /**
+     * Right-click anywhere in the chart, or a touch held in place and lifted
+     * (long press; reported with the pointerup event)
+     */
+    onContextMenu?: (e: MouseEvent) => void;
+    /**
+     * Ctrl+wheel or pinch zoom, at most once per frame. factor > 1 zooms in;
+     * the anchor is the point to keep fixed (content X and X within the viewport).
+     */
+    onZoom?: (factor: number, anchor: { contentX: number; viewportX: number }) => void;
 }
 
 /**
@@ -78,6 +103,7 @@ export function GanttContainer(props: GanttContainerProps): JSX.Element {
     let svgRef: SVGSVGElement | undefined;
     let dateHeadersRef: HTMLDivElement | undefined;
     let resourceBodyRef: HTMLDivElement | undefined;
+    let containerRef: HTMLDivElement | undefined;
 
     const [scrollLeft, setScrollLeft] = createSignal(0);
     const [scrollTop, setScrollTop] = createSignal(0);
@@ -157,6 +183,25 @@ export function GanttContainer(props: GanttContainerProps): JSX.Element {
         }
     };
 
+    // Scroll the minimum distance that brings a content rectangle into view
+    const scrollRectIntoView = (rect: { x: number; y: number; width: number; height: number }): void => {
+        if (!scrollAreaRef) return;
+        const margin = 20;
+        const { scrollLeft: sl, scrollTop: st, clientWidth, clientHeight } = scrollAreaRef;
+
+        if (rect.x - margin < sl) {
+            scrollAreaRef.scrollLeft = rect.x - margin;
+        } else if (rect.x + rect.width + margin > sl + clientWidth) {
+            scrollAreaRef.scrollLeft = Math.min(rect.x - margin, rect.x + rect.width + margin - clientWidth);
+        }
+
+        if (rect.y < st) {
+            scrollAreaRef.scrollTop = rect.y;
+        } else if (rect.y + rect.height > st + clientHeight) {
+            scrollAreaRef.scrollTop = Math.min(rect.y, rect.y + rect.height - clientHeight);
+        }
+    };
+
     // Setup on mount
     onMount(() => {
         if (scrollAreaRef) {
@@ -174,9 +219,138 @@ export function GanttContainer(props: GanttContainerProps): JSX.Element {
             onCleanup(() => resizeObserver.disconnect());
         }
 
+        // Focus the chart on press so it receives keyboard shortcuts. Capture phase:
+        // bars prevent default and stop propagation of pointerdown
+        if (containerRef) {
+            const container = containerRef;
+            const focusOnPress = (): void => {
+                if (!container.contains(document.activeElement)) {
+                    container.focus({ preventScroll: true });
+                }
+            };
+            container.addEventListener('pointerdown', focusOnPress, true);
+            onCleanup(() => container.removeEventListener('pointerdown', focusOnPress, true));
+        }
+
+        // Touch long press → context menu. Reported on release, so holding and
+        // then moving still drags. Capture phase, like the focus handler
+        if (containerRef) {
+            const container = containerRef;
+            let press: { pointerId: number; x: number; y: number; time: number } | null = null;
+
+            const handlePressDown = (e: PointerEvent): void => {
+                press = e.pointerType === 'touch' && e.isPrimary
+                    ? { pointerId: e.pointerId, x: e.clientX, y: e.clientY, time: e.timeStamp }
+                    : null;
+            };
+            const handlePressMove = (e: PointerEvent): void => {
+                if (press?.pointerId !== e.pointerId) return;
+                if (Math.hypot(e.clientX - press.x, e.clientY - press.y) > LONG_PRESS_SLOP) press = null;
+            };
+            const handlePressUp = (e: PointerEvent): void => {
+                if (press?.pointerId !== e.pointerId) return;
+                const held = e.timeStamp - press.time >= LONG_PRESS_MS;
+                press = null;
+                if (held) props.onContextMenu?.(e);
+            };
+            const handlePressCancel = (): void => {
+                press = null;
+            };
+
+            container.addEventListener('pointerdown', handlePressDown, true);
+            container.addEventListener('pointermove', handlePressMove, true);
+            container.addEventListener('pointerup', handlePressUp, true);
+            container.addEventListener('pointercancel', handlePressCancel, true);
+            onCleanup(() => {
+                container.removeEventListener('pointerdown', handlePressDown, true);
+                container.removeEventListener('pointermove', handlePressMove, true);
+                container.removeEventListener('pointerup', handlePressUp, true);
+                container.removeEventListener('pointercancel', handlePressCancel, true);
+            });
+        }
+
+        // Zoom gestures: Ctrl/Cmd+wheel (also trackpad pinch) and two-finger touch pinch
+        if (scrollAreaRef) {
+            const area = scrollAreaRef;
+            let zoomFactor = 1;
+            let zoomViewportX = 0;
+            let zoomFrame: number | null = null;
+
+            // Coalesce gesture steps into one zoom per frame
+            const queueZoom = (factor: number, clientX: number): void => {
+                zoomFactor *= factor;
+                zoomViewportX = clientX - area.getBoundingClientRect().left;
+                if (zoomFrame !== null) return;
+                zoomFrame = requestAnimationFrame(() => {
+                    zoomFrame = null;
+                    const factorToApply = zoomFactor;
+                    zoomFactor = 1;
+                    if (factorToApply === 1) return;
+                    props.onZoom?.(factorToApply, {
+                        contentX: area.scrollLeft + zoomViewportX,
+                        viewportX: zoomViewportX,
+                    });
+                });
+            };
+
+            const handleWheel = (e: WheelEvent): void => {
+                if (!props.onZoom || !(e.ctrlKey || e.metaKey)) return;
+                e.preventDefault();
+                // Line/page deltas (Firefox) are roughly 16px per line
+                const delta = e.deltaMode === 0 ? e.deltaY : e.deltaY * 16;
+                queueZoom(Math.exp(-delta * WHEEL_ZOOM_SPEED), e.clientX);
+            };
+
+            // Touch points on the chart; a pinch is two of them
+            const touches = new Map<number, { x: number; y: number }>();
+            let pinchDistance = 0;
+            const spread = (): { distance: number; centerX: number } => {
+                const [a, b] = [...touches.values()];
+                if (!a || !b) return { distance: 0, centerX: 0 };
+                return { distance: Math.hypot(a.x - b.x, a.y - b.y), centerX: (a.x + b.x) / 2 };
+            };
+
+            // Capture phase: bars stop propagation of pointerdown
+            const handleTouchDown = (e: PointerEvent): void => {
+                if (e.pointerType !== 'touch' || !props.onZoom) return;
+                touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                if (touches.size === 2) pinchDistance = spread().distance;
+            };
+            const handleTouchMove = (e: PointerEvent): void => {
+                const point = touches.get(e.pointerId);
+                if (!point) return;
+                point.x = e.clientX;
+                point.y = e.clientY;
+                if (touches.size !== 2 || pinchDistance <= 0) return;
+                const { distance, centerX } = spread();
+                if (distance <= 0) return;
+                queueZoom(distance / pinchDistance, centerX);
+                pinchDistance = distance;
+            };
+            const handleTouchUp = (e: PointerEvent): void => {
+                touches.delete(e.pointerId);
+                pinchDistance = 0;
+            };
+
+            area.addEventListener('wheel', handleWheel, { passive: false });
+            area.addEventListener('pointerdown', handleTouchDown, true);
+            area.addEventListener('pointermove', handleTouchMove, true);
+            area.addEventListener('pointerup', handleTouchUp, true);
+            area.addEventListener('pointercancel', handleTouchUp, true);
+            onCleanup(() => {
+                area.removeEventListener('wheel', handleWheel);
+                area.removeEventListener('pointerdown', handleTouchDown, true);
+                area.removeEventListener('pointermove', handleTouchMove, true);
+                area.removeEventListener('pointerup', handleTouchUp, true);
+                area.removeEventListener('pointercancel', handleTouchUp, true);
+                if (zoomFrame !== null) cancelAnimationFrame(zoomFrame);
+            });
+        }
+
         // Expose scroll API and viewport info to parent
         props.onContainerReady?.({
             scrollTo,
+            scrollRectIntoView,
             getScrollLeft: () => scrollLeft(),
             getScrollTop: () => scrollTop(),
             getContainerWidth: () => containerWidth(),
@@ -216,6 +390,17 @@ export function GanttContainer(props: GanttContainerProps): JSX.Element {
     return (
         <div
             class="gantt-container"
+            tabIndex={0}
+            onKeyDown={(e) => props.onKeyDown?.(e)}
+            onContextMenu={(e) => {
+                // Touch reports the long press on release instead
+                if ((e as PointerEvent).pointerType === 'touch') {
+                    if (props.onContextMenu) e.preventDefault();
+                    return;
+                }
+                props.onContextMenu?.(e);
+            }}
+            ref={containerRef}
             style={{
                 ...cssVars(),
                 display: 'grid',
@@ -224,6 +409,7 @@ export function GanttContainer(props: GanttContainerProps): JSX.Element {
                 height: typeof containerHeight() === 'number' ? `${containerHeight()}px` : containerHeight() as string,
                 overflow: 'hidden',
                 position: 'relative',
+                outline: 'none',
             }}
         >
             {/* Top-left: Resource Header (sticky corner) */}
@@ -287,6 +473,8 @@ export function GanttContainer(props: GanttContainerProps): JSX.Element {
                     'grid-row': '2',
                     'grid-column': '2',
                     overflow: 'auto',
+                    // One-finger panning stays native; pinch is handled as chart zoom
+                    'touch-action': props.onZoom ? 'pan-x pan-y' : undefined,
                 }}
                 onScroll={handleScroll}
             >
@@ -306,6 +494,8 @@ export function GanttContainer(props: GanttContainerProps): JSX.Element {
                         class="gantt"
                         width="100%"
                         height="100%"
+                        onPointerDown={(e) => props.onContentPointerDown?.(e)}
+                        onDblClick={(e) => props.onContentDoubleClick?.(e)}
                         style={{
                             display: 'block',
                             position: 'absolute',
@@ -2,6 +2,7 @@ import { createMemo, For, Show, JSX } from 'solid-js';
 import type { DateInfo } from '../types';
 import type { ResourceStore } from '../stores/resourceStore';
 import type { RowLayout } from '../utils/rowLayoutCalculator';
+import type { ResourceOverload } from '../utils/resourceConflicts';
 
 interface GridRow {
     index: number;
@@ -29,6 +30,19 @@ interface GridProps {
     endRow?: number;
     alternateRows?: boolean;
     backgroundColor?: string;
+    /** Ignored column X positions (weekends, holidays) */
+    ignoredPositions?: number[];
+    ignoredColor?: string;
+    /** Date ↔ X conversion (required for non-working time shading) */
+    dateToX?: (date: Date) => number;
+    xToDate?: (x: number) => Date;
+    /** Visible X range for non-working time shading */
+    startX?: number;
+    endX?: number;
+    nonWorkingColor?: string;
+    /** Over-allocated intervals per resource (requires dateToX) */
+    conflicts?: ResourceOverload[];
+    conflictColor?: string;
 }
 
 /**
@@ -134,6 +148,98 @@ export function Grid(props: GridProps): JSX.Element {
         return 'var(--g-grid-row-color, #fff)';
     };
 
+    // Ignored columns as full-height bands (single path), visible X range only
+    const ignoredPath = createMemo(() => {
+        const positions = props.ignoredPositions || [];
+        const colWidth = columnWidth();
+        const height = gridHeight();
+        const sx = Math.max(0, props.startX ?? 0);
+        const ex = Math.min(gridWidth(), props.endX ?? gridWidth());
+
+        let d = '';
+        for (const x of positions) {
+            if (x + colWidth <= sx || x >= ex) continue;
+            d += `M${x},0H${x + colWidth}V${height}H${x}Z`;
+        }
+        return d;
+    });
+
+    // Non-working time of resources with their own calendar, one path per row.
+    // Only the visible X range is shaded; slivers under half a pixel are skipped.
+    const nonWorkingPaths = createMemo<{ id: string; d: string }[]>(() => {
+        const store = props.resourceStore;
+        const dateToX = props.dateToX;
+        const xToDate = props.xToDate;
+        if (!store || !dateToX || !xToDate || store.calendars().size === 0) return [];
+
+        const sx = Math.max(0, props.startX ?? 0);
+        const ex = Math.min(gridWidth(), props.endX ?? gridWidth());
+        if (ex <= sx) return [];
+        const rangeStart = xToDate(sx);
+        const rangeEnd = xToDate(ex);
+
+        const result: { id: string; d: string }[] = [];
+        for (const row of rows()) {
+            if (row.type === 'group') continue;
+            const calendar = store.getCalendar(row.id);
+            if (!calendar) continue;
+
+            const commands: string[] = [];
+            const addBand = (from: Date, to: Date): void => {
+                const x1 = Math.max(sx, dateToX(from));
+                const x2 = Math.min(ex, dateToX(to));
+                if (x2 - x1 >= 0.5) {
+                    commands.push(`M${x1},${row.y}H${x2}V${row.y + row.height}H${x1}Z`);
+                }
+            };
+
+            const day = new Date(rangeStart.getFullYear(), rangeStart.getMonth(), rangeStart.getDate());
+            while (day < rangeEnd) {
+                const y = day.getFullYear();
+                const m = day.getMonth();
+                const d = day.getDate();
+                const at = (hour: number): Date => new Date(y, m, d, 0, 0, 0, Math.round(hour * 3600000));
+
+                // Gaps between working intervals (whole day when there are none)
+                let cursor = 0;
+                for (const [a, b] of calendar.getWorkingIntervals(day)) {
+                    if (a > cursor) addBand(at(cursor), at(a));
+                    cursor = b;
+                }
+                if (cursor < 24) addBand(at(cursor), at(24));
+
+                day.setDate(d + 1);
+            }
+
+            if (commands.length > 0 && row.id) {
+                result.push({ id: row.id, d: commands.join('') });
+            }
+        }
+        return result;
+    });
+
+    // Over-allocated intervals as bands in their resource row (single path)
+    const conflictPath = createMemo(() => {
+        const conflicts = props.conflicts;
+        const dateToX = props.dateToX;
+        if (!conflicts || conflicts.length === 0 || !dateToX) return '';
+
+        const rowById = new Map<string, GridRow>();
+        for (const row of rows()) {
+            if (row.id) rowById.set(row.id, row);
+        }
+
+        const commands: string[] = [];
+        for (const conflict of conflicts) {
+            const row = rowById.get(conflict.resource);
+            if (!row) continue;
+            const x1 = dateToX(conflict.start);
+            const x2 = Math.max(x1 + 1, dateToX(conflict.end));
+            commands.push(`M${x1},${row.y}H${x2}V${row.y + row.height}H${x1}Z`);
+        }
+        return commands.join('');
+    });
+
     // Generate unique pattern ID for this grid instance
     const patternId = () => `grid-pattern-${props.id || 'default'}`;
 
@@ -205,6 +311,36 @@ export function Grid(props: GridProps): JSX.Element {
                 )}
             </For>
 
+            {/* Ignored columns (weekends, holidays) */}
+            <Show when={ignoredPath()}>
+                <path
+                    d={ignoredPath()}
+                    fill={props.ignoredColor || 'var(--g-grid-ignored-color, #f4f4f4)'}
+                    class="grid-ignored"
+                />
+            </Show>
+
+            {/* Non-working time of resource calendars (per swimlane row) */}
+            <For each={nonWorkingPaths()}>
+                {(band) => (
+                    <path
+                        d={band.d}
+                        fill={props.nonWorkingColor || 'var(--g-grid-non-working-color, rgba(0, 0, 0, 0.06))'}
+                        class="grid-non-working"
+                        data-row-id={band.id}
+                    />
+                )}
+            </For>
+
+            {/* Resource over-allocation (overlapping tasks in one row) */}
+            <Show when={conflictPath()}>
+                <path
+                    d={conflictPath()}
+                    fill={props.conflictColor || 'var(--g-grid-conflict-color, rgba(231, 76, 60, 0.2))'}
+                    class="grid-conflict"
+                />
+            </Show>
+
             {/* Vertical grid lines via pattern - rendered AFTER rows so visible on top */}
             <Show when={showVertical()}>
                 <rect
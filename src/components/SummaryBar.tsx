@@ -22,6 +22,8 @@ interface SummaryBarProps {
     onCollectDescendants?: (taskId: string) => Set<string>;
     onClampBatchDelta?: (batchOriginals: Map<string, BatchOriginal>, deltaX: number) => number;
     onDragEnd?: (taskId: string) => void;
+    /** Contains a critical path task */
+    critical?: boolean;
 }
 
 /**
@@ -90,6 +92,9 @@ export function SummaryBar(props: SummaryBarProps): JSX.Element {
             data['originalX'] = x();
             data['originalY'] = y();
 
+            // Signal that a drag is in progress (defers recalculations, groups undo history)
+            props.taskStore?.setDraggingTaskId?.(taskId());
+
             if (state === 'dragging_bar' && props.onCollectDescendants) {
                 const descendantIds = props.onCollectDescendants(taskId());
                 descendantIds.add(taskId());
@@ -125,6 +130,7 @@ export function SummaryBar(props: SummaryBarProps): JSX.Element {
         },
 
         onDragEnd: (_move, _data, state) => {
+            props.taskStore?.setDraggingTaskId?.(null);
             if (state === 'dragging_bar') {
                 props.onDragEnd?.(taskId());
             }
@@ -138,8 +144,8 @@ export function SummaryBar(props: SummaryBarProps): JSX.Element {
         return `dragging ${state}`;
     };
 
-    // Handle mousedown on bar for drag
-    const handleBarMouseDown = (e: MouseEvent): void => {
+    // Handle press on bar for drag
+    const handleBarPointerDown = (e: PointerEvent): void => {
         if (readonly()) return;
         e.preventDefault();
         e.stopPropagation();
@@ -151,10 +157,10 @@ export function SummaryBar(props: SummaryBarProps): JSX.Element {
 
     return (
         <div
-            class={`summary-bar-wrapper bar-wrapper ${dragStateClass()}`}
+            class={`summary-bar-wrapper bar-wrapper ${props.critical ? 'critical' : ''} ${dragStateClass()}`}
             data-id={taskId()}
             data-type="summary"
-            onMouseDown={handleBarMouseDown}
+            onPointerDown={handleBarPointerDown}
             style={{
                 position: 'absolute',
                 transform: barTransform(),
@@ -163,6 +169,10 @@ export function SummaryBar(props: SummaryBarProps): JSX.Element {
                 cursor: readonly() ? 'default' : 'grab',
                 'will-change': 'transform',
                 'pointer-events': 'auto',
+                'user-select': 'none',
+                '-webkit-touch-callout': 'none',
+                'border-radius': `${cornerRadius()}px`,
+                'box-shadow': props.critical ? '0 0 0 2px var(--g-critical-color, #e74c3c)' : 'none',
             }}
         >
             {/* Background bar */}
@@ -1,4 +1,4 @@
-import { Show, createMemo, JSX, Accessor } from 'solid-js';
+import { Show, createEffect, createMemo, JSX, Accessor } from 'solid-js';
 import { formatTaskCompact } from '../utils/jsonFormatter';
 import type { GanttTask, BarPosition } from '../types';
 
@@ -7,12 +7,20 @@ interface TaskDataPopupProps {
     position?: Accessor<{ x: number; y: number }>;
     task?: Accessor<GanttTask | null>;
     barPosition?: Accessor<BarPosition | null>;
+    /** Custom content (replaces the default task summary) */
+    content?: () => JSX.Element;
 }
 
+/** Gap between the pointer and the popup, and the popup and the viewport edge */
+const POINTER_OFFSET = 15;
+const VIEWPORT_MARGIN = 8;
+
 /**
  * Lightweight popup for displaying task data on hover
  */
 export function TaskDataPopup(props: TaskDataPopupProps): JSX.Element {
+    let popupRef: HTMLDivElement | undefined;
+
     const formattedData = createMemo(() => {
         const task = props.task?.();
         const barPos = props.barPosition?.();
@@ -21,11 +29,8 @@ export function TaskDataPopup(props: TaskDataPopupProps): JSX.Element {
     });
 
     const popupStyle = createMemo(() => {
-        const pos = props.position?.() || { x: 0, y: 0 };
         return {
             position: 'fixed' as const,
-            left: `${pos.x + 15}px`,
-            top: `${pos.y - 10}px`,
             background: '#fff',
             'box-shadow': '0 4px 12px rgba(0,0,0,0.15)',
             'border-radius': '6px',
@@ -39,27 +44,50 @@ export function TaskDataPopup(props: TaskDataPopupProps): JSX.Element {
         };
     });
 
+    // Right of and below the pointer; flipped to its left and lifted as needed
+    // to stay inside the viewport (measured once the content has rendered)
+    createEffect(() => {
+        const pos = props.position?.() || { x: 0, y: 0 };
+        props.task?.();
+        if (!props.visible?.() || !popupRef) return;
+
+        const { width, height } = popupRef.getBoundingClientRect();
+        let left = pos.x + POINTER_OFFSET;
+        if (left + width > window.innerWidth - VIEWPORT_MARGIN) left = pos.x - POINTER_OFFSET - width;
+        const top = Math.min(pos.y - 10, window.innerHeight - VIEWPORT_MARGIN - height);
+        popupRef.style.left = `${Math.max(VIEWPORT_MARGIN, left)}px`;
+        popupRef.style.top = `${Math.max(VIEWPORT_MARGIN, top)}px`;
+    });
+
+    const defaultContent = (): JSX.Element => (
+        <>
+            <div style={{
+                'font-family': 'monospace',
+                'white-space': 'pre-line',
+                'line-height': '1.5',
+            }}>
+                {formattedData()}
+            </div>
+            <div style={{
+                'margin-top': '10px',
+                'padding-top': '8px',
+                'border-top': '1px solid #eee',
+                'font-size': '10px',
+                color: '#999',
+                'text-align': 'center',
+                'font-family': 'sans-serif',
+            }}>
+                Click for details
+            </div>
+        </>
+    );
+
     return (
         <Show when={props.visible?.()}>
-            <div style={popupStyle()}>
-                <div style={{
-                    'font-family': 'monospace',
-                    'white-space': 'pre-line',
-                    'line-height': '1.5',
-                }}>
-                    {formattedData()}
-                </div>
-                <div style={{
-                    'margin-top': '10px',
-                    'padding-top': '8px',
-                    'border-top': '1px solid #eee',
-                    'font-size': '10px',
-                    color: '#999',
-                    'text-align': 'center',
-                    'font-family': 'sans-serif',
-                }}>
-                    Click for full data
-                </div>
+            <div ref={popupRef} class="gantt-popup" style={popupStyle()}>
+                <Show when={props.content} fallback={defaultContent()}>
+                    {props.content?.()}
+                </Show>
             </div>
         </Show>
     );
@@ -0,0 +1,513 @@
+import { For, Index, Show, createEffect, createMemo, createSignal, JSX, Accessor } from 'solid-js';
+import date_utils from '../utils/date_utils';
+import type { TaskEditCheck } from '../utils/taskEdit';
+import type { Dependency, DependencyType, GanttTask, LockState, TaskConstraints } from '../types';
+
+interface TaskEditorProps {
+    visible?: Accessor<boolean>;
+    /** Task to edit; edits stay local until saved */
+    task?: Accessor<GanttTask | null>;
+    /** Tasks that can be picked as predecessors */
+    tasks?: Accessor<{ id: string; name: string }[]>;
+    /** Resources the task can be assigned to */
+    resources?: Accessor<string[]>;
+    readonly?: Accessor<boolean>;
+    /** Check a draft (runs on every change) */
+    validate: (task: GanttTask) => TaskEditCheck;
+    onSave?: (task: GanttTask) => void;
+    onClose?: () => void;
+}
+
+const DEPENDENCY_TYPES: DependencyType[] = ['FS', 'SS', 'FF', 'SF'];
+
+const LOCK_OPTIONS: { value: string; label: string; lock: LockState }[] = [
+    { value: '', label: 'Unlocked', lock: false },
+    { value: 'true', label: 'Locked', lock: true },
+    { value: 'start', label: 'Start locked', lock: 'start' },
+    { value: 'end', label: 'End locked', lock: 'end' },
+    { value: 'duration', label: 'Duration locked', lock: 'duration' },
+];
+
+const DATE_CONSTRAINTS: { key: 'minStart' | 'maxStart' | 'minEnd' | 'maxEnd'; label: string }[] = [
+    { key: 'minStart', label: 'Start no earlier than' },
+    { key: 'maxStart', label: 'Start no later than' },
+    { key: 'minEnd', label: 'End no earlier than' },
+    { key: 'maxEnd', label: 'Deadline' },
+];
+
+const DURATION_CONSTRAINTS: { key: 'minDuration' | 'maxDuration' | 'fixedDuration'; label: string }[] = [
+    { key: 'minDuration', label: 'Min duration (h)' },
+    { key: 'maxDuration', label: 'Max duration (h)' },
+    { key: 'fixedDuration', label: 'Fixed duration (h)' },
+];
+
+// datetime-local inputs use "YYYY-MM-DDTHH:MM", tasks "YYYY-MM-DD HH:MM"
+const toInputDate = (value: string | undefined): string =>
+    value ? date_utils.format(date_utils.parse(value), 'YYYY-MM-DD HH:mm').replace(' ', 'T') : '';
+const fromInputDate = (value: string): string | undefined => (value ? value.replace('T', ' ') : undefined);
+const fromInputNumber = (value: string): number | undefined => (value === '' ? undefined : Number(value));
+const formatDate = (date: Date): string => date_utils.format(date, 'YYYY-MM-DD HH:mm');
+
+const sectionStyle = {
+    'font-size': '11px',
+    'font-weight': '600',
+    'text-transform': 'uppercase',
+    color: '#999',
+    'letter-spacing': '0.5px',
+    margin: '20px 0 8px',
+};
+
+const labelStyle = {
+    display: 'block',
+    'font-size': '12px',
+    color: '#555',
+    'margin-bottom': '4px',
+};
+
+const inputStyle = {
+    width: '100%',
+    'box-sizing': 'border-box',
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    'border-radius': '4px',
+    'font-size': '13px',
+    background: '#fff',
+} as const;
+
+const errorStyle = {
+    display: 'block',
+    color: '#c0392b',
+    'font-size': '11px',
+    'margin-top': '3px',
+};
+
+const gridStyle = {
+    display: 'grid',
+    'grid-template-columns': '1fr 1fr',
+    gap: '12px',
+};
+
+function Field(props: { label: string; error?: string; children: JSX.Element }): JSX.Element {
+    return (
+        <label style={{ display: 'block' }}>
+            <span style={labelStyle}>{props.label}</span>
+            {props.children}
+            <Show when={props.error}>
+                <span style={errorStyle}>{props.error}</span>
+            </Show>
+        </label>
+    );
+}
+
+/**
+ * Modal editor for a task's details, constraints and dependencies.
+ * Every change is checked through `validate`; saving hands the edited task
+ * to `onSave` in one piece.
+ */
+export function TaskEditor(props: TaskEditorProps): JSX.Element {
+    const [draft, setDraft] = createSignal<GanttTask | null>(null);
+
+    // Start over from each task that's opened
+    createEffect(() => setDraft(props.task?.() ?? null));
+
+    const check = createMemo(() => {
+        const task = draft();
+        return task ? props.validate(task) : null;
+    });
+    const errorFor = (field: string): string | undefined =>
+        check()?.errors.find((error) => error.field === field)?.message;
+
+    const editable = (): boolean => !props.readonly?.();
+    const canSave = (): boolean => editable() && check()?.errors.length === 0;
+
+    const predecessorOptions = createMemo(() => (props.tasks?.() ?? []).filter((task) => task.id !== draft()?.id));
+
+    const resourceOptions = createMemo(() => {
+        const resources = props.resources?.() ?? [];
+        const current = draft()?.resource;
+        return current && !resources.includes(current) ? [...resources, current] : resources;
+    });
+
+    const update = (fields: Partial<GanttTask>): void => {
+        setDraft((task) => task && { ...task, ...fields });
+    };
+
+    const updateConstraint = <K extends keyof TaskConstraints>(key: K, value: TaskConstraints[K] | undefined): void => {
+        setDraft((task) => {
+            if (!task) return task;
+            const constraints: TaskConstraints = { ...task.constraints, [key]: value };
+            if (value === undefined || value === false) delete constraints[key];
+            return { ...task, constraints };
+        });
+    };
+
+    const dependencies = (): Dependency[] => draft()?.dependencies ?? [];
+
+    const updateDependency = (index: number, fields: Partial<Dependency>): void => {
+        update({ dependencies: dependencies().map((dep, i) => (i === index ? { ...dep, ...fields } : dep)) });
+    };
+
+    const addDependency = (): void => {
+        const taken = new Set(dependencies().map((dep) => dep.id));
+        const option = predecessorOptions().find((task) => !taken.has(task.id));
+        update({ dependencies: [...dependencies(), { id: option?.id ?? '', type: 'FS', lag: 0 }] });
+    };
+
+    // End as entered, or as computed from the duration
+    const endValue = (): string => {
+        const task = draft();
+        if (task?.end) return toInputDate(task.end);
+        const end = check()?.end;
+        return end ? toInputDate(formatDate(end)) : '';
+    };
+
+    const handleDurationInput = (value: string): void => {
+        if (value) {
+            update({ duration: value, end: undefined });
+        } else {
+            const end = check()?.end;
+            update({ duration: undefined, end: end ? formatDate(end) : draft()?.end });
+        }
+    };
+
+    const handleSubmit = (e: SubmitEvent): void => {
+        e.preventDefault();
+        const task = draft();
+        if (task && canSave()) props.onSave?.(task);
+    };
+
+    const handleBackdropClick = (e: MouseEvent): void => {
+        if (e.target === e.currentTarget) {
+            props.onClose?.();
+        }
+    };
+
+    const handleKeyDown = (e: KeyboardEvent): void => {
+        if (e.key === 'Escape') {
+            props.onClose?.();
+        }
+    };
+
+    return (
+        <Show when={props.visible?.() && draft()}>
+            {(task) => (
+                <div
+                    style={{
+                        position: 'fixed',
+                        top: '0',
+                        left: '0',
+                        right: '0',
+                        bottom: '0',
+                        background: 'rgba(0,0,0,0.5)',
+                        display: 'flex',
+                        'align-items': 'center',
+                        'justify-content': 'center',
+                        'z-index': 2000,
+                    }}
+                    onClick={handleBackdropClick}
+                    onKeyDown={handleKeyDown}
+                    tabIndex={-1}
+                >
+                    <form
+                        class="task-editor"
+                        onSubmit={handleSubmit}
+                        style={{
+                            background: '#fff',
+                            'border-radius': '8px',
+                            width: '90%',
+                            'max-width': '600px',
+                            'max-height': '80vh',
+                            overflow: 'hidden',
+                            display: 'flex',
+                            'flex-direction': 'column',
+                            'box-shadow': '0 10px 40px rgba(0,0,0,0.3)',
+                        }}
+                    >
+                        {/* Header */}
+                        <div style={{
+                            display: 'flex',
+                            'justify-content': 'space-between',
+                            'align-items': 'center',
+                            padding: '16px 20px',
+                            'border-bottom': '1px solid #eee',
+                            'flex-shrink': '0',
+                        }}>
+                            <h3 style={{ margin: '0', 'font-size': '16px', 'font-weight': '600' }}>
+                                {editable() ? 'Edit task' : 'Task details'}
+                            </h3>
+                            <button
+                                type="button"
+                                onClick={() => props.onClose?.()}
+                                style={{
+                                    border: 'none',
+                                    background: 'none',
+                                    'font-size': '24px',
+                                    cursor: 'pointer',
+                                    padding: '4px 8px',
+                                    color: '#666',
+                                    'line-height': '1',
+                                }}
+                                title="Close (Esc)"
+                            >
+                                &times;
+                            </button>
+                        </div>
+
+                        {/* Body */}
+                        <fieldset
+                            disabled={!editable()}
+                            style={{ border: 'none', margin: '0', padding: '4px 20px 20px', overflow: 'auto', flex: '1' }}
+                        >
+                            <div style={sectionStyle}>Task</div>
+                            <div style={gridStyle}>
+                                <div style={{ 'grid-column': '1 / -1' }}>
+                                    <Field label="Name" error={errorFor('name')}>
+                                        <input
+                                            style={inputStyle}
+                                            value={task().name}
+                                            onInput={(e) => update({ name: e.currentTarget.value })}
+                                        />
+                                    </Field>
+                                </div>
+                                <Field label="Resource">
+                                    <select
+                                        style={inputStyle}
+                                        value={task().resource ?? ''}
+                                        onChange={(e) => update({ resource: e.currentTarget.value || undefined })}
+                                    >
+                                        <Show when={!task().resource}>
+                                            <option value="">Unassigned</option>
+                                        </Show>
+                                        <For each={resourceOptions()}>
+                                            {(resource) => <option value={resource}>{resource}</option>}
+                                        </For>
+                                    </select>
+                                </Field>
+                                <Field label="Progress (%)" error={errorFor('progress')}>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="100"
+                                        style={inputStyle}
+                                        value={task().progress ?? 0}
+                                        onInput={(e) => update({ progress: fromInputNumber(e.currentTarget.value) })}
+                                    />
+                                </Field>
+                                <Field label="Color">
+                                    <input
+                                        type="color"
+                                        style={{ ...inputStyle, height: '32px', padding: '2px' }}
+                                        value={task().color ?? '#b8c2cc'}
+                                        onInput={(e) => update({ color: e.currentTarget.value })}
+                                    />
+                                </Field>
+                                <Field label="Lock">
+                                    <select
+                                        style={inputStyle}
+                                        value={String(task().constraints?.locked || '')}
+                                        onChange={(e) => {
+                                            const value = e.currentTarget.value;
+                                            updateConstraint('locked', LOCK_OPTIONS.find((o) => o.value === value)?.lock);
+                                        }}
+                                    >
+                                        <For each={LOCK_OPTIONS}>
+                                            {(option) => <option value={option.value}>{option.label}</option>}
+                                        </For>
+                                    </select>
+                                </Field>
+                            </div>
+
+                            <div style={sectionStyle}>Schedule</div>
+                            <div style={gridStyle}>
+                                <Field label="Start" error={errorFor('start')}>
+                                    <input
+                                        type="datetime-local"
+                                        style={inputStyle}
+                                        value={toInputDate(task().start)}
+                                        onChange={(e) => update({ start: fromInputDate(e.currentTarget.value) ?? '' })}
+                                    />
+                                </Field>
+                                <Field label="End" error={errorFor('end')}>
+                                    <input
+                                        type="datetime-local"
+                                        style={inputStyle}
+                                        value={endValue()}
+                                        onChange={(e) =>
+                                            update({ end: fromInputDate(e.currentTarget.value), duration: undefined })
+                                        }
+                                    />
+                                </Field>
+                                <Field label="Duration (instead of end)" error={errorFor('duration')}>
+                                    <input
+                                        style={inputStyle}
+                                        placeholder="e.g. 3d or 8h"
+                                        value={task().duration ?? ''}
+                                        onChange={(e) => handleDurationInput(e.currentTarget.value.trim())}
+                                    />
+                                </Field>
+                            </div>
+                            <Show when={check()?.adjusted && check()}>
+                                {(result) => (
+                                    <p style={{ 'font-size': '12px', color: '#8a6d3b', margin: '8px 0 0' }}>
+                                        Constraints and dependencies move this task to{' '}
+                                        {formatDate(result().start!)} – {formatDate(result().end!)} when saved.
+                                    </p>
+                                )}
+                            </Show>
+
+                            <div style={sectionStyle}>Constraints</div>
+                            <div style={gridStyle}>
+                                <For each={DATE_CONSTRAINTS}>
+                                    {({ key, label }) => (
+                                        <Field label={label} error={errorFor(`constraints.${key}`)}>
+                                            <input
+                                                type="datetime-local"
+                                                style={inputStyle}
+                                                value={toInputDate(task().constraints?.[key])}
+                                                onChange={(e) => updateConstraint(key, fromInputDate(e.currentTarget.value))}
+                                            />
+                                        </Field>
+                                    )}
+                                </For>
+                                <For each={DURATION_CONSTRAINTS}>
+                                    {({ key, label }) => (
+                                        <Field label={label} error={errorFor(`constraints.${key}`)}>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                style={inputStyle}
+                                                value={task().constraints?.[key] ?? ''}
+                                                onInput={(e) => updateConstraint(key, fromInputNumber(e.currentTarget.value))}
+                                            />
+                                        </Field>
+                                    )}
+                                </For>
+                            </div>
+
+                            <div style={sectionStyle}>Dependencies</div>
+                            <Index each={dependencies()}>
+                                {(dep, i) => (
+                                    <div style={{ 'margin-bottom': '8px' }}>
+                                        <div style={{ display: 'flex', gap: '6px', 'align-items': 'center' }}>
+                                            <select
+                                                style={{ ...inputStyle, flex: '3' }}
+                                                title="Predecessor"
+                                                value={dep().id}
+                                                onChange={(e) => updateDependency(i, { id: e.currentTarget.value })}
+                                            >
+                                                <Show when={!dep().id}>
+                                                    <option value="">Pick a task</option>
+                                                </Show>
+                                                <For each={predecessorOptions()}>
+                                                    {(option) => <option value={option.id}>{option.name || option.id}</option>}
+                                                </For>
+                                            </select>
+                                            <select
+                                                style={{ ...inputStyle, flex: '1' }}
+                                                title="Type"
+                                                value={dep().type ?? 'FS'}
+                                                onChange={(e) =>
+                                                    updateDependency(i, { type: e.currentTarget.value as DependencyType })
+                                                }
+                                            >
+                                                <For each={DEPENDENCY_TYPES}>
+                                                    {(type) => <option value={type}>{type}</option>}
+                                                </For>
+                                            </select>
+                                            <input
+                                                type="number"
+                                                style={{ ...inputStyle, flex: '1' }}
+                                                title="Lag (hours)"
+                                                placeholder="Lag h"
+                                                value={dep().lag ?? 0}
+                                                onInput={(e) =>
+                                                    updateDependency(i, { lag: fromInputNumber(e.currentTarget.value) ?? 0 })
+                                                }
+                                            />
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                style={{ ...inputStyle, flex: '1' }}
+                                                title="Max extra gap (hours, empty = elastic)"
+                                                placeholder="Max h"
+                                                value={dep().max ?? ''}
+                                                onInput={(e) =>
+                                                    updateDependency(i, { max: fromInputNumber(e.currentTarget.value) })
+                                                }
+                                            />
+                                            <button
+                                                type="button"
+                                                title="Remove dependency"
+                                                onClick={() =>
+                                                    update({ dependencies: dependencies().filter((_, j) => j !== i) })
+                                                }
+                                                style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#999', 'font-size': '18px' }}
+                                            >
+                                                &times;
+                                            </button>
+                                        </div>
+                                        <Show when={errorFor(`dependencies.${i}`)}>
+                                            <span style={errorStyle}>{errorFor(`dependencies.${i}`)}</span>
+                                        </Show>
+                                    </div>
+                                )}
+                            </Index>
+                            <Show when={errorFor('dependencies')}>
+                                <span style={errorStyle}>{errorFor('dependencies')}</span>
+                            </Show>
+                            <button
+                                type="button"
+                                onClick={addDependency}
+                                style={{
+                                    padding: '4px 10px',
+                                    background: '#e3f2fd',
+                                    border: 'none',
+                                    'border-radius': '3px',
+                                    cursor: 'pointer',
+                                    'font-size': '12px',
+                                    color: '#1976d2',
+                                }}
+                            >
+                                Add dependency
+                            </button>
+                        </fieldset>
+
+                        {/* Footer */}
+                        <Show when={editable()}>
+                            <div style={{
+                                display: 'flex',
+                                'justify-content': 'flex-end',
+                                gap: '8px',
+                                padding: '12px 20px',
+                                'border-top': '1px solid #eee',
+                                'flex-shrink': '0',
+                            }}>
+                                <button
+                                    type="button"
+                                    onClick={() => props.onClose?.()}
+                                    style={{ padding: '6px 14px', border: '1px solid #ddd', background: '#fff', 'border-radius': '4px', cursor: 'pointer' }}
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={!canSave()}
+                                    style={{
+                                        padding: '6px 14px',
+                                        border: 'none',
+                                        background: canSave() ? '#2c7be5' : '#a9c5ee',
+                                        color: '#fff',
+                                        'border-radius': '4px',
+                                        cursor: canSave() ? 'pointer' : 'default',
+                                    }}
+                                >
+                                    Save
+                                </button>
+                            </div>
+                        </Show>
+                    </form>
+                </div>
+            )}
+        </Show>
+    );
+}
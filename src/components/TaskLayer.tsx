@@ -1,18 +1,30 @@
-import { For, Index, createMemo, untrack, Accessor, JSX } from 'solid-js';
+import { For, Index, createMemo, untrack, batch, Accessor, JSX } from 'solid-js';
 import { Bar } from './Bar';
+import type { BarContentRenderer } from './Bar';
 import { SummaryBar } from './SummaryBar';
 import { ExpandedTaskContainer } from './ExpandedTaskContainer';
 import {
-    resolveConstraints,
+    resolveConstraintsInTime,
+    calculateCascadeUpdatesInTime,
     buildRelationshipIndex,
     collectDependentTasks,
     clampBatchDeltaX,
 } from '../utils/constraintEngine';
 import { collectDescendants } from '../utils/hierarchyProcessor';
+import { computeX, computeDateFromX, computeTaskDateUpdate } from '../utils/barCalculations';
 import type { TaskStore } from '../stores/taskStore';
 import type { GanttConfigStore } from '../stores/ganttConfigStore';
+import type { GanttDateStore } from '../stores/ganttDateStore';
 import type { ResourceStore } from '../stores/resourceStore';
-import type { ProcessedTask, Relationship, BarPosition } from '../types';
+import type { SelectionStore } from '../stores/selectionStore';
+import type {
+    ProcessedTask,
+    Relationship,
+    TaskTimeSpan,
+    TimeConstraintContext,
+    TaskDateUpdate,
+    DateChangeEvent,
+} from '../types';
 import type { RowLayout } from '../utils/rowLayoutCalculator';
 
 // Pool sizing: We maintain a pool slightly larger than visible count.
@@ -27,6 +39,8 @@ interface BatchOriginal {
 interface ConstrainedResult {
     x: number;
     y: number;
+    /** Width of the constrained span (a move keeps the task's working time) */
+    width?: number;
 }
 
 interface TaskPosition extends RowLayout {
@@ -36,6 +50,7 @@ interface TaskPosition extends RowLayout {
 interface TaskLayerProps {
     taskStore?: TaskStore;
     ganttConfig?: GanttConfigStore;
+    dateStore?: GanttDateStore;
     resourceStore?: ResourceStore;
     tasks?: ProcessedTask[];
     relationships?: Relationship[];
@@ -44,12 +59,30 @@ interface TaskLayerProps {
     endRow?: number;
     startX?: number;
     endX?: number;
-    onDateChange?: (taskId: string, position: { x: number; width: number }) => void;
+    onDateChange?: (taskId: string, change: DateChangeEvent) => void;
     onProgressChange?: (taskId: string, progress: number) => void;
     onResizeEnd?: (taskId: string) => void;
     onHover?: (taskId: string, clientX: number, clientY: number) => void;
     onHoverEnd?: () => void;
     onTaskClick?: (taskId: string, event: MouseEvent) => void;
+    /** Task IDs to highlight as critical (summaries included) */
+    criticalTasks?: Set<string>;
+    /** Task IDs overlapping another task of their resource */
+    conflictTasks?: Set<string>;
+    /** Task IDs moved by edits awaiting approval (no bar is editable meanwhile) */
+    pendingTasks?: ReadonlySet<string>;
+    /** Selected tasks (highlighted, dragged together) */
+    selection?: SelectionStore;
+    /** Show the keyboard focus ring on the focused task */
+    showFocus?: boolean;
+    /** Bar dragged vertically (bar center Y); enables dragging bars across rows */
+    onRowDrag?: (taskId: string, centerY: number) => void;
+    /** Bar dropped after a vertical drag (bar center Y) */
+    onRowDrop?: (taskId: string, centerY: number) => void;
+    /** Press on a bar's start/end connector; enables drawing dependencies */
+    onConnectorPointerDown?: (taskId: string, side: 'start' | 'end', e: PointerEvent) => void;
+    /** Custom bar content (see Bar) */
+    renderBarContent?: BarContentRenderer;
 }
 
 interface DisplayResource {
@@ -76,6 +109,92 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
     // Pre-build relationship index for O(1) lookups (rebuilds when relationships change)
     const relationshipIndex = createMemo(() => buildRelationshipIndex(relationships()));
 
+    // Pixel ↔ date conversion. The constraint engine resolves in time units,
+    // pixels only exist at this boundary. Prefers the date store, falls back
+    // to the equivalent config values when rendered standalone.
+    const xToDate = (x: number): Date => {
+        if (props.dateStore) return props.dateStore.xToDate(x);
+        const config = props.ganttConfig;
+        return computeDateFromX(
+            x,
+            config?.ganttStart() ?? new Date(),
+            config?.unit() ?? 'day',
+            config?.step() ?? 1,
+            config?.columnWidth() ?? 45,
+        );
+    };
+
+    const dateToX = (date: Date): number => {
+        if (props.dateStore) return props.dateStore.dateToX(date);
+        const config = props.ganttConfig;
+        return computeX(
+            date,
+            config?.ganttStart() ?? new Date(),
+            config?.unit() ?? 'day',
+            config?.step() ?? 1,
+            config?.columnWidth() ?? 45,
+        );
+    };
+
+    /**
+     * Build time-domain context for the constraint engine from current bar positions.
+     */
+    const buildTimeContext = (taskStore: TaskStore): TimeConstraintContext => ({
+        getTaskSpan: (id: string): TaskTimeSpan | null => {
+            const bar = taskStore.getBarPosition(id);
+            if (!bar) return null;
+            return { start: xToDate(bar.x), end: xToDate(bar.x + bar.width) };
+        },
+        getTask: taskStore.getTask.bind(taskStore),
+        relationships: relationships(),
+        relationshipIndex: relationshipIndex(),
+        calendar: props.ganttConfig?.calendar?.(),
+        getCalendar: (id: string) => {
+            const resource = taskStore.getTask(id)?.resource;
+            return props.resourceStore?.getCalendar(resource) ?? null;
+        },
+    });
+
+    // Tasks moved as a side effect of the current gesture (cascades, batch-moved
+    // dependents/descendants) → position before the gesture. Reported and cleared
+    // with the next date change.
+    const gestureOrigins = new Map<string, { x: number; width: number }>();
+
+    const recordOrigin = (taskId: string): void => {
+        if (gestureOrigins.has(taskId)) return;
+        const bar = props.taskStore?.getBarPosition(taskId);
+        if (bar) gestureOrigins.set(taskId, { x: bar.x, width: bar.width });
+    };
+
+    /**
+     * Collect date updates for every task moved during the gesture, then reset tracking.
+     */
+    const takeCascadedUpdates = (taskId: string): TaskDateUpdate[] => {
+        const cascaded: TaskDateUpdate[] = [];
+        for (const [id, origin] of gestureOrigins) {
+            if (id === taskId) continue;
+            const bar = props.taskStore?.getBarPosition(id);
+            if (!bar || (bar.x === origin.x && bar.width === origin.width)) continue;
+            cascaded.push(computeTaskDateUpdate(id, bar.x, bar.width, xToDate));
+        }
+        gestureOrigins.clear();
+        return cascaded;
+    };
+
+    /**
+     * Write engine cascade results back to the store as pixel positions.
+     * Both edges: with a calendar a pushed task keeps its working time, not its width.
+     */
+    const applyCascadeUpdates = (taskStore: TaskStore, updates: Map<string, TaskTimeSpan>): void => {
+        for (const succId of updates.keys()) recordOrigin(succId);
+        batch(() => {
+            for (const [succId, span] of updates) {
+                const x = dateToX(span.start);
+                taskStore.updateBarPosition(succId, { x, width: dateToX(span.end) - x });
+            }
+        });
+    };
+
     /**
      * Handle constraint position callback from Bar.
      * Uses constraintEngine for dependency constraints.
@@ -83,24 +202,13 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
     const handleConstrainPosition = (taskId: string, newX: number, newY: number): ConstrainedResult | null => {
         if (!props.taskStore) return { x: newX, y: newY };
 
-        // Get columnWidth for lag conversion (lag is in days, needs pixels)
-        const columnWidth = props.ganttConfig?.columnWidth?.() ?? 45;
-
         // Get current bar for width
         const taskBar = props.taskStore.getBarPosition?.(taskId);
         const width = taskBar?.width ?? 100;
 
-        // Build context for constraint engine
-        const context = {
-            getBarPosition: props.taskStore.getBarPosition?.bind(props.taskStore),
-            getTask: props.taskStore.getTask?.bind(props.taskStore),
-            relationships: relationships(),
-            relationshipIndex: relationshipIndex(),
-            pixelsPerHour: columnWidth, // Using columnWidth as pixels per time unit
-            ganttStartDate: new Date(), // Placeholder - not used for pixel-based calculations
-        };
-
-        const result = resolveConstraints(taskId, newX, width, context);
+        const proposedStart = xToDate(newX);
+        const proposedEnd = xToDate(newX + width);
+        const result = resolveConstraintsInTime(taskId, proposedStart, proposedEnd, buildTimeContext(props.taskStore));
 
         if (result.blocked) {
             // Movement blocked
@@ -108,21 +216,29 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
         }
 
         // Apply cascade updates to successors
-        if (result.cascadeUpdates && result.cascadeUpdates.size > 0) {
-            for (const [succId, update] of result.cascadeUpdates) {
-                props.taskStore.updateBarPosition(succId, update as Partial<BarPosition>);
-            }
+        if (result.cascadeUpdates.size > 0) {
+            applyCascadeUpdates(props.taskStore, result.cascadeUpdates);
         }
 
         // Return the constrained position for the dragged task
-        return { x: result.constrainedX, y: newY };
+        const x = result.start === proposedStart ? newX : dateToX(result.start);
+        const constrainedWidth = result.end === proposedEnd ? width : dateToX(result.end) - x;
+        return { x, y: newY, width: constrainedWidth };
     };
 
     /**
      * Handle date change callback from Bar.
+     * Converts the final pixel position to dates and attaches everything
+     * that moved along with the task during this gesture.
      */
     const handleDateChange = (taskId: string, position: { x: number; width: number }): void => {
-        props.onDateChange?.(taskId, position);
+        const cascaded = takeCascadedUpdates(taskId);
+        props.onDateChange?.(taskId, {
+            ...computeTaskDateUpdate(taskId, position.x, position.width, xToDate),
+            x: position.x,
+            width: position.width,
+            cascaded,
+        });
     };
 
     /**
@@ -139,24 +255,15 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
     const handleResizeEnd = (taskId: string): void => {
         // Apply constraints after resize - push dependents if needed
         if (props.taskStore) {
-            const columnWidth = props.ganttConfig?.columnWidth?.() ?? 45;
             const taskBar = props.taskStore.getBarPosition?.(taskId);
             if (taskBar) {
-                const context = {
-                    getBarPosition: props.taskStore.getBarPosition?.bind(props.taskStore),
-                    getTask: props.taskStore.getTask?.bind(props.taskStore),
-                    relationships: relationships(),
-                    relationshipIndex: relationshipIndex(),
-                    pixelsPerHour: columnWidth,
-                    ganttStartDate: new Date(), // Placeholder - not used for pixel-based calculations
-                };
-                const result = resolveConstraints(taskId, taskBar.x, taskBar.width, context);
-                // Apply cascade updates
-                if (result.cascadeUpdates) {
-                    for (const [succId, update] of result.cascadeUpdates) {
-                        props.taskStore.updateBarPosition(succId, update as Partial<BarPosition>);
-                    }
-                }
+                // The store already holds the resized bar, so cascade from its current start
+                const updates = calculateCascadeUpdatesInTime(
+                    taskId,
+                    xToDate(taskBar.x),
+                    buildTimeContext(props.taskStore),
+                );
+                applyCascadeUpdates(props.taskStore, updates);
             }
         }
         props.onResizeEnd?.(taskId);
@@ -186,10 +293,24 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
     /**
      * Collect all dependent tasks for batch drag.
      * Returns a Set of task IDs that should move together.
+     * Dragging a selected task brings the rest of the selection (with their
+     * dependents and descendants) along.
      */
     const handleCollectDependents = (taskId: string): Set<string> => {
         const getTask = props.taskStore?.getTask?.bind(props.taskStore) ?? (() => undefined);
-        return collectDependentTasks(taskId, relationships(), getTask);
+        const dependents = collectDependentTasks(taskId, relationships(), getTask);
+
+        if (props.selection?.isSelected(taskId)) {
+            for (const id of untrack(props.selection.getSelection)) {
+                if (dependents.has(id) || !getTask(id)) continue;
+                collectDependentTasks(id, relationships(), getTask, dependents);
+                if (!dependents.has(id) || !props.taskStore) continue; // Locked
+                for (const child of collectDescendants(id, props.taskStore.tasks)) dependents.add(child);
+            }
+        }
+
+        for (const id of dependents) recordOrigin(id);
+        return dependents;
     };
 
     /**
@@ -198,14 +319,15 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
      */
     const handleClampBatchDelta = (batchOriginals: Map<string, BatchOriginal>, proposedDeltaX: number): number => {
         const getTask = props.taskStore?.getTask?.bind(props.taskStore) ?? (() => undefined);
-        // Get columnWidth for lag conversion (lag is in days, needs pixels)
+        // Lag is in hours - measure how many pixels one hour spans in the current view
         const columnWidth = props.ganttConfig?.columnWidth?.() ?? 45;
+        const columnHours = (xToDate(columnWidth).getTime() - xToDate(0).getTime()) / (60 * 60 * 1000);
         return clampBatchDeltaX(
             batchOriginals,
             proposedDeltaX,
             relationships(),
             getTask,
-            { pixelsPerTimeUnit: columnWidth },
+            { pixelsPerTimeUnit: columnHours > 0 ? columnWidth / columnHours : columnWidth },
         );
     };
 
@@ -216,7 +338,18 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
     const handleCollectDescendants = (taskId: string): Set<string> => {
         if (!props.taskStore) return new Set();
         // tasks is now a store object, not a Map
-        return collectDescendants(taskId, props.taskStore.tasks);
+        const descendants = collectDescendants(taskId, props.taskStore.tasks);
+        for (const id of descendants) recordOrigin(id);
+        return descendants;
+    };
+
+    /**
+     * Handle end of a summary bar drag (moves the summary with its descendants).
+     */
+    const handleSummaryDragEnd = (taskId: string): void => {
+        handleResizeEnd(taskId);
+        const bar = props.taskStore?.getBarPosition(taskId);
+        if (bar) handleDateChange(taskId, { x: bar.x, width: bar.width });
     };
 
     /**
@@ -238,22 +371,23 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
     const endX = (): number => props.endX ?? Infinity;
 
     // Group tasks by resource - CACHED to avoid O(10K) iteration on every scroll
-    // Only rebuilds when task count changes (add/remove tasks)
+    // Only rebuilds when tasks change rows (see taskStore.resourceVersion)
     let cachedGrouping: Map<string, ProcessedTask[]> | null = null;
-    let cachedTaskCount = -1;
+    let cachedResourceVersion = -1;
 
     const tasksByResource = (): Map<string, ProcessedTask[]> => {
         const tasksObj = props.taskStore?.tasks;
         if (!tasksObj) return new Map();
 
-        // Check if we need to rebuild (task count changed)
-        const taskKeys = untrack(() => Object.keys(tasksObj));
-        if (taskKeys.length === cachedTaskCount && cachedGrouping) {
+        // Check if we need to rebuild (tasks added, removed or moved to another row)
+        const version = props.taskStore?.resourceVersion() ?? 0;
+        if (version === cachedResourceVersion && cachedGrouping) {
             return cachedGrouping;
         }
 
         // Rebuild grouping
-        cachedTaskCount = taskKeys.length;
+        cachedResourceVersion = version;
+        const taskKeys = untrack(() => Object.keys(tasksObj));
         const grouped = new Map<string, ProcessedTask[]>();
         untrack(() => {
             for (const taskId of taskKeys) {
@@ -431,6 +565,14 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
         return result;
     });
 
+    // Critical path membership (set is empty/undefined when highlighting is off)
+    const isCritical = (taskId: string | undefined): boolean =>
+        !!taskId && !!props.criticalTasks?.has(taskId);
+
+    // Resource over-allocation membership
+    const isConflict = (taskId: string | undefined): boolean =>
+        !!taskId && !!props.conflictTasks?.has(taskId);
+
     // Get task-specific position within its resource row
     const getTaskPosition = (taskId: string): TaskPosition | null => {
         const rowLayouts = props.rowLayouts;
@@ -442,8 +584,10 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
         const rowLayout = rowLayouts.get(resourceId || '');
         if (!rowLayout) return null;
 
-        // Simple mode: no taskPositions map, use static row position
+        // Simple mode: lane position when packed, else the static row position
         if (isSimpleMode()) {
+            const lanePos = rowLayout.taskPositions?.get(taskId);
+            if (lanePos) return { ...rowLayout, y: lanePos.y, height: lanePos.height, isExpanded: false };
             return {
                 ...rowLayout,
                 y: rowLayout.contentY ?? rowLayout.y ?? 0,
@@ -480,7 +624,8 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
                                 ganttConfig={props.ganttConfig}
                                 onCollectDescendants={handleCollectDescendants}
                                 onClampBatchDelta={handleClampBatchDelta}
-                                onDragEnd={handleResizeEnd}
+                                onDragEnd={handleSummaryDragEnd}
+                                critical={isCritical(taskId())}
                             />
                         </div>
                     )}
@@ -520,6 +665,16 @@ export function TaskLayer(props: TaskLayerProps): JSX.Element {
                                 onHover={handleHover}
                                 onHoverEnd={handleHoverEnd}
                                 onTaskClick={handleTaskClick}
+                                onRowDrag={props.onRowDrag}
+                                onRowDrop={props.onRowDrop}
+                                onConnectorPointerDown={props.onConnectorPointerDown}
+                                renderContent={props.renderBarContent}
+                                critical={isCritical(task()?.id)}
+                                conflict={isConflict(task()?.id)}
+                                pending={!!task() && !!props.pendingTasks?.has(task()!.id)}
+                                frozen={(props.pendingTasks?.size ?? 0) > 0}
+                                selected={props.selection?.isSelected(task()?.id)}
+                                focused={!!props.showFocus && !!task() && props.selection?.focusedId() === task()?.id}
                             />
                         </div>
                     )}
@@ -1,5 +1,6 @@
 import { createMemo, Index, untrack, JSX } from 'solid-js';
 import { BarMinimal } from './BarMinimal';
+import type { BarContentRenderer } from './Bar';
 import type { ResourceStore } from '../stores/resourceStore';
 import type { TaskStore } from '../stores/taskStore';
 import type { ProcessedTask } from '../types';
@@ -16,6 +17,8 @@ interface TaskLayerMinimalProps {
     endRow?: number;
     startX?: number;
     endX?: number;
+    /** Custom bar content (see Bar) */
+    renderBarContent?: BarContentRenderer;
 }
 
 /**
@@ -43,18 +46,19 @@ export function TaskLayerMinimal(props: TaskLayerMinimalProps): JSX.Element {
 
     // Group tasks by resource - simple cached version
     let cachedGrouping: Map<string, ProcessedTask[]> | null = null;
-    let cachedTaskCount = -1;
+    let cachedResourceVersion = -1;
 
     const tasksByResource = (): Map<string, ProcessedTask[]> => {
         const tasksObj = props.taskStore?.tasks;
         if (!tasksObj) return new Map();
 
-        const taskKeys = untrack(() => Object.keys(tasksObj));
-        if (taskKeys.length === cachedTaskCount && cachedGrouping) {
+        const version = props.taskStore?.resourceVersion() ?? 0;
+        if (version === cachedResourceVersion && cachedGrouping) {
             return cachedGrouping;
         }
 
-        cachedTaskCount = taskKeys.length;
+        cachedResourceVersion = version;
+        const taskKeys = untrack(() => Object.keys(tasksObj));
         const grouped = new Map<string, ProcessedTask[]>();
         untrack(() => {
             for (const taskId of taskKeys) {
@@ -125,7 +129,7 @@ export function TaskLayerMinimal(props: TaskLayerMinimalProps): JSX.Element {
         >
             {/* Direct Index → BarMinimal (NO wrapper div, NO display:none) */}
             <Index each={visibleTasks()}>
-                {(task) => <BarMinimal task={task} />}
+                {(task) => <BarMinimal task={task} renderContent={props.renderBarContent} />}
             </Index>
         </div>
     );
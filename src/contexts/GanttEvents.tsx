@@ -1,7 +1,24 @@
 import { createContext, useContext, JSX } from 'solid-js';
-import type { BarPosition } from '../types';
+import type {
+    BarPosition,
+    BeforeChangeResult,
+    DateChangeEvent,
+    DateChangeOverride,
+    DependencyChange,
+    Relationship,
+} from '../types';
 
-interface GanttEventHandlers {
+/** Before-change hooks: accept, reject or replace an edit before it's reported */
+interface BeforeChangeHooks {
+    onBeforeDateChange?: (taskId: string, change: DateChangeEvent) => BeforeChangeResult<DateChangeOverride>;
+    onBeforeProgressChange?: (taskId: string, progress: number) => BeforeChangeResult<number>;
+    /** Returned fields replace the new dependency's type/lag (a removal is only accepted or rejected) */
+    onBeforeDependencyChange?: (
+        change: DependencyChange
+    ) => BeforeChangeResult<Partial<Pick<Relationship, 'type' | 'lag'>>>;
+}
+
+interface GanttEventHandlers extends BeforeChangeHooks {
     onDateChange: (taskId: string, position: Partial<BarPosition>) => void;
     onProgressChange: (taskId: string, progress: number) => void;
     onResizeEnd: (taskId: string) => void;
@@ -10,7 +27,7 @@ interface GanttEventHandlers {
     onHoverEnd: () => void;
 }
 
-interface GanttEventsProviderProps {
+interface GanttEventsProviderProps extends BeforeChangeHooks {
     onDateChange?: (taskId: string, position: Partial<BarPosition>) => void;
     onProgressChange?: (taskId: string, progress: number) => void;
     onResizeEnd?: (taskId: string) => void;
@@ -33,6 +50,16 @@ export function GanttEventsProvider(props: GanttEventsProviderProps): JSX.Elemen
         onTaskClick: (taskId, event) => props.onTaskClick?.(taskId, event),
         onHover: (taskId, clientX, clientY) => props.onHover?.(taskId, clientX, clientY),
         onHoverEnd: () => props.onHoverEnd?.(),
+        // Hooks stay undefined when not given (edits are then reported at once)
+        get onBeforeDateChange() {
+            return props.onBeforeDateChange;
+        },
+        get onBeforeProgressChange() {
+            return props.onBeforeProgressChange;
+        },
+        get onBeforeDependencyChange() {
+            return props.onBeforeDependencyChange;
+        },
     };
 
     return (
@@ -0,0 +1,388 @@
+import { createSignal, Accessor } from 'solid-js';
+import { unwrap } from 'solid-js/store';
+import date_utils from '../utils/date_utils';
+import { dependencyRelationship } from '../utils/taskEdit';
+import { useGanttEvents } from '../contexts/GanttEvents';
+import type { HistoryChange, HistoryEntry, TaskHistory } from '../stores/historyStore';
+import type { TaskStore } from '../stores/taskStore';
+import type { TaskEditEvent } from '../components/Gantt';
+import type {
+    GanttTask,
+    ProcessedTask,
+    Relationship,
+    DateChangeEvent,
+    TaskDateUpdate,
+    BeforeChangeResult,
+    ChangeApproval,
+    DateChangeOverride,
+    DependencyChange,
+    NormalizedDependency,
+} from '../types';
+
+/** Chart callbacks the approval flow asks and reports to (the Gantt props) */
+interface ChangeApprovalEvents {
+    onDateChange?: (taskId: string, change: DateChangeEvent) => void;
+    onProgressChange?: (taskId: string, progress: number) => void;
+    onTaskEdit?: (edit: TaskEditEvent) => void;
+    onBeforeDateChange?: (taskId: string, change: DateChangeEvent) => BeforeChangeResult<DateChangeOverride>;
+    onBeforeProgressChange?: (taskId: string, progress: number) => BeforeChangeResult<number>;
+    onBeforeDependencyChange?: (
+        change: DependencyChange
+    ) => BeforeChangeResult<Partial<Pick<Relationship, 'type' | 'lag'>>>;
+}
+
+interface UseChangeApprovalOptions {
+    events: ChangeApprovalEvents;
+    history: TaskHistory;
+    taskStore: TaskStore;
+    readonly: Accessor<boolean>;
+    /** Current dates of tasks (after an edit moved them) */
+    currentDateUpdates: (taskIds: Iterable<string>) => TaskDateUpdate[];
+    /** Several moved tasks as one date change (first task, the rest cascaded) */
+    toDateChange: (dateUpdates: TaskDateUpdate[]) => DateChangeEvent | null;
+    /** Rebuild a task's incoming relationships from its dependencies */
+    syncDependencies: (taskId: string) => void;
+    /**
+     * Move a task to the dates a hook replaced its edit with (into `resource`
+     * when the same drag dropped it there) and report the move
+     */
+    replaceDates: (taskId: string, start: Date, end: Date, resource: string | undefined) => void;
+}
+
+interface UseChangeApprovalResult {
+    /** Hooks in effect: the Gantt prop, else the enclosing GanttEventsProvider's */
+    beforeDateChange: () => ChangeApprovalEvents['onBeforeDateChange'];
+    beforeProgressChange: () => ChangeApprovalEvents['onBeforeProgressChange'];
+    beforeDependencyChange: () => ChangeApprovalEvents['onBeforeDependencyChange'];
+    /** Tasks of edits awaiting a promised answer */
+    pendingTasks: Accessor<ReadonlySet<string>>;
+    /** Whether the chart takes edits (not readonly, no edit awaiting approval) */
+    canEdit: () => boolean;
+    /** Report a date change made since `since`, once onBeforeDateChange accepts it */
+    proposeDateChange: (since: HistoryEntry | null, taskId: string, change: DateChangeEvent) => void;
+    proposeProgressChange: (since: HistoryEntry | null, taskId: string, progress: number) => void;
+    proposeDependencyChange: (
+        since: HistoryEntry | null,
+        change: DependencyChange,
+        report: () => void,
+        reapply: (fields: Partial<Pick<Relationship, 'type' | 'lag'>>) => void,
+    ) => void;
+    proposeTaskEdit: (
+        since: HistoryEntry | null,
+        previous: ProcessedTask,
+        edit: TaskEditEvent,
+        reapply: (task: GanttTask) => TaskEditEvent | null,
+    ) => void;
+    /**
+     * Hold back the report of a row drop until the date change of the same
+     * drag is decided (false: no date change is open, report it now)
+     */
+    deferResourceChange: (taskId: string, resource: string, report: () => void) => boolean;
+}
+
+/**
+ * Approval of edits through the onBefore* hooks.
+ *
+ * With a hook (a prop, or an enclosing GanttEventsProvider) an edit still
+ * applies at once, but is reported only once the hook accepts it. The hook is
+ * asked after the edit's turn, when everything the edit moved (cascades, a row
+ * drop) is one history operation: rejecting discards that operation, a
+ * replacement is applied in its place. While a returned promise is pending,
+ * the tasks it touched are dimmed and nothing can be edited or undone: the
+ * rollback restores snapshots taken before the edit, which would overwrite
+ * anything built on top of it.
+ */
+export function useChangeApproval(options: UseChangeApprovalOptions): UseChangeApprovalResult {
+    const { events, history, taskStore, readonly, currentDateUpdates, toDateChange, syncDependencies, replaceDates } =
+        options;
+
+    const outerEvents = useGanttEvents();
+    const beforeDateChange = () => events.onBeforeDateChange ?? outerEvents.onBeforeDateChange;
+    const beforeProgressChange = () => events.onBeforeProgressChange ?? outerEvents.onBeforeProgressChange;
+    const beforeDependencyChange = () => events.onBeforeDependencyChange ?? outerEvents.onBeforeDependencyChange;
+
+    const [pendingTasks, setPendingTasks] = createSignal<ReadonlySet<string>>(new Set());
+
+    /** Whether the chart takes edits (not readonly, no edit awaiting approval) */
+    const canEdit = (): boolean => !readonly() && pendingTasks().size === 0;
+
+    const markPending = (taskIds: string[], pending: boolean): void => {
+        setPendingTasks((prev) => {
+            const next = new Set(prev);
+            for (const id of taskIds) {
+                if (pending) next.add(id);
+                else next.delete(id);
+            }
+            return next;
+        });
+    };
+
+    interface ChangeProposal<T> {
+        /** Last history operation before the edit */
+        since: HistoryEntry | null;
+        /** Tasks the edit touched (pending while a promise decides) */
+        taskIds: string[];
+        ask: () => BeforeChangeResult<T>;
+        /** Report the edit as made */
+        accept: () => void;
+        /** Apply and report a replacement (the edit is rolled back by then) */
+        replace: (value: T) => void;
+    }
+
+    // Task dependencies restored by a rollback also restore their arrows
+    const syncRestoredDependencies = (changes: HistoryChange[]): void => {
+        for (const { id, from, to } of changes) {
+            if (from?.dependencies !== to?.dependencies) syncDependencies(id);
+        }
+    };
+
+    const propose = <T,>(proposal: ChangeProposal<T>): void => {
+        queueMicrotask(() => {
+            history.flush();
+            const last = history.lastOperation();
+            const operation = last !== proposal.since ? last : null;
+
+            const decide = (result: ChangeApproval<T>): void => {
+                if (result === true || result === undefined) {
+                    proposal.accept();
+                    return;
+                }
+                if (operation) {
+                    // Refused when a later operation touched the same tasks: the edit stands
+                    const restored = history.discard(operation);
+                    if (!restored) return;
+                    syncRestoredDependencies(restored);
+                }
+                if (result !== false) proposal.replace(result as T);
+            };
+
+            let result: BeforeChangeResult<T>;
+            try {
+                result = proposal.ask();
+            } catch (error) {
+                console.error('Change hook failed; the change is rolled back', error);
+                result = false;
+            }
+            if (!(result instanceof Promise)) {
+                decide(result);
+                return;
+            }
+
+            markPending(proposal.taskIds, true);
+            result
+                .then(decide, (error: unknown) => {
+                    console.error('Change hook failed; the change is rolled back', error);
+                    decide(false);
+                })
+                .finally(() => markPending(proposal.taskIds, false));
+        });
+    };
+
+    // Date change of the current turn: a row drop after it (same drag) is
+    // reported, replaced or rolled back along with it
+    let openDateChange: { taskId: string; resource?: string; reportResource?: () => void } | null = null;
+
+    /** Report a date change, once onBeforeDateChange accepts it */
+    const proposeDateChange = (since: HistoryEntry | null, taskId: string, change: DateChangeEvent): void => {
+        const hook = beforeDateChange();
+        if (!hook) {
+            events.onDateChange?.(taskId, change);
+            return;
+        }
+
+        const rowChange: { taskId: string; resource?: string; reportResource?: () => void } = { taskId };
+        openDateChange = rowChange;
+        propose<DateChangeOverride>({
+            since,
+            taskIds: [taskId, ...change.cascaded.map((update) => update.taskId)],
+            ask: () => {
+                if (openDateChange === rowChange) openDateChange = null;
+                return hook(taskId, change);
+            },
+            accept: () => {
+                events.onDateChange?.(taskId, change);
+                rowChange.reportResource?.();
+            },
+            replace: (override) =>
+                replaceDates(taskId, override.start ?? change.start, override.end ?? change.end, rowChange.resource),
+        });
+    };
+
+    const deferResourceChange = (taskId: string, resource: string, report: () => void): boolean => {
+        if (openDateChange?.taskId !== taskId) return false;
+        openDateChange.resource = resource;
+        openDateChange.reportResource = report;
+        return true;
+    };
+
+    /** Report a progress change, once onBeforeProgressChange accepts it */
+    const proposeProgressChange = (since: HistoryEntry | null, taskId: string, progress: number): void => {
+        const hook = beforeProgressChange();
+        if (!hook) {
+            events.onProgressChange?.(taskId, progress);
+            return;
+        }
+
+        propose<number>({
+            since,
+            taskIds: [taskId],
+            ask: () => hook(taskId, progress),
+            accept: () => events.onProgressChange?.(taskId, progress),
+            replace: (value) => {
+                const task = taskStore.getTask(taskId);
+                if (!task) return;
+                const replaced = Math.max(0, Math.min(100, value));
+                history.transaction(() => taskStore.updateTask(taskId, { ...unwrap(task), progress: replaced }));
+                events.onProgressChange?.(taskId, replaced);
+            },
+        });
+    };
+
+    /**
+     * Report a dependency change, once onBeforeDependencyChange accepts it.
+     * `reapply` makes the change again with the hook's fields and reports it.
+     */
+    const proposeDependencyChange = (
+        since: HistoryEntry | null,
+        change: DependencyChange,
+        report: () => void,
+        reapply: (fields: Partial<Pick<Relationship, 'type' | 'lag'>>) => void,
+    ): void => {
+        const hook = beforeDependencyChange();
+        if (!hook) {
+            report();
+            return;
+        }
+
+        propose<Partial<Pick<Relationship, 'type' | 'lag'>>>({
+            since,
+            taskIds: [change.dependency.to, ...change.cascaded.map((update) => update.taskId)],
+            ask: () => hook(change),
+            accept: report,
+            replace: reapply,
+        });
+    };
+
+    // Chain hook answers: synchronous while every answer is, a promise once one isn't
+    const settle = <A, B>(value: A | Promise<A>, next: (value: A) => B | Promise<B>): B | Promise<B> =>
+        value instanceof Promise ? value.then(next) : next(value);
+
+    type EditQuestion = (task: GanttTask) => BeforeChangeResult<GanttTask>;
+
+    /**
+     * Report a details panel save through onTaskEdit, once the hooks that
+     * apply accept its parts in turn: the dates (with the pushed successors),
+     * the progress, then each added, changed or removed dependency. Any
+     * rejection rolls the whole save back; replacements are merged into the
+     * task, which `reapply` saves in place of the edit.
+     */
+    const proposeTaskEdit = (
+        since: HistoryEntry | null,
+        previous: ProcessedTask,
+        edit: TaskEditEvent,
+        reapply: (task: GanttTask) => TaskEditEvent | null,
+    ): void => {
+        const { taskId } = edit;
+        const saved = taskStore.getTask(taskId)!;
+        const questions: EditQuestion[] = [];
+
+        const dateHook = beforeDateChange();
+        const movedSelf = saved._bar.x !== previous._bar.x || saved._bar.width !== previous._bar.width;
+        if (dateHook && (movedSelf || edit.cascaded.length > 0)) {
+            const change = { ...toDateChange(currentDateUpdates([taskId]))!, cascaded: edit.cascaded };
+            questions.push((task) =>
+                settle(dateHook(taskId, change), (answer) => {
+                    if (typeof answer !== 'object') return answer;
+                    const format = (date: Date): string => date_utils.format(date, 'YYYY-MM-DD HH:mm');
+                    return {
+                        ...task,
+                        ...(answer.start ? { start: format(answer.start) } : {}),
+                        ...(answer.end ? { end: format(answer.end), duration: undefined } : {}),
+                    };
+                }),
+            );
+        }
+
+        const progressHook = beforeProgressChange();
+        const progress = saved.progress ?? 0;
+        if (progressHook && progress !== (previous.progress ?? 0)) {
+            questions.push((task) =>
+                settle(progressHook(taskId, progress), (answer) =>
+                    typeof answer === 'number' ? { ...task, progress: Math.max(0, Math.min(100, answer)) } : answer,
+                ),
+            );
+        }
+
+        const dependencyHook = beforeDependencyChange();
+        if (dependencyHook) {
+            const same = (a: NormalizedDependency, b: NormalizedDependency | undefined): boolean =>
+                !!b && a.type === b.type && a.lag === b.lag && a.max === b.max;
+            for (const dep of previous.dependencies) {
+                if (saved.dependencies.some((d) => d.id === dep.id)) continue;
+                const change: DependencyChange = {
+                    action: 'delete',
+                    dependency: dependencyRelationship(taskId, dep),
+                    cascaded: [],
+                };
+                // A removal can only be accepted or rejected
+                questions.push(() => settle(dependencyHook(change), (answer) => answer !== false));
+            }
+            for (const dep of saved.dependencies) {
+                if (same(dep, previous.dependencies.find((d) => d.id === dep.id))) continue;
+                const change: DependencyChange = {
+                    action: 'create',
+                    dependency: dependencyRelationship(taskId, dep),
+                    cascaded: edit.cascaded,
+                };
+                questions.push((task) =>
+                    settle(dependencyHook(change), (answer) =>
+                        typeof answer === 'object'
+                            ? {
+                                  ...task,
+                                  dependencies: task.dependencies?.map((d) => (d.id === dep.id ? { ...d, ...answer } : d)),
+                              }
+                            : answer,
+                    ),
+                );
+            }
+        }
+
+        if (questions.length === 0) {
+            events.onTaskEdit?.(edit);
+            return;
+        }
+
+        // Ask in turn; the task carries the replacements so far
+        const ask = (task: GanttTask, remaining: EditQuestion[]): BeforeChangeResult<GanttTask> => {
+            const [question, ...rest] = remaining;
+            if (!question) return task === edit.task ? true : task;
+            return settle(question(task), (answer) =>
+                answer === false ? false : ask(answer === true || answer === undefined ? task : answer, rest),
+            );
+        };
+
+        propose<GanttTask>({
+            since,
+            taskIds: [taskId, ...edit.cascaded.map((update) => update.taskId)],
+            ask: () => ask(edit.task, questions),
+            accept: () => events.onTaskEdit?.(edit),
+            replace: (task) => {
+                const replaced = reapply(task);
+                if (replaced) events.onTaskEdit?.(replaced);
+            },
+        });
+    };
+
+    return {
+        beforeDateChange,
+        beforeProgressChange,
+        beforeDependencyChange,
+        pendingTasks,
+        canEdit,
+        proposeDateChange,
+        proposeProgressChange,
+        proposeDependencyChange,
+        proposeTaskEdit,
+        deferResourceChange,
+    };
+}
@@ -0,0 +1,313 @@
+import { createSignal, untrack, batch, Accessor } from 'solid-js';
+import { isIgnoredPosition } from '../utils/barCalculations';
+import { resolveConstraintsInTime } from '../utils/constraintEngine';
+import { durationError } from '../utils/taskEdit';
+import type { GanttConfigStore } from '../stores/ganttConfigStore';
+import type { GanttDateStore } from '../stores/ganttDateStore';
+import type { HistoryEntry, TaskHistory } from '../stores/historyStore';
+import type { ResourceStore } from '../stores/resourceStore';
+import type { SelectionStore } from '../stores/selectionStore';
+import type { TaskStore } from '../stores/taskStore';
+import type {
+    DateChangeEvent,
+    ProcessedTask,
+    TaskDateUpdate,
+    TaskTimeSpan,
+    TimeConstraintContext,
+} from '../types';
+
+type Rect = { x: number; y: number; width: number; height: number };
+
+/** Chart actions behind shortcuts */
+interface KeyboardActions {
+    undo: () => void;
+    redo: () => void;
+    openTaskEditor: (taskId: string) => void;
+    deleteSelected: () => void;
+}
+
+interface UseChartKeyboardOptions {
+    events: { onResizeEnd?: (taskId: string) => void };
+    selection: SelectionStore;
+    taskStore: TaskStore;
+    dateStore: GanttDateStore;
+    ganttConfig: GanttConfigStore;
+    resourceStore: ResourceStore;
+    history: TaskHistory;
+    canEdit: () => boolean;
+    isSelectable: (task: ProcessedTask) => boolean;
+    barRect: (task: ProcessedTask) => Rect | null;
+    scrollRectIntoView: (rect: Rect) => void;
+    /** Time-domain constraint context from the current bars */
+    timeContext: () => TimeConstraintContext;
+    /** Write cascaded successor spans to their bars */
+    applyCascade: (updates: Map<string, TaskTimeSpan>) => void;
+    currentDateUpdates: (taskIds: Iterable<string>) => TaskDateUpdate[];
+    toDateChange: (dateUpdates: TaskDateUpdate[]) => DateChangeEvent | null;
+    proposeDateChange: (since: HistoryEntry | null, taskId: string, change: DateChangeEvent) => void;
+    proposeProgressChange: (since: HistoryEntry | null, taskId: string, progress: number) => void;
+    actions: KeyboardActions;
+}
+
+interface UseChartKeyboardResult {
+    /** Whether the focused task shows its focus ring */
+    focusVisible: Accessor<boolean>;
+    /** Hide the focus ring (a mouse interaction) */
+    hideFocus: () => void;
+    handleKeyDown: (e: KeyboardEvent) => void;
+}
+
+/**
+ * Keyboard navigation and editing of the chart.
+ *
+ * Arrows move the focus between bars, Shift+Arrow moves and Alt+Arrow resizes
+ * the focused task, +/- change its progress, Enter opens its details, Delete
+ * removes the selection and Ctrl/Cmd+Z/Y undo and redo.
+ */
+export function useChartKeyboard(options: UseChartKeyboardOptions): UseChartKeyboardResult {
+    const {
+        events,
+        selection,
+        taskStore,
+        dateStore,
+        ganttConfig,
+        resourceStore,
+        history,
+        canEdit,
+        isSelectable,
+        barRect,
+        scrollRectIntoView,
+        timeContext,
+        applyCascade,
+        currentDateUpdates,
+        toDateChange,
+        proposeDateChange,
+        proposeProgressChange,
+    } = options;
+    const { undo, redo, openTaskEditor, deleteSelected } = options.actions;
+
+    // Roving focus: one task holds keyboard focus while DOM focus stays on the
+    // chart container (bars are pooled and virtualized). The focus ring shows
+    // after keyboard navigation and hides on the next mouse interaction.
+    const [focusVisible, setFocusVisible] = createSignal(false);
+
+    const focusTask = (taskId: string): void => {
+        batch(() => {
+            selection.setFocusedId(taskId);
+            selection.select(taskId);
+            setFocusVisible(true);
+        });
+        const task = taskStore.getTask(taskId);
+        const rect = task && barRect(task);
+        if (rect) scrollRectIntoView(rect);
+    };
+
+    // Navigable tasks per displayed row (rows without tasks skipped), ordered by X
+    const navigationRows = (): ProcessedTask[][] => {
+        const rowIndex = new Map(resourceStore.displayResources().map((r, i) => [r.id, i]));
+        const byRow = new Map<number, ProcessedTask[]>();
+        for (const task of taskStore.getAllTasks()) {
+            const row = rowIndex.get(task.resource || 'Unassigned');
+            if (row === undefined || !isSelectable(task)) continue;
+            let list = byRow.get(row);
+            if (!list) {
+                list = [];
+                byRow.set(row, list);
+            }
+            list.push(task);
+        }
+        return [...byRow.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([, list]) => list.sort((a, b) => a._bar.x - b._bar.x || a._bar.y - b._bar.y));
+    };
+
+    /**
+     * Arrow keys: Left/Right step through the row, Up/Down go to the nearest
+     * task (by bar center) in the previous/next row.
+     */
+    const moveFocus = (key: string): void => {
+        const rows = untrack(navigationRows);
+        const focused = untrack(selection.focusedId);
+
+        let rowIdx = -1;
+        let taskIdx = -1;
+        for (let r = 0; r < rows.length && rowIdx < 0; r++) {
+            const i = rows[r]!.findIndex((task) => task.id === focused);
+            if (i >= 0) [rowIdx, taskIdx] = [r, i];
+        }
+
+        let target: ProcessedTask | undefined;
+        if (rowIdx < 0) {
+            target = rows[0]?.[0];
+        } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+            target = rows[rowIdx]![taskIdx + (key === 'ArrowLeft' ? -1 : 1)];
+        } else {
+            const current = rows[rowIdx]![taskIdx]!;
+            const center = current._bar.x + current._bar.width / 2;
+            const distance = (task: ProcessedTask): number => Math.abs(task._bar.x + task._bar.width / 2 - center);
+            for (const task of rows[rowIdx + (key === 'ArrowUp' ? -1 : 1)] ?? []) {
+                if (!target || distance(task) < distance(target)) target = task;
+            }
+        }
+
+        if (target) focusTask(target.id);
+    };
+
+    // Focused task, if its dates may be edited (locks block keyboard edits like drags)
+    const focusedDateTask = (): ProcessedTask | undefined => {
+        if (!canEdit() || ganttConfig.readonlyDates()) return undefined;
+        const id = selection.focusedId();
+        const task = id ? taskStore.getTask(id) : undefined;
+        return task && !task.constraints?.locked ? task : undefined;
+    };
+
+    // Next column edge in a direction, skipping ignored columns
+    const stepColumn = (x: number, direction: number, isEnd: boolean): number => {
+        const colWidth = dateStore.columnWidth();
+        const ignored = ganttConfig.ignoredPositions();
+        let next = Math.round(x / colWidth) * colWidth + direction * colWidth;
+        while (isIgnoredPosition(isEnd ? next - 1 : next, ignored, colWidth)) next += direction * colWidth;
+        return next;
+    };
+
+    // Keyboard edits are recorded at the end of the turn, like drags
+    const reportKeyboardEdit = (taskId: string, cascadedIds: Iterable<string>): void => {
+        const change = toDateChange(currentDateUpdates([taskId, ...cascadedIds]));
+        if (change) proposeDateChange(history.lastOperation(), taskId, change);
+    };
+
+    /** Shift+Arrow: move the focused task one column, pushing successors */
+    const moveFocusedTask = (direction: number): void => {
+        const task = focusedDateTask();
+        if (!task) return;
+        const { x, width } = task._bar;
+
+        const proposedX = stepColumn(x, direction, false);
+        const proposedStart = dateStore.xToDate(proposedX);
+        const result = resolveConstraintsInTime(
+            task.id,
+            proposedStart,
+            dateStore.xToDate(proposedX + width),
+            timeContext(),
+        );
+        if (result.blocked) return;
+
+        // With a calendar the end follows the task's working time, not the column step
+        const newX = result.start === proposedStart ? proposedX : dateStore.dateToX(result.start);
+        const newWidth = dateStore.dateToX(result.end) - newX;
+        if (newX === x) return;
+        batch(() => {
+            applyCascade(result.cascadeUpdates);
+            taskStore.updateBarPosition(task.id, { x: newX, width: newWidth });
+        });
+        reportKeyboardEdit(task.id, result.cascadeUpdates.keys());
+    };
+
+    /**
+     * Alt+Arrow: move the focused task's end one column (at least one column
+     * long), within its duration limits and settled by the constraint engine
+     */
+    const resizeFocusedTask = (direction: number): void => {
+        const task = focusedDateTask();
+        if (!task) return;
+        const { x, width } = task._bar;
+
+        const newWidth = Math.max(dateStore.columnWidth(), stepColumn(x + width, direction, true) - x);
+        if (newWidth === width) return;
+
+        const start = dateStore.xToDate(x);
+        const end = dateStore.xToDate(x + newWidth);
+        const context = timeContext();
+        const calendar = context.getCalendar?.(task.id) ?? context.calendar;
+        const hours = calendar ? calendar.workingHoursBetween(start, end) : (end.getTime() - start.getTime()) / 3_600_000;
+        if (durationError(task.constraints, hours)) return;
+
+        // Forced with the resized span in place: downstream limits apply and
+        // successors cascade off the new end, though the start stays put
+        const result = resolveConstraintsInTime(
+            task.id,
+            start,
+            end,
+            { ...context, getTaskSpan: (id) => (id === task.id ? { start, end } : context.getTaskSpan(id)) },
+            { force: true },
+        );
+        // The engine makes room by moving the whole task, which a resize
+        // doesn't do: an end the schedule can't take leaves the task as it is
+        if (result.blocked || result.start.getTime() !== start.getTime()) return;
+
+        const constrainedWidth = result.end === end ? newWidth : dateStore.dateToX(result.end) - x;
+        if (constrainedWidth === width) return;
+        batch(() => {
+            taskStore.updateBarPosition(task.id, { width: constrainedWidth });
+            applyCascade(result.cascadeUpdates);
+        });
+        events.onResizeEnd?.(task.id);
+        reportKeyboardEdit(task.id, result.cascadeUpdates.keys());
+    };
+
+    /** +/-: change the focused task's progress in steps of 10% */
+    const changeFocusedProgress = (delta: number): void => {
+        if (!canEdit() || ganttConfig.readonlyProgress()) return;
+        const id = selection.focusedId();
+        const task = id ? taskStore.getTask(id) : undefined;
+        if (!task || task.constraints?.locked) return;
+
+        const progress = Math.max(0, Math.min(100, (task.progress ?? 0) + delta));
+        if (progress === task.progress) return;
+        const since = history.lastOperation();
+        taskStore.updateTask(task.id, { ...task, progress });
+        proposeProgressChange(since, task.id, progress);
+    };
+
+    // Chart keyboard shortcuts (ignored while typing in form fields)
+    const handleKeyDown = (e: KeyboardEvent): void => {
+        const target = e.target as HTMLElement | null;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        } else if (e.key.startsWith('Arrow')) {
+            e.preventDefault();
+            const horizontal = e.key === 'ArrowLeft' || e.key === 'ArrowRight';
+            const direction = e.key === 'ArrowLeft' ? -1 : 1;
+            if (e.shiftKey && horizontal) {
+                moveFocusedTask(direction);
+            } else if (e.altKey && horizontal) {
+                resizeFocusedTask(direction);
+            } else {
+                moveFocus(e.key);
+            }
+        } else if (e.key === 'Enter') {
+            const id = selection.focusedId();
+            if (id && taskStore.getTask(id)) {
+                e.preventDefault();
+                openTaskEditor(id);
+            }
+        } else if (e.key === '+' || e.key === '=') {
+            e.preventDefault();
+            changeFocusedProgress(10);
+        } else if (e.key === '-' || e.key === '_') {
+            e.preventDefault();
+            changeFocusedProgress(-10);
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && selection.selectedIds().size > 0) {
+            e.preventDefault();
+            deleteSelected();
+        } else if (e.key === 'Escape') {
+            selection.clear();
+            setFocusVisible(false);
+        }
+    };
+
+    return {
+        focusVisible,
+        hideFocus: () => setFocusVisible(false),
+        handleKeyDown,
+    };
+}
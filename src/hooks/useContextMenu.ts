@@ -0,0 +1,218 @@
+import { createSignal, batch, Accessor } from 'solid-js';
+import type { GanttConfigStore } from '../stores/ganttConfigStore';
+import type { GanttDateStore } from '../stores/ganttDateStore';
+import type { ResourceStore } from '../stores/resourceStore';
+import type { SelectionStore } from '../stores/selectionStore';
+import type { TaskStore } from '../stores/taskStore';
+import type { ContextMenuItem } from '../components/ContextMenu';
+import type { ContextMenuEvent, ContextMenuTarget } from '../components/Gantt';
+import type { RowLayout } from '../utils/rowLayoutCalculator';
+import type { LockState, ProcessedTask, Relationship } from '../types';
+
+/** The built-in menu while it's open */
+interface OpenContextMenu {
+    x: number;
+    y: number;
+    items: ContextMenuItem[];
+}
+
+/** Chart actions the default menu items run */
+interface ContextMenuActions {
+    openTaskEditor: (taskId: string) => void;
+    addSuccessor: (taskId: string) => void;
+    /** Add a one-column task at content X of a resource row */
+    addTaskAt: (resource: string, x: number) => void;
+    lockSelected: (locked?: LockState) => void;
+    deleteSelected: () => void;
+    removeDependency: (fromId: string, toId: string) => void;
+}
+
+interface UseContextMenuOptions {
+    events: { onContextMenu?: (event: ContextMenuEvent) => ContextMenuItem[] | false | void };
+    /** Show the built-in menu (context_menu option) */
+    builtInMenu: () => boolean;
+    taskStore: TaskStore;
+    resourceStore: ResourceStore;
+    ganttConfig: GanttConfigStore;
+    dateStore: GanttDateStore;
+    selection: SelectionStore;
+    relationships: Accessor<Relationship[]>;
+    svgElement: () => SVGSVGElement | undefined;
+    toSvgCoords: (clientX: number, clientY: number, svg?: SVGSVGElement | null) => { x: number; y: number };
+    /** Resource row containing a content Y (null for group headers and outside rows) */
+    resourceRowAtY: (y: number) => (RowLayout & { id: string }) | null;
+    canEdit: () => boolean;
+    canCreateTasks: () => boolean;
+    isSelectable: (task: ProcessedTask) => boolean;
+    actions: ContextMenuActions;
+}
+
+interface UseContextMenuResult {
+    /** Whether right-clicks are handled (context_menu option or an onContextMenu handler) */
+    contextMenuEnabled: () => boolean;
+    /** Built-in menu, while open */
+    contextMenu: Accessor<OpenContextMenu | null>;
+    closeContextMenu: () => void;
+    handleContextMenu: (e: MouseEvent) => void;
+}
+
+/**
+ * Context menu of the chart.
+ *
+ * Right-click (or a touch long press) on a bar, resource cell, arrow or
+ * empty cell collects the target's default actions; onContextMenu can change
+ * them or take over, and the built-in menu shows them with the context_menu
+ * option. Task actions act on the selection, like the API.
+ */
+export function useContextMenu(options: UseContextMenuOptions): UseContextMenuResult {
+    const {
+        events,
+        builtInMenu,
+        taskStore,
+        resourceStore,
+        ganttConfig,
+        dateStore,
+        selection,
+        relationships,
+        svgElement,
+        toSvgCoords,
+        resourceRowAtY,
+        canEdit,
+        canCreateTasks,
+        isSelectable,
+    } = options;
+    const { openTaskEditor, addSuccessor, addTaskAt, lockSelected, deleteSelected, removeDependency } = options.actions;
+
+    const contextMenuEnabled = (): boolean => builtInMenu() || !!events.onContextMenu;
+
+    const [contextMenu, setContextMenu] = createSignal<OpenContextMenu | null>(null);
+
+    // What's under a viewport point (bars above arrows, arrows above the grid)
+    const contextMenuTarget = (clientX: number, clientY: number): ContextMenuTarget | null => {
+        const element = document.elementFromPoint(clientX, clientY);
+        if (!element) return null;
+
+        const taskId = element.closest('.gantt-bars-layer [data-id]')?.getAttribute('data-id');
+        if (taskId && taskStore.getTask(taskId)) return { type: 'task', taskId };
+
+        const cell = element.closest('.resource-cell');
+        const resourceId = cell?.getAttribute('data-resource');
+        if (resourceId) return { type: 'resource', resourceId, isGroup: cell?.getAttribute('data-type') === 'group' };
+
+        const arrow = element.closest('[data-arrow-id]');
+        const rel = arrow && relationships().find(
+            (r) => r.from === arrow.getAttribute('data-from') && r.to === arrow.getAttribute('data-to'),
+        );
+        if (rel) return { type: 'dependency', from: rel.from, to: rel.to, dependencyType: rel.type };
+
+        const svg = svgElement();
+        if (!svg?.contains(element)) return null;
+        const { x, y } = toSvgCoords(clientX, clientY, svg);
+        const colWidth = dateStore.columnWidth();
+        return {
+            type: 'cell',
+            resource: resourceRowAtY(y)?.id ?? null,
+            date: dateStore.xToDate(Math.floor(x / colWidth) * colWidth),
+        };
+    };
+
+    const taskMenuItems = (taskId: string): ContextMenuItem[] => {
+        const task = taskStore.getTask(taskId);
+        if (!task) return [];
+        const editable = canEdit();
+        const items: ContextMenuItem[] = [
+            { id: 'details', label: editable ? 'Edit details' : 'Details', action: () => openTaskEditor(taskId) },
+        ];
+        if ((task._children?.length ?? 0) > 0 && ganttConfig.renderMode() !== 'simple') {
+            items.push({
+                id: 'toggle-subtasks',
+                label: ganttConfig.isTaskExpanded(taskId) ? 'Collapse subtasks' : 'Expand subtasks',
+                action: () => ganttConfig.toggleTaskExpansion(taskId),
+            });
+        }
+        if (!editable) return items;
+
+        if (canCreateTasks()) {
+            items.push({ id: 'add-successor', label: 'Add successor', action: () => addSuccessor(taskId) });
+        }
+        if (isSelectable(task)) {
+            const count = selection.getSelection().length;
+            const suffix = count > 1 ? ` ${count} tasks` : '';
+            const locked = !!task.constraints?.locked;
+            items.push(
+                { id: 'lock', label: `${locked ? 'Unlock' : 'Lock'}${suffix}`, action: () => lockSelected(!locked) },
+                { id: 'delete', label: `Delete${suffix}`, danger: true, separator: true, action: deleteSelected },
+            );
+        }
+        return items;
+    };
+
+    const resourceMenuItems = (resourceId: string, isGroup: boolean): ContextMenuItem[] => {
+        if (isGroup) {
+            return [{
+                id: 'toggle-group',
+                label: resourceStore.isGroupCollapsed(resourceId) ? 'Expand group' : 'Collapse group',
+                action: () => resourceStore.toggleGroup(resourceId),
+            }];
+        }
+        const rowTasks = (): string[] =>
+            taskStore.getAllTasks().filter((task) => (task.resource || 'Unassigned') === resourceId && isSelectable(task)).map((task) => task.id);
+        return [{
+            id: 'select-tasks',
+            label: 'Select tasks',
+            disabled: rowTasks().length === 0,
+            action: () => selection.setSelection(rowTasks()),
+        }];
+    };
+
+    // Default actions for a target (a cell without any gives an empty menu)
+    const contextMenuItems = (target: ContextMenuTarget): ContextMenuItem[] => {
+        switch (target.type) {
+            case 'task':
+                return taskMenuItems(target.taskId);
+            case 'resource':
+                return resourceMenuItems(target.resourceId, target.isGroup);
+            case 'dependency':
+                return !canEdit()
+                    ? []
+                    : [{
+                          id: 'remove-dependency',
+                          label: 'Remove dependency',
+                          danger: true,
+                          action: () => removeDependency(target.from, target.to),
+                      }];
+            case 'cell': {
+                const resource = target.resource;
+                if (!resource || !canCreateTasks()) return [];
+                const x = dateStore.dateToX(target.date);
+                return [{ id: 'add-task', label: 'Add task', action: () => addTaskAt(resource, x) }];
+            }
+        }
+    };
+
+    const handleContextMenu = (e: MouseEvent): void => {
+        const target = contextMenuTarget(e.clientX, e.clientY);
+        if (!target) return; // Headers: the browser's menu
+        e.preventDefault();
+
+        // Like a click, a task outside the selection becomes the selection
+        if (target.type === 'task' && !selection.isSelected(target.taskId)) {
+            batch(() => {
+                selection.select(target.taskId);
+                selection.setFocusedId(target.taskId);
+            });
+        }
+
+        const items = contextMenuItems(target);
+        const result = events.onContextMenu?.({ target, clientX: e.clientX, clientY: e.clientY, items, originalEvent: e });
+        if (result === false || !builtInMenu()) return;
+        setContextMenu({ x: e.clientX, y: e.clientY, items: Array.isArray(result) ? result : items });
+    };
+
+    return {
+        contextMenuEnabled,
+        contextMenu,
+        closeContextMenu: () => setContextMenu(null),
+        handleContextMenu,
+    };
+}
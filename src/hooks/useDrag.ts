@@ -1,6 +1,13 @@
 import { createSignal, onCleanup, Accessor } from 'solid-js';
 
-type DragState = 'idle' | 'dragging_bar' | 'dragging_left' | 'dragging_right' | 'dragging_progress';
+type DragState =
+    | 'idle'
+    | 'dragging_bar'
+    | 'dragging_left'
+    | 'dragging_right'
+    | 'dragging_progress'
+    | 'selecting'
+    | 'connecting';
 
 interface DragMove {
     clientX: number;
@@ -27,22 +34,36 @@ interface UseDragOptions {
     onDragStart?: (data: DragData, state: DragState) => void;
     onDragMove?: (move: DragMove, data: DragData, state: DragState) => void;
     onDragEnd?: (move: DragMove, data: DragData, state: DragState) => void;
+    /** Pointer released before a drag started (a click or tap) */
+    onPress?: (data: DragData, state: DragState) => void;
     getSvgPoint?: (clientX: number, clientY: number) => { x: number; y: number };
+    /** Distance (px) the pointer travels before a drag starts (default: 3) */
+    threshold?: number;
+    /** Touch hold time (ms) before a drag starts; moving earlier scrolls instead (default: 400) */
+    longPressMs?: number;
 }
 
 interface UseDragResult {
     dragState: Accessor<DragState>;
     isDragging: Accessor<boolean>;
-    startDrag: (e: MouseEvent, state: DragState, data?: Record<string, unknown>) => void;
-    createDragHandler: (state: DragState, dataOrGetter?: Record<string, unknown> | ((e: MouseEvent) => Record<string, unknown>)) => (e: MouseEvent) => void;
+    startDrag: (e: PointerEvent | MouseEvent, state: DragState, data?: Record<string, unknown>) => void;
+    createDragHandler: (state: DragState, dataOrGetter?: Record<string, unknown> | ((e: MouseEvent) => Record<string, unknown>)) => (e: PointerEvent | MouseEvent) => void;
     toSvgCoords: (clientX: number, clientY: number, svg?: SVGSVGElement | null) => { x: number; y: number };
 }
 
 /**
- * Drag state machine with RAF-based updates for 60fps performance.
+ * Drag state machine on Pointer Events with RAF-based updates for 60fps performance.
+ *
+ * - The pressed element captures the pointer, so moves keep arriving outside it
+ * - Mouse/pen: the drag starts once the pointer moves past the threshold
+ * - Touch: the drag starts after a long press; moving before that is left to
+ *   the browser (scrolling), and page scrolling is blocked while dragging
+ * - Releasing before the drag starts reports a press (onPress) instead
  */
 export function useDrag(options: UseDragOptions = {}): UseDragResult {
-    const { onDragStart, onDragMove, onDragEnd, getSvgPoint } = options;
+    const { onDragStart, onDragMove, onDragEnd, onPress, getSvgPoint } = options;
+    const threshold = options.threshold ?? 3;
+    const longPressMs = options.longPressMs ?? 400;
 
     // Drag state
     const [dragState, setDragState] = createSignal<DragState>('idle');
@@ -51,8 +72,14 @@ export function useDrag(options: UseDragOptions = {}): UseDragResult {
     // Internal state (not reactive - for performance)
     let rafId: number | null = null;
     let pendingMove: DragMove | null = null;
+    let lastMove: DragMove | null = null;
     let dragData: DragData | null = null;
 
+    // Press waiting to become a drag (threshold or long press)
+    let pressState: DragState | null = null;
+    let pointerId: number | null = null;
+    let longPressTimer: ReturnType<typeof setTimeout> | null = null;
+
     // RAF loop for 60fps updates
     const rafLoop = (): void => {
         if (pendingMove && dragData && dragState() !== 'idle') {
@@ -80,6 +107,13 @@ export function useDrag(options: UseDragOptions = {}): UseDragResult {
         }
     };
 
+    const clearLongPress = (): void => {
+        if (longPressTimer !== null) {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        }
+    };
+
     // Convert client coordinates to SVG coordinates
     const toSvgCoords = (clientX: number, clientY: number, svg?: SVGSVGElement | null): { x: number; y: number } => {
         if (getSvgPoint) {
@@ -100,24 +134,66 @@ export function useDrag(options: UseDragOptions = {}): UseDragResult {
         return { x: svgP.x, y: svgP.y };
     };
 
-    // Global mouse move handler
-    const handleMouseMove = (e: MouseEvent): void => {
-        if (dragState() === 'idle' || !dragData) return;
-
-        const svg = dragData.svg;
-        const svgCoords = toSvgCoords(e.clientX, e.clientY, svg);
-
-        pendingMove = {
+    const toMove = (e: PointerEvent, data: DragData): DragMove => {
+        const svgCoords = toSvgCoords(e.clientX, e.clientY, data.svg);
+        return {
             clientX: e.clientX,
             clientY: e.clientY,
             svgX: svgCoords.x,
             svgY: svgCoords.y,
-            deltaX: svgCoords.x - dragData.startSvgX,
-            deltaY: svgCoords.y - dragData.startSvgY,
+            deltaX: svgCoords.x - data.startSvgX,
+            deltaY: svgCoords.y - data.startSvgY,
             shiftKey: e.shiftKey,
             ctrlKey: e.ctrlKey,
             altKey: e.altKey,
         };
+    };
+
+    // Press → drag
+    const activate = (): void => {
+        clearLongPress();
+        if (!dragData || !pressState) return;
+        const state = pressState;
+        pressState = null;
+
+        setDragState(state);
+        setIsDragging(true);
+
+        onDragStart?.(dragData, state);
+    };
+
+    // Remove listeners and reset to idle
+    const finish = (): void => {
+        clearLongPress();
+        stopRaf();
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerup', handlePointerUp);
+        document.removeEventListener('pointercancel', handlePointerCancel);
+        document.removeEventListener('touchmove', preventTouchScroll);
+
+        setDragState('idle');
+        setIsDragging(false);
+        dragData = null;
+        lastMove = null;
+        pressState = null;
+        pointerId = null;
+    };
+
+    // Global pointer move handler
+    const handlePointerMove = (e: PointerEvent): void => {
+        if (!dragData || (pointerId !== null && e.pointerId !== pointerId)) return;
+
+        if (pressState) {
+            if (!movedEnough(dragData.startClientX, dragData.startClientY, e.clientX, e.clientY, threshold)) return;
+            // Touch moved before the long press: the user is scrolling
+            if (longPressTimer !== null) {
+                finish();
+                return;
+            }
+            activate();
+        }
+
+        pendingMove = lastMove = toMove(e, dragData);
 
         // Start RAF if not running
         if (rafId === null) {
@@ -125,9 +201,15 @@ export function useDrag(options: UseDragOptions = {}): UseDragResult {
         }
     };
 
-    // Global mouse up handler
-    const handleMouseUp = (e: MouseEvent): void => {
-        if (dragState() === 'idle' || !dragData) return;
+    // Global pointer up handler
+    const handlePointerUp = (e: PointerEvent): void => {
+        if (!dragData || (pointerId !== null && e.pointerId !== pointerId)) return;
+
+        if (pressState) {
+            onPress?.(dragData, pressState);
+            finish();
+            return;
+        }
 
         stopRaf();
 
@@ -137,34 +219,48 @@ export function useDrag(options: UseDragOptions = {}): UseDragResult {
             pendingMove = null;
         }
 
-        const svg = dragData.svg;
-        const svgCoords = toSvgCoords(e.clientX, e.clientY, svg);
+        onDragEnd?.(toMove(e, dragData), dragData, dragState());
 
-        const finalMove: DragMove = {
-            clientX: e.clientX,
-            clientY: e.clientY,
-            svgX: svgCoords.x,
-            svgY: svgCoords.y,
-            deltaX: svgCoords.x - dragData.startSvgX,
-            deltaY: svgCoords.y - dragData.startSvgY,
-        };
+        // Cleanup
+        finish();
+    };
 
-        onDragEnd?.(finalMove, dragData, dragState());
+    // The browser took the pointer (e.g. system gesture): keep what was dragged so far
+    const handlePointerCancel = (e: PointerEvent): void => {
+        if (!dragData || (pointerId !== null && e.pointerId !== pointerId)) return;
 
-        // Cleanup
-        document.removeEventListener('mousemove', handleMouseMove);
-        document.removeEventListener('mouseup', handleMouseUp);
+        if (pressState) {
+            finish();
+            return;
+        }
 
-        setDragState('idle');
-        setIsDragging(false);
-        dragData = null;
+        stopRaf();
+        if (pendingMove) {
+            onDragMove?.(pendingMove, dragData, dragState());
+            pendingMove = null;
+        }
+        onDragEnd?.(lastMove ?? {
+            clientX: dragData.startClientX,
+            clientY: dragData.startClientY,
+            svgX: dragData.startSvgX,
+            svgY: dragData.startSvgY,
+            deltaX: 0,
+            deltaY: 0,
+        }, dragData, dragState());
+        finish();
+    };
+
+    // Touch: no page scrolling while a drag is active
+    const preventTouchScroll = (e: TouchEvent): void => {
+        if (dragState() !== 'idle') e.preventDefault();
     };
 
     /**
-     * Start a drag operation.
+     * Start a drag operation (call from pointerdown; mousedown still works).
+     * The drag begins after the threshold or long press.
      */
-    const startDrag = (e: MouseEvent, state: DragState, data: Record<string, unknown> = {}): void => {
-        if (dragState() !== 'idle') {
+    const startDrag = (e: PointerEvent | MouseEvent, state: DragState, data: Record<string, unknown> = {}): void => {
+        if (dragState() !== 'idle' || dragData) {
             return;
         }
 
@@ -182,28 +278,39 @@ export function useDrag(options: UseDragOptions = {}): UseDragResult {
             startSvgX: svgCoords.x,
             startSvgY: svgCoords.y,
         };
-
-        setDragState(state);
-        setIsDragging(true);
-
-        onDragStart?.(dragData, state);
+        pressState = state;
+
+        // Keep receiving moves outside the pressed element
+        if ('pointerId' in e) {
+            pointerId = e.pointerId;
+            try {
+                target?.setPointerCapture?.(e.pointerId);
+            } catch {
+                // Pointer already released
+            }
+            if (e.pointerType === 'touch') {
+                longPressTimer = setTimeout(activate, longPressMs);
+            }
+        }
 
         // Add global listeners
-        document.addEventListener('mousemove', handleMouseMove);
-        document.addEventListener('mouseup', handleMouseUp);
+        document.addEventListener('pointermove', handlePointerMove);
+        document.addEventListener('pointerup', handlePointerUp);
+        document.addEventListener('pointercancel', handlePointerCancel);
+        document.addEventListener('touchmove', preventTouchScroll, { passive: false });
 
         e.preventDefault();
         e.stopPropagation();
     };
 
     /**
-     * Create mousedown handler for a specific drag type.
+     * Create pointerdown handler for a specific drag type.
      */
     const createDragHandler = (
         state: DragState,
         dataOrGetter: Record<string, unknown> | ((e: MouseEvent) => Record<string, unknown>) = {}
-    ): ((e: MouseEvent) => void) => {
-        return (e: MouseEvent) => {
+    ): ((e: PointerEvent | MouseEvent) => void) => {
+        return (e: PointerEvent | MouseEvent) => {
             const data = typeof dataOrGetter === 'function'
                 ? dataOrGetter(e)
                 : dataOrGetter;
@@ -213,9 +320,12 @@ export function useDrag(options: UseDragOptions = {}): UseDragResult {
 
     // Cleanup on unmount
     onCleanup(() => {
+        clearLongPress();
         stopRaf();
-        document.removeEventListener('mousemove', handleMouseMove);
-        document.removeEventListener('mouseup', handleMouseUp);
+        document.removeEventListener('pointermove', handlePointerMove);
+        document.removeEventListener('pointerup', handlePointerUp);
+        document.removeEventListener('pointercancel', handlePointerCancel);
+        document.removeEventListener('touchmove', preventTouchScroll);
     });
 
     return {
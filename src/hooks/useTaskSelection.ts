@@ -0,0 +1,166 @@
+import { createSignal, createEffect, untrack, batch, Accessor } from 'solid-js';
+import { useDrag } from './useDrag';
+import type { GanttConfigStore } from '../stores/ganttConfigStore';
+import type { SelectionStore } from '../stores/selectionStore';
+import type { TaskStore } from '../stores/taskStore';
+import type { RowLayout } from '../utils/rowLayoutCalculator';
+import type { ProcessedTask } from '../types';
+
+type Rect = { x: number; y: number; width: number; height: number };
+
+/** A task being drawn by a drag over [fromX, toX] of a resource row */
+interface TaskDraftDrag {
+    resource: string;
+    fromX: number;
+    toX: number;
+}
+
+interface UseTaskSelectionOptions {
+    events: { onSelectionChange?: (taskIds: string[]) => void };
+    selection: SelectionStore;
+    taskStore: TaskStore;
+    ganttConfig: GanttConfigStore;
+    rowLayouts: Accessor<Map<string, RowLayout>>;
+    /** Resource row a plain drag starting at content Y draws a task in (null: none) */
+    draftRowAt: (y: number) => (RowLayout & { id: string }) | null;
+    /** Show the task being drawn, or hide it (null) */
+    onDraft: (draft: TaskDraftDrag | null) => void;
+    /** The drag ended; add the task drawn last, if any */
+    onDraftEnd: () => void;
+}
+
+interface UseTaskSelectionResult {
+    /** Tasks drawn as a regular bar (summaries and expanded containers aren't selectable) */
+    isSelectable: (task: ProcessedTask) => boolean;
+    /** Bar rectangle in chart content coordinates */
+    barRect: (task: ProcessedTask) => Rect | null;
+    /** Selectable tasks whose bars touch a content rectangle */
+    tasksInRect: (rect: Rect) => string[];
+    /** Selected tasks still in the chart */
+    selectedTasks: () => ProcessedTask[];
+    /** Marquee rectangle while dragging one */
+    marquee: Accessor<Rect | null>;
+    /** Start a marquee (or task drawing) drag on empty grid space */
+    startMarquee: (e: PointerEvent) => void;
+    toSvgCoords: (clientX: number, clientY: number, svg?: SVGSVGElement | null) => { x: number; y: number };
+}
+
+/**
+ * Task selection on the chart: which bars can be selected and where they
+ * are, the marquee drag, and onSelectionChange reports.
+ *
+ * Drag on empty grid space selects every bar the rectangle touches
+ * (Ctrl/Cmd/Shift adds to the selection); a plain click there clears it.
+ */
+export function useTaskSelection(options: UseTaskSelectionOptions): UseTaskSelectionResult {
+    const { events, selection, taskStore, ganttConfig, rowLayouts, draftRowAt, onDraft, onDraftEnd } = options;
+
+    // Report changes only (the store keeps its set when a pick changes nothing)
+    let prevSelection = selection.selectedIds();
+    createEffect(() => {
+        const ids = selection.selectedIds();
+        if (ids === prevSelection) return;
+        prevSelection = ids;
+        untrack(() => events.onSelectionChange?.([...ids]));
+    });
+
+    // Tasks drawn as a regular bar (summaries and expanded containers aren't selectable)
+    const isSelectable = (task: ProcessedTask): boolean => {
+        if (task._isHidden || !task._bar || task.type === 'summary' || task.type === 'project') return false;
+        if (ganttConfig.renderMode() === 'simple') return !task.parentId;
+        if ((task._children?.length ?? 0) > 0 && ganttConfig.isTaskExpanded(task.id)) return false;
+        return !task.parentId || !ganttConfig.isTaskExpanded(task.parentId);
+    };
+
+    // Bar rectangle in chart content coordinates (Y from the row layout, like TaskLayer)
+    const barRect = (task: ProcessedTask): Rect | null => {
+        const layout = rowLayouts().get(task.resource || '');
+        if (!layout) return null;
+        const pos = layout.taskPositions?.get(task.id);
+        const simple = ganttConfig.renderMode() === 'simple';
+        return {
+            x: task._bar.x,
+            y: pos?.y ?? (simple ? layout.contentY ?? layout.y : layout.y),
+            width: task._bar.width,
+            height: pos?.height ?? (simple ? layout.contentHeight ?? layout.height : layout.height),
+        };
+    };
+
+    const [marquee, setMarquee] = createSignal<Rect | null>(null);
+
+    const tasksInRect = (rect: Rect): string[] =>
+        untrack(() => {
+            const hits: string[] = [];
+            for (const task of taskStore.getAllTasks()) {
+                if (!isSelectable(task)) continue;
+                const bar = barRect(task);
+                if (
+                    bar &&
+                    bar.x < rect.x + rect.width &&
+                    bar.x + bar.width > rect.x &&
+                    bar.y < rect.y + rect.height &&
+                    bar.y + bar.height > rect.y
+                ) {
+                    hits.push(task.id);
+                }
+            }
+            return hits;
+        });
+
+    // A plain drag that stays in the row from draftRowAt draws a new task
+    // instead; leaving that row turns it into a marquee
+    const marqueeDrag = useDrag({
+        onDragStart: (data) => {
+            data['baseSelection'] = data['additive'] ? selection.getSelection() : [];
+            data['draftRow'] = data['additive'] ? null : draftRowAt(data.startSvgY);
+        },
+        onDragMove: (move, data) => {
+            const row = data['draftRow'] as (RowLayout & { id: string }) | null;
+            if (row && move.svgY >= row.y && move.svgY < row.y + row.height) {
+                batch(() => {
+                    setMarquee(null);
+                    onDraft({ resource: row.id, fromX: data.startSvgX, toX: move.svgX });
+                    selection.setSelection(data['baseSelection'] as string[]);
+                });
+                return;
+            }
+
+            const rect = {
+                x: Math.min(data.startSvgX, move.svgX),
+                y: Math.min(data.startSvgY, move.svgY),
+                width: Math.abs(move.svgX - data.startSvgX),
+                height: Math.abs(move.svgY - data.startSvgY),
+            };
+            batch(() => {
+                onDraft(null);
+                setMarquee(rect);
+                selection.setSelection([...(data['baseSelection'] as string[]), ...tasksInRect(rect)]);
+            });
+        },
+        onDragEnd: () => {
+            setMarquee(null);
+            onDraftEnd();
+        },
+        onPress: (data) => {
+            if (!data['additive']) selection.clear();
+        },
+    });
+
+    const startMarquee = (e: PointerEvent): void => {
+        marqueeDrag.startDrag(e, 'selecting', { additive: e.ctrlKey || e.metaKey || e.shiftKey });
+    };
+
+    // Selected tasks still in the chart
+    const selectedTasks = (): ProcessedTask[] =>
+        selection.getSelection().map((id) => taskStore.getTask(id)).filter((task): task is ProcessedTask => !!task);
+
+    return {
+        isSelectable,
+        barRect,
+        tasksInRect,
+        selectedTasks,
+        marquee,
+        startMarquee,
+        toSvgCoords: marqueeDrag.toSvgCoords,
+    };
+}
@@ -6,18 +6,38 @@
 
 // Main component
 export { Gantt } from './components/Gantt';
+export type { BarContentProps, BarContentRenderer } from './components/Bar';
+export { ContextMenu } from './components/ContextMenu';
+export type { ContextMenuItem } from './components/ContextMenu';
+export type { GanttAPI, ContextMenuTarget, ContextMenuEvent, TaskCreateEvent, TaskEditEvent, TaskPopupInfo, TaskPropertyUpdate, ZoomChange } from './components/Gantt';
 
 // Stores
 export { createTaskStore } from './stores/taskStore';
 export { createGanttConfigStore } from './stores/ganttConfigStore';
 export { createGanttDateStore } from './stores/ganttDateStore';
 export { createResourceStore } from './stores/resourceStore';
+export { createTaskHistory } from './stores/historyStore';
+export type { TaskHistory, HistoryChange, HistoryEntry } from './stores/historyStore';
+export { createSelectionStore } from './stores/selectionStore';
+export type { SelectionStore, SelectionMode } from './stores/selectionStore';
 
 // Contexts
 export { GanttEventsProvider, useGanttEvents } from './contexts/GanttEvents';
 
 // Utilities
-export { resolveConstraints, calculateCascadeUpdates } from './utils/constraintEngine';
+export {
+    resolveConstraints,
+    calculateCascadeUpdates,
+    resolveConstraintsInTime,
+    calculateCascadeUpdatesInTime,
+} from './utils/constraintEngine';
+export { computeCriticalPath, relationshipKey } from './utils/criticalPath';
+export { createWorkingCalendar } from './utils/workingCalendar';
+export { findResourceConflicts, mergeResourceConflicts, sameResourceConflicts } from './utils/resourceConflicts';
+export type { ConflictTask, ResourceConflict, ResourceOverload } from './utils/resourceConflicts';
+export { levelResources } from './utils/resourceLeveling';
+export type { LevelingTask, LevelingMove, LevelingResult } from './utils/resourceLeveling';
+export type { ScheduleTask, TaskSchedule, CriticalPathResult } from './utils/criticalPath';
 export { buildHierarchy, collectDescendants } from './utils/hierarchyProcessor';
 export { generateSubtaskDemo } from './utils/subtaskGenerator';
 
@@ -35,7 +55,19 @@ export type {
     GanttTask,
     ProcessedTask,
     BarPosition,
+    TaskDateUpdate,
+    DateChangeEvent,
+    ChangeApproval,
+    BeforeChangeResult,
+    DateChangeOverride,
+    DependencyChange,
     Relationship,
     ConstraintResult,
     ConstraintContext,
+    TaskTimeSpan,
+    TimeConstraintContext,
+    TimeConstraintResult,
+    CalendarOptions,
+    WorkingCalendar,
+    WorkingInterval,
 } from './types';
@@ -1,4 +1,6 @@
 import { createSignal, Accessor, Setter } from 'solid-js';
+import { createWorkingCalendar } from '../utils/workingCalendar';
+import type { CalendarOptions, WorkingCalendar } from '../types';
 
 type RenderMode = 'simple' | 'detailed';
 
@@ -20,11 +22,20 @@ interface GanttConfigOptions {
     readonlyProgress?: boolean;
     showExpectedProgress?: boolean;
     autoMoveLabel?: boolean;
-    ignoredDates?: Date[];
+    showCriticalPath?: boolean;
+    critical_path?: boolean;
+    showConflicts?: boolean;
+    show_conflicts?: boolean;
+    calendar?: CalendarOptions | null;
+    collapseNonWorking?: boolean;
+    collapse_non_working?: boolean;
+    ignoredDates?: Array<Date | string>;
     ignoredFunction?: ((date: Date) => boolean) | null;
     ignoredPositions?: number[];
     subtaskHeightRatio?: number;
     renderMode?: RenderMode;
+    packLanes?: boolean;
+    pack_lanes?: boolean;
     expandedTasks?: string[];
 }
 
@@ -44,11 +55,16 @@ export interface GanttConfigStore {
     readonlyProgress: Accessor<boolean>;
     showExpectedProgress: Accessor<boolean>;
     autoMoveLabel: Accessor<boolean>;
-    ignoredDates: Accessor<Date[]>;
+    showCriticalPath: Accessor<boolean>;
+    showConflicts: Accessor<boolean>;
+    calendar: Accessor<WorkingCalendar | null>;
+    collapseNonWorking: Accessor<boolean>;
+    ignoredDates: Accessor<Array<Date | string>>;
     ignoredFunction: Accessor<((date: Date) => boolean) | null>;
     ignoredPositions: Accessor<number[]>;
     subtaskHeightRatio: Accessor<number>;
     renderMode: Accessor<RenderMode>;
+    packLanes: Accessor<boolean>;
     expandedTasks: Accessor<Set<string>>;
 
     // Setters
@@ -66,11 +82,16 @@ export interface GanttConfigStore {
     setReadonlyProgress: Setter<boolean>;
     setShowExpectedProgress: Setter<boolean>;
     setAutoMoveLabel: Setter<boolean>;
-    setIgnoredDates: Setter<Date[]>;
+    setShowCriticalPath: Setter<boolean>;
+    setShowConflicts: Setter<boolean>;
+    setCalendar: (options: CalendarOptions | null) => void;
+    setCollapseNonWorking: Setter<boolean>;
+    setIgnoredDates: Setter<Array<Date | string>>;
     setIgnoredFunction: Setter<((date: Date) => boolean) | null>;
     setIgnoredPositions: Setter<number[]>;
     setSubtaskHeightRatio: Setter<number>;
     setRenderMode: Setter<RenderMode>;
+    setPackLanes: Setter<boolean>;
     setExpandedTasks: Setter<Set<string>>;
 
     // Task expansion methods
@@ -110,12 +131,34 @@ export function createGanttConfigStore(options: GanttConfigOptions = {}): GanttC
     const [readonlyProgress, setReadonlyProgress] = createSignal<boolean>(options.readonlyProgress || false);
     const [showExpectedProgress, setShowExpectedProgress] = createSignal<boolean>(options.showExpectedProgress || false);
     const [autoMoveLabel, setAutoMoveLabel] = createSignal<boolean>(options.autoMoveLabel || false);
+    const [showCriticalPath, setShowCriticalPath] = createSignal<boolean>(
+        options.showCriticalPath || options.critical_path || false
+    );
+    const [showConflicts, setShowConflicts] = createSignal<boolean>(
+        options.showConflicts || options.show_conflicts || false
+    );
+
+    // Working-time calendar (null = wall-clock scheduling)
+    const [calendarOptions, setCalendarOptions] = createSignal<CalendarOptions | null>(options.calendar || null);
+    const [calendar, setCalendarSignal] = createSignal<WorkingCalendar | null>(
+        options.calendar ? createWorkingCalendar(options.calendar) : null
+    );
+    const setCalendar = (calendarOpts: CalendarOptions | null): void => {
+        if (calendarOpts === calendarOptions()) return;
+        setCalendarOptions(() => calendarOpts);
+        setCalendarSignal(() => (calendarOpts ? createWorkingCalendar(calendarOpts) : null));
+    };
+
+    // Leave columns without working time off the timeline
+    const [collapseNonWorking, setCollapseNonWorking] = createSignal<boolean>(
+        options.collapseNonWorking || options.collapse_non_working || false
+    );
 
     // Ignored dates (weekends, holidays)
-    const [ignoredDates, setIgnoredDates] = createSignal<Date[]>(options.ignoredDates || []);
+    const [ignoredDates, setIgnoredDates] = createSignal<Array<Date | string>>(options.ignoredDates || []);
     const [ignoredFunction, setIgnoredFunction] = createSignal<((date: Date) => boolean) | null>(options.ignoredFunction || null);
 
-    // Computed ignored positions (pixel X values)
+    // Computed ignored positions (column X values, filled by Gantt from the dates)
     const [ignoredPositions, setIgnoredPositions] = createSignal<number[]>([]);
 
     // Subtask configuration
@@ -126,6 +169,8 @@ export function createGanttConfigStore(options: GanttConfigOptions = {}): GanttC
     // Render mode: 'simple' (flat tasks, static heights) or 'detailed' (hierarchy, variable heights)
     // Simple mode skips subtask/expansion logic for maximum performance
     const [renderMode, setRenderMode] = createSignal<RenderMode>(options.renderMode || 'simple');
+    // Stack overlapping tasks of a resource in sub-lanes (simple mode)
+    const [packLanes, setPackLanes] = createSignal<boolean>(options.packLanes || options.pack_lanes || false);
 
     // Expanded tasks (for variable row heights) - only used in detailed mode
     const [expandedTasks, setExpandedTasks] = createSignal<Set<string>>(
@@ -189,6 +234,13 @@ export function createGanttConfigStore(options: GanttConfigOptions = {}): GanttC
         if (newOptions.readonlyProgress !== undefined) setReadonlyProgress(newOptions.readonlyProgress);
         if (newOptions.showExpectedProgress !== undefined) setShowExpectedProgress(newOptions.showExpectedProgress);
         if (newOptions.autoMoveLabel !== undefined) setAutoMoveLabel(newOptions.autoMoveLabel);
+        if (newOptions.showCriticalPath !== undefined) setShowCriticalPath(newOptions.showCriticalPath);
+        if (newOptions.critical_path !== undefined) setShowCriticalPath(newOptions.critical_path);
+        if (newOptions.showConflicts !== undefined) setShowConflicts(newOptions.showConflicts);
+        if (newOptions.show_conflicts !== undefined) setShowConflicts(newOptions.show_conflicts);
+        if (newOptions.calendar !== undefined) setCalendar(newOptions.calendar);
+        if (newOptions.collapseNonWorking !== undefined) setCollapseNonWorking(newOptions.collapseNonWorking);
+        if (newOptions.collapse_non_working !== undefined) setCollapseNonWorking(newOptions.collapse_non_working);
         if (newOptions.ignoredDates !== undefined) setIgnoredDates(newOptions.ignoredDates);
         if (newOptions.ignoredFunction !== undefined) {
             const fn = newOptions.ignoredFunction;
@@ -197,6 +249,8 @@ export function createGanttConfigStore(options: GanttConfigOptions = {}): GanttC
         if (newOptions.ignoredPositions !== undefined) setIgnoredPositions(newOptions.ignoredPositions);
         if (newOptions.subtaskHeightRatio !== undefined) setSubtaskHeightRatio(newOptions.subtaskHeightRatio);
         if (newOptions.renderMode !== undefined) setRenderMode(newOptions.renderMode);
+        if (newOptions.packLanes !== undefined) setPackLanes(newOptions.packLanes);
+        if (newOptions.pack_lanes !== undefined) setPackLanes(newOptions.pack_lanes);
         if (newOptions.expandedTasks !== undefined) setExpandedTasks(new Set(newOptions.expandedTasks));
     };
 
@@ -216,11 +270,16 @@ export function createGanttConfigStore(options: GanttConfigOptions = {}): GanttC
         readonlyProgress: readonlyProgress(),
         showExpectedProgress: showExpectedProgress(),
         autoMoveLabel: autoMoveLabel(),
+        showCriticalPath: showCriticalPath(),
+        showConflicts: showConflicts(),
+        calendar: calendarOptions(),
+        collapseNonWorking: collapseNonWorking(),
         ignoredDates: ignoredDates(),
         ignoredFunction: ignoredFunction(),
         ignoredPositions: ignoredPositions(),
         subtaskHeightRatio: subtaskHeightRatio(),
         renderMode: renderMode(),
+        packLanes: packLanes(),
         expandedTasks: Array.from(expandedTasks()),
     });
 
@@ -240,11 +299,16 @@ export function createGanttConfigStore(options: GanttConfigOptions = {}): GanttC
         readonlyProgress,
         showExpectedProgress,
         autoMoveLabel,
+        showCriticalPath,
+        showConflicts,
+        calendar,
+        collapseNonWorking,
         ignoredDates,
         ignoredFunction,
         ignoredPositions,
         subtaskHeightRatio,
         renderMode,
+        packLanes,
         expandedTasks,
 
         // Setters
@@ -262,11 +326,16 @@ export function createGanttConfigStore(options: GanttConfigOptions = {}): GanttC
         setReadonlyProgress,
         setShowExpectedProgress,
         setAutoMoveLabel,
+        setShowCriticalPath,
+        setShowConflicts,
+        setCalendar,
+        setCollapseNonWorking,
         setIgnoredDates,
         setIgnoredFunction,
         setIgnoredPositions,
         setSubtaskHeightRatio,
         setRenderMode,
+        setPackLanes,
         setExpandedTasks,
 
         // Task expansion methods
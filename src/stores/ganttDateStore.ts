@@ -2,6 +2,7 @@ import { createSignal, createMemo, Accessor, Setter } from 'solid-js';
 import date_utils from '../utils/date_utils';
 import type { TimeScale } from '../utils/date_utils';
 import { DEFAULT_VIEW_MODES } from '../utils/defaults';
+import { computeDateFromX } from '../utils/barCalculations';
 import type { ViewMode, DateInfo } from '../types';
 
 interface TaskLike {
@@ -22,6 +23,29 @@ interface GanttDateStoreOptions {
     column_width?: number;
 }
 
+/** Decides whether the column [start, end) stays on the axis */
+export type ColumnFilter = (start: Date, end: Date) => boolean;
+
+/**
+ * X → date on an axis (collapsed when `collapsed` and columns exist:
+ * piecewise per column, see dateToX).
+ */
+function xToDateOnAxis(
+    x: number,
+    start: Date,
+    unit: TimeScale,
+    step: number,
+    colWidth: number,
+    allDates: Date[],
+    collapsed: boolean,
+): Date {
+    if (!collapsed || allDates.length === 0) {
+        return computeDateFromX(x, start, unit, step, colWidth);
+    }
+    const index = Math.max(0, Math.min(allDates.length - 1, Math.floor(x / colWidth)));
+    return computeDateFromX(x - index * colWidth, allDates[index]!, unit, step, colWidth);
+}
+
 export interface GanttDateStore {
     // Signals
     ganttStart: Accessor<Date>;
@@ -30,18 +54,25 @@ export interface GanttDateStore {
     viewMode: Accessor<ViewMode>;
     viewModes: Accessor<ViewMode[]>;
     language: Accessor<string>;
+    /** Column filter of the collapsed axis (null: linear axis) */
+    collapsedTime: Accessor<ColumnFilter | null>;
 
     // Setters
     setGanttStart: Setter<Date>;
     setGanttEnd: Setter<Date>;
     setViewMode: (mode: string | ViewMode) => void;
     setLanguage: Setter<string>;
+    setCollapsedTime: (filter: ColumnFilter | null) => void;
+    /** Zoomed column width (null: back to the option / view mode width) */
+    setColumnWidth: (width: number | null) => void;
 
     // Computed
     dateCount: Accessor<number>;
     unit: Accessor<TimeScale>;
     step: Accessor<number>;
     columnWidth: Accessor<number>;
+    /** Unzoomed column width of a view mode (option override, else the mode's own) */
+    baseColumnWidth: (mode?: ViewMode) => number;
     gridWidth: Accessor<number>;
     getAllDateInfos: Accessor<DateInfo[]>;
 
@@ -53,6 +84,8 @@ export interface GanttDateStore {
     getDateInfo: (date: Date, index: number, lastDate?: Date | null) => DateInfo;
     dateToX: (date: Date) => number;
     xToDate: (x: number) => Date;
+    /** Freeze the current X → date mapping (to re-project positions across an axis change) */
+    captureXToDate: () => (x: number) => Date;
 }
 
 /**
@@ -91,6 +124,9 @@ export function createGanttDateStore(options: GanttDateStoreOptions = {}): Gantt
     // Language for date formatting
     const [language, setLanguage] = createSignal<string>(options.language || 'en');
 
+    // Collapsed axis: columns rejected by the filter are left out of `dates`
+    const [collapsedTime, setCollapsedTimeSignal] = createSignal<ColumnFilter | null>(null);
+
     // Computed values
     const dateCount = createMemo(() => dates().length);
 
@@ -110,9 +146,11 @@ export function createGanttDateStore(options: GanttDateStoreOptions = {}): Gantt
         return parsed?.duration || 1;
     });
 
-    // Column width - use options override if provided, else view mode default
+    // Column width - zoom first, then options override if provided, else view mode default
     const [columnWidthOverride] = createSignal<number | null>(options.columnWidth || options.column_width || null);
-    const columnWidth = createMemo(() => columnWidthOverride() || viewMode().column_width || 45);
+    const [zoomedColumnWidth, setZoomedColumnWidth] = createSignal<number | null>(null);
+    const baseColumnWidth = (mode: ViewMode = viewMode()): number => columnWidthOverride() || mode.column_width || 45;
+    const columnWidth = createMemo(() => zoomedColumnWidth() || baseColumnWidth());
 
     // Grid width in pixels
     const gridWidth = createMemo(() => dateCount() * columnWidth());
@@ -188,12 +226,17 @@ export function createGanttDateStore(options: GanttDateStoreOptions = {}): Gantt
         const stepVal = step();
         const unitVal = unit();
 
+        const filter = collapsedTime();
+
         const newDates: Date[] = [];
         let current = new Date(start);
 
         while (current < end) {
-            newDates.push(new Date(current));
-            current = date_utils.add(current, stepVal, unitVal);
+            const next = date_utils.add(current, stepVal, unitVal);
+            if (!filter || filter(current, next)) {
+                newDates.push(new Date(current));
+            }
+            current = next;
         }
 
         setDates(newDates);
@@ -221,6 +264,19 @@ export function createGanttDateStore(options: GanttDateStoreOptions = {}): Gantt
         generateDates();
     };
 
+    /**
+     * Switch between the linear axis and a collapsed one that leaves out
+     * columns without working time (weekends in Day view, nights in Hour view).
+     */
+    const setCollapsedTime = (filter: ColumnFilter | null): void => {
+        setCollapsedTimeSignal(() => filter);
+        generateDates();
+    };
+
+    const setColumnWidth = (width: number | null): void => {
+        setZoomedColumnWidth(width);
+    };
+
     /**
      * Change view mode by name or object.
      */
@@ -297,30 +353,64 @@ export function createGanttDateStore(options: GanttDateStoreOptions = {}): Gantt
         return infos;
     });
 
+    /**
+     * Index of the last column starting at or before `date` (-1 if none).
+     */
+    const columnIndexOf = (allDates: Date[], date: Date): number => {
+        const time = date.getTime();
+        let lo = 0;
+        let hi = allDates.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (allDates[mid]!.getTime() <= time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo - 1;
+    };
+
     /**
      * Convert a date to X pixel position.
+     * On a collapsed axis the mapping is piecewise: linear within each column,
+     * and dates inside a removed gap land on the start of the next column.
      */
     const dateToX = (date: Date): number => {
         const start = ganttStart();
         const stepVal = step();
         const unitVal = unit();
         const colWidth = columnWidth();
+        const allDates = dates();
+
+        if (!collapsedTime() || allDates.length === 0) {
+            const diff = date_utils.diff(date, start, unitVal);
+            return (diff / stepVal) * colWidth;
+        }
 
-        const diff = date_utils.diff(date, start, unitVal);
-        return (diff / stepVal) * colWidth;
+        const index = columnIndexOf(allDates, date);
+        if (index < 0) {
+            // Before the first column: extrapolate linearly
+            const diff = date_utils.diff(date, allDates[0]!, unitVal);
+            return (diff / stepVal) * colWidth;
+        }
+
+        const fraction = date_utils.diff(date, allDates[index]!, unitVal) / stepVal;
+        const isLast = index === allDates.length - 1;
+        return (index + (isLast ? fraction : Math.min(fraction, 1))) * colWidth;
     };
 
     /**
      * Convert X pixel position to date.
      */
-    const xToDate = (x: number): Date => {
+    const xToDate = (x: number): Date =>
+        xToDateOnAxis(x, ganttStart(), unit(), step(), columnWidth(), dates(), !!collapsedTime());
+
+    const captureXToDate = (): ((x: number) => Date) => {
         const start = ganttStart();
-        const stepVal = step();
         const unitVal = unit();
+        const stepVal = step();
         const colWidth = columnWidth();
-
-        const units = (x / colWidth) * stepVal;
-        return date_utils.add(start, units, unitVal);
+        const allDates = dates();
+        const collapsed = !!collapsedTime();
+        return (x: number) => xToDateOnAxis(x, start, unitVal, stepVal, colWidth, allDates, collapsed);
     };
 
     return {
@@ -331,18 +421,22 @@ export function createGanttDateStore(options: GanttDateStoreOptions = {}): Gantt
         viewMode,
         viewModes,
         language,
+        collapsedTime,
 
         // Setters
         setGanttStart,
         setGanttEnd,
         setViewMode: changeViewMode,
         setLanguage,
+        setCollapsedTime,
+        setColumnWidth,
 
         // Computed
         dateCount,
         unit,
         step,
         columnWidth,
+        baseColumnWidth,
         gridWidth,
         getAllDateInfos,
 
@@ -354,5 +448,6 @@ export function createGanttDateStore(options: GanttDateStoreOptions = {}): Gantt
         getDateInfo,
         dateToX,
         xToDate,
+        captureXToDate,
     };
 }
@@ -0,0 +1,266 @@
+import { createSignal, createEffect, untrack, batch, Accessor } from 'solid-js';
+import { unwrap } from 'solid-js/store';
+import type { TaskStore } from './taskStore';
+import type { ProcessedTask } from '../types';
+
+/** One task's state on both sides of an undo/redo step (undefined = task absent) */
+export interface HistoryChange {
+    id: string;
+    from: ProcessedTask | undefined;
+    to: ProcessedTask | undefined;
+}
+
+/** One undoable operation (compare by identity) */
+export interface HistoryEntry {
+    changes: Map<string, { before: ProcessedTask | undefined; after: ProcessedTask | undefined }>;
+}
+
+interface TaskHistoryOptions {
+    /** Maximum number of undoable operations (default: 100) */
+    limit?: number;
+}
+
+export interface TaskHistory {
+    canUndo: Accessor<boolean>;
+    canRedo: Accessor<boolean>;
+
+    /** Revert the last operation; returns the restored task states (null if nothing to undo) */
+    undo: () => HistoryChange[] | null;
+    /** Re-apply the last undone operation */
+    redo: () => HistoryChange[] | null;
+    /** Record every edit made inside `fn` as one operation */
+    transaction: <T>(fn: () => T) => T;
+    /** Close the open operation now instead of at the end of the current turn */
+    flush: () => void;
+    /** Last recorded operation (the open one is recorded when it closes), or null */
+    lastOperation: () => HistoryEntry | null;
+    /**
+     * Revert one operation wherever it is in the undo stack and forget it, as
+     * if it never happened (a rejected edit). Returns the restored task states,
+     * or null if the operation was already undone (it's dropped from redo) or
+     * a later operation touched the same tasks (its snapshots would overwrite
+     * that one; nothing changes).
+     */
+    discard: (entry: HistoryEntry) => HistoryChange[] | null;
+    /** Drop all undo/redo entries */
+    clear: () => void;
+    /** Re-project the recorded bar positions after the time axis changed scale */
+    mapBars: (fn: (task: ProcessedTask) => { x: number; width: number }) => void;
+    /** Stop recording */
+    dispose: () => void;
+}
+
+/** Plain copy of a task (store proxies would follow later edits) */
+function snapshot(task: ProcessedTask | undefined): ProcessedTask | undefined {
+    if (!task) return undefined;
+    const raw = unwrap(task);
+    return { ...raw, _bar: { ...raw._bar } };
+}
+
+/** Equal apart from bar Y/height, which follow the row layout rather than edits */
+function sameTask(a: ProcessedTask | undefined, b: ProcessedTask | undefined): boolean {
+    if (!a || !b) return a === b;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]) as Set<keyof ProcessedTask>;
+    for (const key of keys) {
+        if (key === '_bar') {
+            if (a._bar.x !== b._bar.x || a._bar.width !== b._bar.width) return false;
+        } else if (a[key] !== b[key]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Undo/redo history on top of a task store.
+ *
+ * Edits are grouped into operations:
+ * - An explicit transaction() records as one operation
+ * - Otherwise an operation spans a drag (while draggingTaskId is set) plus
+ *   the writes in the same turn after it ends (constraint cascades), or just
+ *   the writes of one synchronous turn
+ *
+ * Entries hold before/after snapshots of the touched tasks; bulk loads
+ * (updateTasks/clear) aren't recorded.
+ */
+export function createTaskHistory(taskStore: TaskStore, options: TaskHistoryOptions = {}): TaskHistory {
+    const limit = options.limit ?? 100;
+
+    const [undoStack, setUndoStack] = createSignal<HistoryEntry[]>([]);
+    const [redoStack, setRedoStack] = createSignal<HistoryEntry[]>([]);
+
+    const canUndo = (): boolean => undoStack().length > 0;
+    const canRedo = (): boolean => redoStack().length > 0;
+
+    // Open operation: state of each touched task before its first write
+    let pending: Map<string, ProcessedTask | undefined> | null = null;
+    let depth = 0;
+    let commitScheduled = false;
+    let applying = false;
+
+    const commit = (): void => {
+        commitScheduled = false;
+        if (!pending) return;
+        const before = pending;
+        pending = null;
+
+        const entry: HistoryEntry = { changes: new Map() };
+        for (const [id, state] of before) {
+            const after = snapshot(taskStore.tasks[id]);
+            if (!sameTask(state, after)) entry.changes.set(id, { before: state, after });
+        }
+        if (entry.changes.size === 0) return;
+
+        batch(() => {
+            setUndoStack((stack) => [...stack.slice(-(limit - 1)), entry]);
+            setRedoStack([]);
+        });
+    };
+
+    // Close the operation at the end of the turn, unless a drag or transaction is open
+    const scheduleCommit = (): void => {
+        if (commitScheduled) return;
+        commitScheduled = true;
+        queueMicrotask(() => {
+            commitScheduled = false;
+            if (depth === 0 && !untrack(taskStore.draggingTaskId)) commit();
+        });
+    };
+
+    const unsubscribe = taskStore.onBeforeWrite((id) => {
+        if (applying) return;
+        if (!pending) pending = new Map();
+        if (!pending.has(id)) pending.set(id, snapshot(taskStore.tasks[id]));
+        if (depth === 0) scheduleCommit();
+    });
+
+    // Drag end closes the operation (cascades in the same turn are still included)
+    createEffect(() => {
+        if (!taskStore.draggingTaskId() && pending) scheduleCommit();
+    });
+
+    const transaction = <T>(fn: () => T): T => {
+        depth++;
+        try {
+            return fn();
+        } finally {
+            depth--;
+            if (depth === 0) commit();
+        }
+    };
+
+    const flush = (): void => {
+        if (depth === 0) commit();
+    };
+
+    // Write snapshots back without recording them
+    const apply = (entry: HistoryEntry, side: 'before' | 'after'): HistoryChange[] => {
+        const changes: HistoryChange[] = [];
+        applying = true;
+        try {
+            batch(() => {
+                for (const [id, states] of entry.changes) {
+                    const from = snapshot(taskStore.tasks[id]);
+                    const to = states[side];
+                    if (to) {
+                        taskStore.updateTask(id, { ...to, _bar: { ...to._bar } });
+                    } else {
+                        taskStore.removeTask(id);
+                    }
+                    changes.push({ id, from, to });
+                }
+            });
+        } finally {
+            applying = false;
+        }
+        return changes;
+    };
+
+    const undo = (): HistoryChange[] | null => {
+        flush();
+        const stack = undoStack();
+        const entry = stack[stack.length - 1];
+        if (!entry) return null;
+
+        const changes = apply(entry, 'before');
+        batch(() => {
+            setUndoStack(stack.slice(0, -1));
+            setRedoStack((redo) => [...redo, entry]);
+        });
+        return changes;
+    };
+
+    const redo = (): HistoryChange[] | null => {
+        flush();
+        const stack = redoStack();
+        const entry = stack[stack.length - 1];
+        if (!entry) return null;
+
+        const changes = apply(entry, 'after');
+        batch(() => {
+            setRedoStack(stack.slice(0, -1));
+            setUndoStack((undoEntries) => [...undoEntries, entry]);
+        });
+        return changes;
+    };
+
+    const lastOperation = (): HistoryEntry | null => {
+        const stack = untrack(undoStack);
+        return stack[stack.length - 1] ?? null;
+    };
+
+    const discard = (entry: HistoryEntry): HistoryChange[] | null => {
+        flush();
+        const stack = untrack(undoStack);
+        const index = stack.indexOf(entry);
+        if (index === -1) {
+            setRedoStack((redo) => redo.filter((e) => e !== entry));
+            return null;
+        }
+        const ids = [...entry.changes.keys()];
+        if (stack.slice(index + 1).some((later) => ids.some((id) => later.changes.has(id)))) return null;
+
+        const changes = apply(entry, 'before');
+        setUndoStack(stack.filter((e) => e !== entry));
+        return changes;
+    };
+
+    // Snapshots are private copies, so they're updated in place
+    const mapBars = (fn: (task: ProcessedTask) => { x: number; width: number }): void => {
+        const remap = (task: ProcessedTask | undefined): void => {
+            if (!task) return;
+            const { x, width } = fn(task);
+            task._bar.x = x;
+            task._bar.width = width;
+        };
+        for (const entry of [...untrack(undoStack), ...untrack(redoStack)]) {
+            for (const states of entry.changes.values()) {
+                remap(states.before);
+                remap(states.after);
+            }
+        }
+        pending?.forEach(remap);
+    };
+
+    const clear = (): void => {
+        pending = null;
+        batch(() => {
+            setUndoStack([]);
+            setRedoStack([]);
+        });
+    };
+
+    return {
+        canUndo,
+        canRedo,
+        undo,
+        redo,
+        transaction,
+        flush,
+        lastOperation,
+        discard,
+        clear,
+        mapBars,
+        dispose: unsubscribe,
+    };
+}
@@ -3,7 +3,8 @@ import {
     normalizeResources,
     computeDisplayResources,
 } from '../utils/resourceProcessor';
-import type { Resource, ResourceInput } from '../types';
+import { createWorkingCalendar } from '../utils/workingCalendar';
+import type { Resource, ResourceInput, WorkingCalendar } from '../types';
 
 interface DisplayResource extends Resource {
     displayIndex: number;
@@ -20,6 +21,8 @@ export interface ResourceStore {
     resourceIndexMap: Accessor<Map<string, number>>;
     displayCount: Accessor<number>;
     getGroups: Accessor<Resource[]>;
+    calendars: Accessor<Map<string, WorkingCalendar>>;
+    getCalendar: (resourceId: string | undefined) => WorkingCalendar | null;
 
     // Actions
     updateResources: (newResources: ResourceInput[]) => void;
@@ -70,6 +73,23 @@ export function createResourceStore(initialResources: ResourceInput[] = []): Res
     // Computed: count of visible rows
     const displayCount = createMemo(() => displayResources().length);
 
+    // Computed: working calendars of resources that define their own
+    const calendars = createMemo<Map<string, WorkingCalendar>>(() => {
+        const map = new Map<string, WorkingCalendar>();
+        for (const resource of resources()) {
+            if (resource.calendar) {
+                map.set(resource.id, createWorkingCalendar(resource.calendar));
+            }
+        }
+        return map;
+    });
+
+    // Resource's own calendar (null = use the chart calendar)
+    const getCalendar = (resourceId: string | undefined): WorkingCalendar | null => {
+        if (!resourceId) return null;
+        return calendars().get(resourceId) ?? null;
+    };
+
     // Toggle a group's collapsed state
     const toggleGroup = (groupId: string): void => {
         setCollapsedGroups((prev) => {
@@ -137,6 +157,8 @@ export function createResourceStore(initialResources: ResourceInput[] = []): Res
         resourceIndexMap,
         displayCount,
         getGroups,
+        calendars,
+        getCalendar,
 
         // Actions
         updateResources,
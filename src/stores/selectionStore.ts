@@ -0,0 +1,79 @@
+import { createSignal, Accessor } from 'solid-js';
+
+/** How a pick combines with the current selection */
+export type SelectionMode = 'replace' | 'add' | 'toggle';
+
+export interface SelectionStore {
+    // Signals
+    selectedIds: Accessor<Set<string>>;
+    /** Task with keyboard focus (roving focus over bars) */
+    focusedId: Accessor<string | null>;
+
+    // Queries
+    isSelected: (taskId: string | undefined) => boolean;
+    /** Selected IDs in selection order */
+    getSelection: () => string[];
+
+    // Actions
+    select: (taskId: string, mode?: SelectionMode) => void;
+    setSelection: (taskIds: Iterable<string>, mode?: SelectionMode) => void;
+    clear: () => void;
+    setFocusedId: (taskId: string | null) => void;
+}
+
+/**
+ * Reactive task selection (click, Ctrl/Shift-click, marquee) and the
+ * keyboard-focused task.
+ *
+ * The set is replaced on every change so consumers re-run on a single signal;
+ * bars only read membership.
+ */
+export function createSelectionStore(): SelectionStore {
+    const [selectedIds, setSelectedIds] = createSignal<Set<string>>(new Set());
+    const [focusedId, setFocusedId] = createSignal<string | null>(null);
+
+    const isSelected = (taskId: string | undefined): boolean => !!taskId && selectedIds().has(taskId);
+
+    const getSelection = (): string[] => [...selectedIds()];
+
+    /**
+     * Combine task IDs with the current selection.
+     * - replace: select exactly these tasks
+     * - add: keep the current selection and add these
+     * - toggle: flip each task's membership
+     */
+    const setSelection = (taskIds: Iterable<string>, mode: SelectionMode = 'replace'): void => {
+        setSelectedIds((prev) => {
+            const next = mode === 'replace' ? new Set<string>() : new Set(prev);
+            for (const id of taskIds) {
+                if (mode === 'toggle' && next.has(id)) {
+                    next.delete(id);
+                } else {
+                    next.add(id);
+                }
+            }
+            // Keep the previous set when nothing changed (no downstream updates)
+            if (next.size === prev.size && [...next].every((id) => prev.has(id))) return prev;
+            return next;
+        });
+    };
+
+    const select = (taskId: string, mode: SelectionMode = 'replace'): void => {
+        setSelection([taskId], mode);
+    };
+
+    const clear = (): void => {
+        setSelectedIds((prev) => (prev.size === 0 ? prev : new Set<string>()));
+    };
+
+    return {
+        selectedIds,
+        focusedId,
+        isSelected,
+        getSelection,
+        select,
+        setSelection,
+        clear,
+        setFocusedId,
+    };
+}
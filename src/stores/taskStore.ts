@@ -41,6 +41,15 @@ export interface TaskStore {
     // Drag state - for deferring expensive calculations
     draggingTaskId: Accessor<string | null>;
     setDraggingTaskId: Setter<string | null>;
+
+    // Incremented on every position-affecting write (for consumers that untrack bar reads)
+    positionVersion: Accessor<number>;
+
+    // Incremented when tasks change resource rows (loads, additions, removals, reassignment)
+    resourceVersion: Accessor<number>;
+
+    // Called with the task ID before each edit of a single task (not bulk loads)
+    onBeforeWrite: (listener: (id: string) => void) => () => void;
 }
 
 /**
@@ -59,6 +68,29 @@ export function createTaskStore(): TaskStore {
     // Drag state - used to defer expensive recalculations during drag
     const [draggingTaskId, setDraggingTaskId] = createSignal<string | null>(null);
 
+    // Position version - lets batched consumers (e.g. ArrowLayerBatched) rebuild
+    // without subscribing to every task's _bar
+    const [positionVersion, setPositionVersion] = createSignal(0);
+    const bumpPositionVersion = (): void => {
+        setPositionVersion((v) => v + 1);
+    };
+
+    // Resource version - lets per-resource groupings rebuild only when rows change
+    const [resourceVersion, setResourceVersion] = createSignal(0);
+    const bumpResourceVersion = (): void => {
+        setResourceVersion((v) => v + 1);
+    };
+
+    // Edit listeners (e.g. undo history); updateTasks/clear are loads, not edits
+    const writeListeners = new Set<(id: string) => void>();
+    const onBeforeWrite = (listener: (id: string) => void): (() => void) => {
+        writeListeners.add(listener);
+        return () => writeListeners.delete(listener);
+    };
+    const notifyWrite = (id: string): void => {
+        for (const listener of writeListeners) listener(id);
+    };
+
     // Get a specific task by ID
     // Accessing tasks[id] creates fine-grained dependency on just that task
     const getTask = (id: string): ProcessedTask | undefined => {
@@ -90,12 +122,18 @@ export function createTaskStore(): TaskStore {
 
     // Update task in store (replaces entire task)
     const updateTask = (id: string, taskData: ProcessedTask): void => {
+        notifyWrite(id);
+        const prev = tasks[id];
+        const rowChanged = !prev || prev.resource !== taskData.resource || prev._isHidden !== taskData._isHidden;
         setTasks(id, taskData);
+        bumpPositionVersion();
+        if (rowChanged) bumpResourceVersion();
     };
 
     // Update bar position for a task (fine-grained path update)
     const updateBarPosition = (id: string, position: Partial<BarPosition>): void => {
         if (!tasks[id]) return;
+        notifyWrite(id);
         // Use produce for fine-grained update - only triggers subscribers to changed paths
         setTasks(
             produce((state) => {
@@ -108,6 +146,7 @@ export function createTaskStore(): TaskStore {
                 }
             }),
         );
+        bumpPositionVersion();
     };
 
     // Batch update multiple tasks (typically on initial load)
@@ -117,16 +156,24 @@ export function createTaskStore(): TaskStore {
             tasksObj[task.id] = task;
         });
         setTasks(reconcile(tasksObj));
+        bumpPositionVersion();
+        bumpResourceVersion();
     };
 
     // Remove task from store
     const removeTask = (id: string): void => {
+        if (!tasks[id]) return;
+        notifyWrite(id);
         setTasks(id, undefined);
+        bumpPositionVersion();
+        bumpResourceVersion();
     };
 
     // Clear all tasks
     const clear = (): void => {
         setTasks(reconcile({}));
+        bumpPositionVersion();
+        bumpResourceVersion();
     };
 
     // Get all tasks as array
@@ -142,6 +189,7 @@ export function createTaskStore(): TaskStore {
      * Uses produce for fine-grained updates - only affected Bar components re-render.
      */
     const batchMovePositions = (taskOriginals: Map<string, BatchOriginal>, deltaX: number): void => {
+        for (const id of taskOriginals.keys()) notifyWrite(id);
         setTasks(
             produce((state) => {
                 for (const [id, { originalX }] of taskOriginals) {
@@ -155,6 +203,7 @@ export function createTaskStore(): TaskStore {
                 }
             }),
         );
+        bumpPositionVersion();
     };
 
     // --- Subtask Collapse State ---
@@ -246,5 +295,9 @@ export function createTaskStore(): TaskStore {
         // Drag state - for deferring expensive calculations
         draggingTaskId,
         setDraggingTaskId,
+        // Position version
+        positionVersion,
+        resourceVersion,
+        onBeforeWrite,
     };
 }
@@ -92,6 +92,60 @@ export interface BarPosition {
     height: number;
 }
 
+/**
+ * New schedule of a single task after an interactive change
+ */
+export interface TaskDateUpdate {
+    /** Task ID */
+    taskId: string;
+    /** New start */
+    start: Date;
+    /** New end */
+    end: Date;
+    /** New start as "YYYY-MM-DD HH:MM" */
+    startString: string;
+    /** New end as "YYYY-MM-DD HH:MM" */
+    endString: string;
+    /** New duration in hours */
+    duration: number;
+}
+
+/**
+ * Payload of onDateChange: the changed task plus every task moved along with it
+ * (constraint cascades, dependents and descendants dragged in the same gesture).
+ */
+export interface DateChangeEvent extends TaskDateUpdate {
+    /** Bar X in pixels (kept for backwards compatibility) */
+    x: number;
+    /** Bar width in pixels (kept for backwards compatibility) */
+    width: number;
+    /** Other tasks moved by this change, with their new dates */
+    cascaded: TaskDateUpdate[];
+}
+
+/**
+ * Verdict of a before-change hook: true (or nothing) accepts the change,
+ * false rejects it and rolls it back, any other value replaces it.
+ */
+export type ChangeApproval<T> = boolean | void | T;
+
+/** What a before-change hook returns; a promise keeps the change pending until it settles */
+export type BeforeChangeResult<T> = ChangeApproval<T> | Promise<ChangeApproval<T>>;
+
+/** Dates an onBeforeDateChange hook moves the task to instead (successors are pushed again) */
+export interface DateChangeOverride {
+    start?: Date;
+    end?: Date;
+}
+
+/** A dependency about to be added or removed (onBeforeDependencyChange) */
+export interface DependencyChange {
+    action: 'create' | 'delete';
+    dependency: Relationship;
+    /** Successors pushed to satisfy a new dependency, with their new dates */
+    cascaded: TaskDateUpdate[];
+}
+
 /**
  * Raw task input (what you provide to the Gantt chart).
  * Allows flexible input with optional fields and string/Date dates.
@@ -131,6 +185,8 @@ export interface GanttTaskInput {
     subtaskLayout?: 'sequential' | 'parallel' | 'mixed';
     /** Sort order within resource */
     order?: number;
+    /** Resource leveling priority (higher keeps its slot, default: 0) */
+    priority?: number;
 }
 
 /**
@@ -176,6 +232,8 @@ export interface GanttTask {
     subtaskLayout?: 'sequential' | 'parallel' | 'mixed';
     /** Sort order within resource */
     order?: number;
+    /** Resource leveling priority (higher keeps its slot, default: 0) */
+    priority?: number;
 }
 
 /**
@@ -257,6 +315,103 @@ export interface ConstraintContext {
     pixelsPerHour: number;
     /** Gantt chart start date */
     ganttStartDate: Date;
+    /** Comparison tolerance in the same units as bar positions (default 0.5px) */
+    epsilon?: number;
+}
+
+/**
+ * Task position on the time axis (absolute dates, view-mode independent)
+ */
+export interface TaskTimeSpan {
+    /** Task start */
+    start: Date;
+    /** Task end */
+    end: Date;
+}
+
+/**
+ * Context object for time-domain constraint resolution.
+ * Lags, durations and absolute constraints are compared in hours,
+ * so results do not depend on the current view mode or column width.
+ */
+export interface TimeConstraintContext {
+    /** Get the current start/end of a task by ID */
+    getTaskSpan: (id: string) => TaskTimeSpan | null | undefined;
+    /** Get task data by ID */
+    getTask?: (id: string) => ProcessedTask | undefined;
+    /** All relationships in the chart */
+    relationships?: Relationship[];
+    /** Pre-built relationship index (preferred over relationships) */
+    relationshipIndex?: RelationshipIndex;
+    /** Working-time calendar (lags, durations and cascades count working hours) */
+    calendar?: WorkingCalendar | null;
+    /** Per-task calendar override (e.g. the assigned resource's); pushed tasks are placed against it */
+    getCalendar?: (id: string) => WorkingCalendar | null | undefined;
+}
+
+/**
+ * Result of time-domain constraint resolution
+ */
+export interface TimeConstraintResult {
+    /** Final start after constraints */
+    start: Date;
+    /** Final end after constraints */
+    end: Date;
+    /** Whether the move/resize was blocked */
+    blocked: boolean;
+    /** Reason for blocking: 'locked' | 'conflicting_constraints' | null */
+    blockReason: string | null;
+    /** Map of successor task IDs to their new spans */
+    cascadeUpdates: Map<string, TaskTimeSpan>;
+}
+
+/**
+ * Working interval within a day, in hours from midnight (e.g. [9, 17])
+ */
+export type WorkingInterval = [number, number];
+
+/**
+ * Working-time calendar configuration
+ */
+export interface CalendarOptions {
+    /** Working intervals per weekday (0 = Sunday). Default: Monday-Friday, whole day */
+    workingHours?: Partial<Record<number, WorkingInterval[]>>;
+    /** Non-working dates (whole day off) */
+    holidays?: Array<Date | string>;
+    /** Non-working date ranges (whole days, inclusive) */
+    vacations?: Array<{ start: Date | string; end: Date | string }>;
+    /** Per-date overrides of the weekly schedule ([] = day off) */
+    exceptions?: Array<{ date: Date | string; hours: WorkingInterval[] }>;
+    /** Working hours in one 'd' of a duration (default: longest weekday) */
+    hoursPerDay?: number;
+}
+
+/**
+ * Working-time calendar.
+ * Maps dates onto a continuous "working hours since TIME_EPOCH" axis so that
+ * non-working time has zero length.
+ */
+export interface WorkingCalendar {
+    /** Working hours in one 'd' of a duration */
+    hoursPerDay: number;
+    /** Working hours elapsed between TIME_EPOCH and date (NaN for an invalid date) */
+    toWorkingHours: (date: Date) => number;
+    /**
+     * Inverse of toWorkingHours. Non-working gaps collapse to a single axis point:
+     * 'start' resolves to the next working instant, 'end' to the previous one.
+     * Non-finite hours give an invalid date.
+     */
+    fromWorkingHours: (hours: number, edge?: 'start' | 'end') => Date;
+    /** Add working hours to a date */
+    addWorkingTime: (date: Date, hours: number, edge?: 'start' | 'end') => Date;
+    /** Working hours between two dates */
+    workingHoursBetween: (start: Date, end: Date) => number;
+    /** End date of a duration string ('3d', '4h', ...) counted in working time */
+    addDuration: (start: Date, duration: string) => Date | null;
+    /** Working intervals on the date's day (holidays and exceptions applied) */
+    getWorkingIntervals: (date: Date) => readonly WorkingInterval[];
+    /** Whether the date's day has any working time */
+    isWorkingDay: (date: Date) => boolean;
 }
 
 /**
@@ -317,11 +472,13 @@ export interface GanttConfigOptions {
     showExpectedProgress?: boolean;
     /** Auto-position task labels */
     autoMoveLabel?: boolean;
-    /** Dates to skip (weekends, holidays) */
-    ignoredDates?: Date[];
+    /** Working-time calendar for durations, lags and cascades */
+    calendar?: CalendarOptions;
+    /** Dates to skip (holidays), or 'weekend' to skip Saturdays and Sundays */
+    ignoredDates?: Array<Date | string>;
     /** Function to determine if date should be skipped */
     ignoredFunction?: (date: Date) => boolean;
-    /** Computed ignored X positions */
+    /** Computed ignored column X positions */
     ignoredPositions?: number[];
     /** Subtask height as ratio of parent */
     subtaskHeightRatio?: number;
@@ -343,6 +500,8 @@ export interface Resource {
     type: 'resource' | 'group';
     /** Group this resource belongs to */
     group?: string;
+    /** Own working calendar (replaces the chart calendar for this resource's tasks) */
+    calendar?: CalendarOptions;
 }
 
 /** Raw resource input - can be string or Resource object */
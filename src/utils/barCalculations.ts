@@ -1,6 +1,6 @@
 import date_utils from './date_utils';
 import type { TimeScale } from './date_utils';
-import type { BarPosition } from '../types';
+import type { BarPosition, TaskDateUpdate } from '../types';
 
 /**
  * Pure functions for bar geometry calculations.
@@ -22,6 +22,49 @@ export function computeX(
     return diff * columnWidth;
 }
 
+/**
+ * Compute date from X position (inverse of computeX).
+ * Fractional columns are interpolated inside the unit, since date_utils.add
+ * truncates fractional quantities (1.5 days would otherwise become 1 day).
+ */
+export function computeDateFromX(
+    x: number,
+    ganttStart: Date,
+    unit: TimeScale | string,
+    step: number,
+    columnWidth: number
+): Date {
+    const units = (x / columnWidth) * step;
+    const whole = Math.floor(units);
+    const base = date_utils.add(ganttStart, whole, unit as TimeScale);
+    const fraction = units - whole;
+    if (fraction === 0) return base;
+
+    const next = date_utils.add(base, 1, unit as TimeScale);
+    return new Date(base.getTime() + (next.getTime() - base.getTime()) * fraction);
+}
+
+/**
+ * Convert a bar's pixel extent into a date update (start/end, strings, duration in hours).
+ */
+export function computeTaskDateUpdate(
+    taskId: string,
+    x: number,
+    width: number,
+    xToDate: (x: number) => Date
+): TaskDateUpdate {
+    const start = xToDate(x);
+    const end = xToDate(x + width);
+    return {
+        taskId,
+        start,
+        end,
+        startString: date_utils.format(start, 'YYYY-MM-DD HH:mm'),
+        endString: date_utils.format(end, 'YYYY-MM-DD HH:mm'),
+        duration: (end.getTime() - start.getTime()) / (60 * 60 * 1000),
+    };
+}
+
 /**
  * Compute bar Y position from task index.
  * Y position is relative to SVG content area (no header offset).
@@ -168,13 +211,72 @@ export function computeExpectedProgress(
 
 /**
  * Check if a position falls within an ignored region.
+ * `ignoredPositions` must be sorted ascending, as computeIgnoredPositions
+ * returns them; the lookup is a binary search.
  */
 export function isIgnoredPosition(
     x: number,
     ignoredPositions: number[],
     columnWidth: number
 ): boolean {
-    return ignoredPositions.some((pos) => x >= pos && x < pos + columnWidth);
+    // Last ignored column starting at or before x
+    let lo = 0;
+    let hi = ignoredPositions.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (ignoredPositions[mid]! <= x) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found >= 0 && x < ignoredPositions[found]! + columnWidth;
+}
+
+/** Column units narrow enough to fall on a single ignored day */
+const IGNORABLE_UNITS = new Set(['day', 'hour', 'minute', 'second', 'millisecond']);
+
+/**
+ * Compute X positions of ignored columns (weekends, holidays).
+ * `ignoredDates` entries are dates (matched by day) or the keyword 'weekend'.
+ * Week/month/year columns always contain working days and are never ignored.
+ */
+export function computeIgnoredPositions(
+    dates: Date[],
+    unit: TimeScale | string,
+    columnWidth: number,
+    ignoredDates: Array<Date | string> = [],
+    ignoredFunction: ((date: Date) => boolean) | null = null,
+): number[] {
+    if (!IGNORABLE_UNITS.has(unit)) return [];
+    if (ignoredDates.length === 0 && !ignoredFunction) return [];
+
+    const dayKey = (d: Date): string => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+    let ignoreWeekends = false;
+    const ignoredDays = new Set<string>();
+    for (const entry of ignoredDates) {
+        if (entry === 'weekend') {
+            ignoreWeekends = true;
+        } else {
+            ignoredDays.add(dayKey(date_utils.parse(entry)));
+        }
+    }
+
+    const positions: number[] = [];
+    for (let i = 0; i < dates.length; i++) {
+        const date = dates[i]!;
+        const weekday = date.getDay();
+        if (
+            (ignoreWeekends && (weekday === 0 || weekday === 6)) ||
+            ignoredDays.has(dayKey(date)) ||
+            (ignoredFunction && ignoredFunction(date))
+        ) {
+            positions.push(i * columnWidth);
+        }
+    }
+    return positions;
 }
 
 /**
@@ -196,6 +298,24 @@ export function snapToGrid(
     return snapped;
 }
 
+/**
+ * Move a bar end past ignored columns: while the last covered column is
+ * ignored, extend by a column so bars don't end on ignored time.
+ */
+export function skipIgnoredEnd(
+    endX: number,
+    columnWidth: number,
+    ignoredPositions: number[] = []
+): number {
+    let end = endX;
+
+    while (isIgnoredPosition(end - 1, ignoredPositions, columnWidth)) {
+        end += columnWidth;
+    }
+
+    return end;
+}
+
 interface LabelPosition {
     x: number;
     position: 'inside' | 'outside';
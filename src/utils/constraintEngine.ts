@@ -29,6 +29,16 @@
  *
  * Complexity: O(depth × reachable), typically 2-3 iterations
  *
+ * Time Domain:
+ * ────────────
+ * The core functions are unit-agnostic: bars are {x, width} on any linear axis
+ * and `pixelsPerHour` scales lags/durations onto that axis. The chart resolves
+ * in hours from TIME_EPOCH (resolveConstraintsInTime) so that lags and absolute
+ * constraints mean the same thing in every view mode. Pixels are only involved
+ * at the edges, where callers convert via ganttDateStore.dateToX/xToDate.
+ * Passing a working-time calendar swaps the axis for working hours, which makes
+ * durations, lags and cascade pushes skip non-working time.
+ *
  * @module constraintEngine
  */
 
@@ -38,7 +48,17 @@ import {
     getMaxXFromAbsolute,
     getMaxEndFromAbsolute,
 } from './absoluteConstraints';
-import type { DependencyType, BarPosition, Relationship, TaskConstraints, RelationshipIndex, DepOffsets } from '../types';
+import type {
+    DependencyType,
+    BarPosition,
+    Relationship,
+    TaskConstraints,
+    RelationshipIndex,
+    DepOffsets,
+    TaskTimeSpan,
+    TimeConstraintContext,
+    TimeConstraintResult,
+} from '../types';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -47,6 +67,14 @@ import type { DependencyType, BarPosition, Relationship, TaskConstraints, Relati
 /** Floating point tolerance in pixels */
 export const EPSILON_PX = 0.5;
 
+/** Floating point tolerance in hours (one minute) for time-domain resolution */
+export const EPSILON_HOURS = 1 / 60;
+
+/** Origin of the time-domain axis (positions are hours since this date) */
+export const TIME_EPOCH = new Date(0);
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
 /** Maximum cascade iterations to prevent infinite loops */
 export const MAX_CASCADE_ITERATIONS = 100;
 
@@ -341,7 +369,8 @@ export function getMaxEndFromDownstream(
     getBarPosition: GetBarPosition,
     getTask: GetTask | null | undefined,
     pixelsPerHour: number,
-    currentBar: BarLike | null = null
+    currentBar: BarLike | null = null,
+    epsilon = EPSILON_PX
 ): number {
     // Use pre-built index if available, otherwise build successor adjacency
     // The function works with raw relationships directly to avoid object creation overhead
@@ -439,7 +468,7 @@ export function getMaxEndFromDownstream(
 
         // Early termination: if we're processing the root task and found a tight constraint
         // (maxEnd <= currentEnd), we can't move at all, no need to continue
-        if (currentId === taskId && currentEnd !== null && maxEnd <= currentEnd + EPSILON_PX) {
+        if (currentId === taskId && currentEnd !== null && maxEnd <= currentEnd + epsilon) {
             return maxEnd;
         }
     }
@@ -489,6 +518,12 @@ export function getMaxXFromLockedSuccessors(
 // Iterative constraint relaxation for multi-path dependency graphs
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/** New position of a pushed successor (width only set when it changed) */
+interface CascadeUpdate {
+    x: number;
+    width?: number;
+}
+
 interface CascadeContext {
     getBarPosition: GetBarPosition;
     getTask?: GetTask | null;
@@ -496,6 +531,12 @@ interface CascadeContext {
     relationshipIndex?: RelationshipIndex;
     pixelsPerHour: number;
     ganttStartDate: Date;
+    epsilon?: number;
+    /**
+     * Place a pushed successor at or after minX (e.g. snap to its own working
+     * time and keep its working duration). Return null to place it at minX.
+     */
+    placeBar?: (id: string, minX: number) => CascadeUpdate | null;
 }
 
 /**
@@ -527,10 +568,11 @@ export function calculateCascadeUpdates(
     taskId: string,
     newX: number,
     context: CascadeContext
-): Map<string, { x: number }> {
-    const { getBarPosition, getTask, relationships, relationshipIndex, pixelsPerHour, ganttStartDate } = context;
+): Map<string, CascadeUpdate> {
+    const { getBarPosition, getTask, relationships, relationshipIndex, pixelsPerHour, ganttStartDate, placeBar } = context;
+    const epsilon = context.epsilon ?? EPSILON_PX;
 
-    const updates = new Map<string, { x: number }>();
+    const updates = new Map<string, CascadeUpdate>();
     updates.set(taskId, { x: newX });
 
     // Build successor lookup
@@ -621,8 +663,8 @@ export function calculateCascadeUpdates(
             minX = Math.max(absMinX, Math.min(minX, absMaxX));
 
             // Update if needs to move right
-            if (minX > succBar.x + EPSILON_PX) {
-                updates.set(succId, { x: minX });
+            if (minX > succBar.x + epsilon) {
+                updates.set(succId, placeBar?.(succId, minX) ?? { x: minX });
                 changed = true;
             }
         }
@@ -646,6 +688,17 @@ interface ResolveContext {
     relationshipIndex?: RelationshipIndex;
     pixelsPerHour: number;
     ganttStartDate: Date;
+    epsilon?: number;
+    placeBar?: CascadeContext['placeBar'];
+}
+
+interface ResolveOptions {
+    /**
+     * Check the whole schedule even if the bar is where it already is (e.g. the
+     * current position is itself an edit): no early exit, downstream limits
+     * apply as if moving right, and successors cascade off the result.
+     */
+    force?: boolean;
 }
 
 interface ResolveResult {
@@ -653,7 +706,7 @@ interface ResolveResult {
     constrainedWidth: number;
     blocked: boolean;
     blockReason: string | null;
-    cascadeUpdates: Map<string, { x: number }>;
+    cascadeUpdates: Map<string, CascadeUpdate>;
 }
 
 /**
@@ -666,14 +719,18 @@ interface ResolveResult {
  * 4. Predecessor constraints (min/max X from dependencies)
  * 5. Downstream constraints (only when moving right - major optimization)
  * 6. Cascade updates (only if position actually changed)
+ *
+ * `options.force` skips the shortcuts in 2, 5 and 6.
  */
 export function resolveConstraints(
     taskId: string,
     proposedX: number,
     proposedWidth: number,
-    context: ResolveContext
+    context: ResolveContext,
+    options: ResolveOptions = {}
 ): ResolveResult {
     const { getBarPosition, getTask, relationships, relationshipIndex, pixelsPerHour, ganttStartDate } = context;
+    const epsilon = context.epsilon ?? EPSILON_PX;
 
     // Use index if available, otherwise fall back to relationships array
     const relSource = relationshipIndex || relationships || [];
@@ -703,7 +760,7 @@ export function resolveConstraints(
     }
 
     // 2. Early termination: no position change
-    if (Math.abs(proposedX - currentBar.x) < EPSILON_PX && Math.abs(proposedWidth - currentBar.width) < EPSILON_PX) {
+    if (!options.force && Math.abs(proposedX - currentBar.x) < epsilon && Math.abs(proposedWidth - currentBar.width) < epsilon) {
         return {
             constrainedX: currentBar.x,
             constrainedWidth: currentBar.width,
@@ -714,7 +771,7 @@ export function resolveConstraints(
     }
 
     // Determine movement direction for optimization
-    const movingRight = proposedX > currentBar.x + EPSILON_PX;
+    const movingRight = options.force || proposedX > currentBar.x + epsilon;
 
     let minX = 0;
     let maxX = Infinity;
@@ -745,7 +802,7 @@ export function resolveConstraints(
     // This is the major optimization - getMaxEndFromDownstream takes 77% of time
     // When moving left, we can't push successors, so no need to check downstream
     if (movingRight) {
-        const downstreamMaxEnd = getMaxEndFromDownstream(taskId, relSource, getBarPosition, getTask, pixelsPerHour, currentBar);
+        const downstreamMaxEnd = getMaxEndFromDownstream(taskId, relSource, getBarPosition, getTask, pixelsPerHour, currentBar, epsilon);
         if (downstreamMaxEnd !== Infinity) {
             maxX = Math.min(maxX, downstreamMaxEnd - proposedWidth);
         }
@@ -761,14 +818,14 @@ export function resolveConstraints(
     let constrainedX = Math.max(minX, Math.min(proposedX, maxX));
 
     // Check if blocked (min > max means conflicting constraints)
-    const blocked = minX > maxX + EPSILON_PX;
+    const blocked = minX > maxX + epsilon;
     if (blocked) {
         constrainedX = currentBar.x;  // Don't move if blocked
     }
 
     // 6. Calculate cascade updates ONLY if position actually changed
-    let cascadeUpdates = new Map<string, { x: number }>();
-    if (!blocked && Math.abs(constrainedX - currentBar.x) > EPSILON_PX) {
+    let cascadeUpdates = new Map<string, CascadeUpdate>();
+    if (!blocked && (options.force || Math.abs(constrainedX - currentBar.x) > epsilon)) {
         cascadeUpdates = calculateCascadeUpdates(taskId, constrainedX, context);
     }
 
@@ -781,6 +838,263 @@ export function resolveConstraints(
     };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// TIME DOMAIN
+// Resolve on an hours-since-epoch axis; callers convert to/from pixels
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function toHours(date: Date): number {
+    return (date.getTime() - TIME_EPOCH.getTime()) / MS_PER_HOUR;
+}
+
+function fromHours(hours: number): Date {
+    return new Date(TIME_EPOCH.getTime() + Math.round(hours * MS_PER_HOUR));
+}
+
+/** Date ↔ axis conversion: wall-clock hours, or working hours with a calendar */
+interface HourAxis {
+    toAxis: (date: Date) => number;
+    fromAxis: (hours: number, edge: 'start' | 'end') => Date;
+}
+
+function getHourAxis(context: TimeConstraintContext): HourAxis {
+    const calendar = context.calendar;
+    if (!calendar) return { toAxis: toHours, fromAxis: fromHours };
+    return {
+        toAxis: calendar.toWorkingHours,
+        fromAxis: calendar.fromWorkingHours,
+    };
+}
+
+const ABSOLUTE_KEYS = ['minStart', 'maxStart', 'minEnd', 'maxEnd'] as const;
+
+/**
+ * Re-express absolute date constraints on the axis. The hour context compares
+ * them as hours since TIME_EPOCH, so each date becomes TIME_EPOCH + axis hours.
+ */
+function constraintsOnAxis(constraints: TaskConstraints | undefined, axis: HourAxis): TaskConstraints | undefined {
+    if (!constraints || !ABSOLUTE_KEYS.some((key) => constraints[key])) return constraints;
+
+    const mapped: TaskConstraints = { ...constraints };
+    for (const key of ABSOLUTE_KEYS) {
+        const value = constraints[key];
+        if (!value) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) continue;
+        mapped[key] = fromHours(axis.toAxis(date)).toISOString();
+    }
+    return mapped;
+}
+
+/**
+ * Build a pixel-engine context whose "pixels" are hours since TIME_EPOCH
+ * (working hours when a calendar is set).
+ * Spans are converted once per task and cached for the duration of the call.
+ *
+ * Tasks with their own calendar (context.getCalendar) are placed against it when
+ * pushed: start at its next working instant, keep its working duration. Their
+ * exact spans are recorded in `placed`, since the chart axis may collapse time
+ * the task's calendar works.
+ */
+function buildHourContext(
+    context: TimeConstraintContext,
+    axis: HourAxis,
+    placed: Map<string, TaskTimeSpan>
+): ResolveContext {
+    const cache = new Map<string, BarPosition | null>();
+
+    const getBarPosition = (id: string): BarPosition | null => {
+        const cached = cache.get(id);
+        if (cached !== undefined) return cached;
+
+        const span = context.getTaskSpan(id);
+        let bar: BarPosition | null = null;
+        if (span) {
+            const x = axis.toAxis(span.start);
+            bar = { x, y: 0, width: axis.toAxis(span.end) - x, height: 0 };
+        }
+        cache.set(id, bar);
+        return bar;
+    };
+
+    // Wall-clock axis: absolute constraints are already hours since TIME_EPOCH
+    let getTask: GetTask | undefined = context.getTask;
+    if (context.calendar && context.getTask) {
+        const sourceGetTask = context.getTask;
+        const taskCache = new Map<string, TaskLike | undefined>();
+        getTask = (id: string): TaskLike | undefined => {
+            if (taskCache.has(id)) return taskCache.get(id);
+            const task = sourceGetTask(id);
+            const mapped = task && { ...task, constraints: constraintsOnAxis(task.constraints, axis) };
+            taskCache.set(id, mapped);
+            return mapped;
+        };
+    }
+
+    let placeBar: CascadeContext['placeBar'];
+    if (context.getCalendar) {
+        const getCalendar = context.getCalendar;
+        placeBar = (id, minX) => {
+            const calendar = getCalendar(id);
+            const span = context.getTaskSpan(id);
+            if (!calendar || calendar === context.calendar || !span) return null;
+
+            const work = calendar.workingHoursBetween(span.start, span.end);
+            const start = calendar.fromWorkingHours(calendar.toWorkingHours(axis.fromAxis(minX, 'start')), 'start');
+            const end = calendar.addWorkingTime(start, work, 'end');
+            placed.set(id, { start, end });
+
+            const x = Math.max(minX, axis.toAxis(start));
+            return { x, width: Math.max(0, axis.toAxis(end) - x) };
+        };
+    }
+
+    return {
+        getBarPosition,
+        getTask,
+        relationships: context.relationships,
+        relationshipIndex: context.relationshipIndex,
+        pixelsPerHour: 1,
+        ganttStartDate: TIME_EPOCH,
+        epsilon: EPSILON_HOURS,
+        placeBar,
+    };
+}
+
+function toSpanUpdates(
+    updates: Map<string, CascadeUpdate>,
+    getBarPosition: GetBarPosition,
+    axis: HourAxis,
+    placed: Map<string, TaskTimeSpan>
+): Map<string, TaskTimeSpan> {
+    const spans = new Map<string, TaskTimeSpan>();
+    for (const [id, { x, width }] of updates) {
+        const placedSpan = placed.get(id);
+        if (placedSpan) {
+            spans.set(id, placedSpan);
+            continue;
+        }
+        const bar = getBarPosition(id);
+        if (!bar) continue;
+        const w = width ?? bar.width;
+        spans.set(id, { start: axis.fromAxis(x, 'start'), end: axis.fromAxis(x + w, 'end') });
+    }
+    return spans;
+}
+
+/**
+ * Time-domain variant of calculateCascadeUpdates.
+ * Returns new start/end dates for every successor that has to move.
+ * With a calendar, successors keep their working duration; with getCalendar,
+ * each successor is placed against its own calendar.
+ */
+export function calculateCascadeUpdatesInTime(
+    taskId: string,
+    newStart: Date,
+    context: TimeConstraintContext
+): Map<string, TaskTimeSpan> {
+    const axis = getHourAxis(context);
+    const placed = new Map<string, TaskTimeSpan>();
+    const hourContext = buildHourContext(context, axis, placed);
+    const updates = calculateCascadeUpdates(taskId, axis.toAxis(newStart), hourContext);
+    return toSpanUpdates(updates, hourContext.getBarPosition, axis, placed);
+}
+
+/**
+ * Time-domain variant of resolveConstraints.
+ *
+ * Lags (hours), duration limits and absolute minStart/maxEnd constraints are
+ * applied against real dates, so a schedule resolves identically in Hour, Day,
+ * Week or Month view. Convert the proposed bar with xToDate before calling and
+ * the resulting dates with dateToX afterwards.
+ *
+ * With `context.calendar` all of these count working hours instead, and a
+ * move (same wall-clock length as the current span) keeps the task's working
+ * duration. A task with its own calendar (context.getCalendar) counts them on
+ * that one: it starts at a working instant of its calendar, and a move keeps
+ * its working duration there. Its successors are then pushed like in any
+ * other move.
+ *
+ * With `options.force` the task is checked and cascaded even if it's at its
+ * current span, e.g. when that span is the edit being checked.
+ */
+export function resolveConstraintsInTime(
+    taskId: string,
+    proposedStart: Date,
+    proposedEnd: Date,
+    context: TimeConstraintContext,
+    options: ResolveOptions = {}
+): TimeConstraintResult {
+    const calendar = context.getCalendar?.(taskId);
+    const current = context.getTaskSpan(taskId);
+
+    // A move (same length) keeps the working time the task has now; a forced
+    // check takes the dates as given
+    const duration = (span: TaskTimeSpan): number => span.end.getTime() - span.start.getTime();
+    const isMove =
+        !options.force &&
+        !!current &&
+        Math.abs(duration({ start: proposedStart, end: proposedEnd }) - duration(current)) < MS_PER_HOUR / 60;
+
+    if (!calendar || calendar === context.calendar || !current) {
+        const chartCalendar = context.calendar;
+        const end =
+            chartCalendar && current && isMove
+                ? chartCalendar.addWorkingTime(proposedStart, chartCalendar.workingHoursBetween(current.start, current.end), 'end')
+                : proposedEnd;
+        return resolveOnAxis(taskId, proposedStart, end, context, options);
+    }
+
+    const start = calendar.fromWorkingHours(calendar.toWorkingHours(proposedStart), 'start');
+    const end = isMove
+        ? calendar.addWorkingTime(start, calendar.workingHoursBetween(current.start, current.end), 'end')
+        : proposedEnd;
+
+    const own = resolveOnAxis(taskId, start, end, { ...context, calendar, getCalendar: undefined }, options);
+    if (own.blocked) return { ...own, cascadeUpdates: new Map() };
+
+    // Successors follow from the placed dates on the chart's own axis
+    const placedContext: TimeConstraintContext = {
+        ...context,
+        getTaskSpan: (id) => (id === taskId ? { start: own.start, end: own.end } : context.getTaskSpan(id)),
+    };
+    const moved = options.force || own.start.getTime() !== current.start.getTime();
+    return {
+        ...own,
+        cascadeUpdates: moved ? calculateCascadeUpdatesInTime(taskId, own.start, placedContext) : new Map(),
+    };
+}
+
+function resolveOnAxis(
+    taskId: string,
+    proposedStart: Date,
+    proposedEnd: Date,
+    context: TimeConstraintContext,
+    options: ResolveOptions
+): TimeConstraintResult {
+    const axis = getHourAxis(context);
+    const placed = new Map<string, TaskTimeSpan>();
+    const hourContext = buildHourContext(context, axis, placed);
+    const proposedX = axis.toAxis(proposedStart);
+    const proposedWidth = axis.toAxis(proposedEnd) - proposedX;
+
+    const result = resolveConstraints(taskId, proposedX, proposedWidth, hourContext, options);
+
+    // Hand back the caller's dates untouched when nothing was constrained,
+    // so that pixel → date → pixel round trips don't introduce drift
+    const unchanged = Math.abs(result.constrainedX - proposedX) < EPSILON_HOURS / 2;
+    const start = unchanged ? proposedStart : axis.fromAxis(result.constrainedX, 'start');
+    const end = unchanged ? proposedEnd : axis.fromAxis(result.constrainedX + result.constrainedWidth, 'end');
+
+    return {
+        start,
+        end,
+        blocked: result.blocked,
+        blockReason: result.blockReason,
+        cascadeUpdates: toSpanUpdates(result.cascadeUpdates, hourContext.getBarPosition, axis, placed),
+    };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CYCLE DETECTION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,287 @@
+/**
+ * criticalPath.ts - Critical Path Method (CPM) Scheduler
+ *
+ * Forward/backward pass over the dependency graph:
+ * - Early start/finish (ES/EF): earliest the task can run given its predecessors
+ * - Late start/finish (LS/LF): latest the task can run without delaying the finish date
+ * - Total float: LS - ES (how far the task can slip without moving the finish date)
+ * - Free float: how far the task can slip without moving any successor's early dates
+ *
+ * All four dependency types (FS/SS/FF/SF) and lags are supported. The anchor
+ * math is shared with constraintEngine, working on an hours-since-epoch axis
+ * (same as the time-domain resolution there).
+ *
+ * Tasks without predecessors keep their scheduled start as early start;
+ * the project finish is the latest early finish. With a working-time calendar
+ * the passes (and the float values) count working hours.
+ *
+ * @module criticalPath
+ */
+
+import {
+    DEP_TYPES,
+    TIME_EPOCH,
+    EPSILON_HOURS,
+    buildRelationshipIndex,
+    getDepOffsets,
+    getMinSuccessorX,
+    getMaxPredEnd,
+    getMaxPredStart,
+    detectCycles,
+} from './constraintEngine';
+import type { Relationship, RelationshipIndex, TaskTimeSpan, WorkingCalendar } from '../types';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Task input for scheduling: ID plus its current start/end */
+export interface ScheduleTask extends TaskTimeSpan {
+    id: string;
+}
+
+/** CPM timings for a single task */
+export interface TaskSchedule {
+    earlyStart: Date;
+    earlyFinish: Date;
+    lateStart: Date;
+    lateFinish: Date;
+    /** Total float in hours */
+    totalFloat: number;
+    /** Free float in hours */
+    freeFloat: number;
+    /** Zero total float */
+    critical: boolean;
+}
+
+export interface CriticalPathResult {
+    /** Per-task timings (empty if the graph has a cycle) */
+    schedules: Map<string, TaskSchedule>;
+    /** IDs of tasks with zero total float */
+    criticalPath: Set<string>;
+    /** Relationship keys (`from->to`) that drive a critical successor */
+    criticalRelationships: Set<string>;
+    /** Earliest start over all tasks */
+    projectStart: Date | null;
+    /** Latest early finish over all tasks */
+    projectFinish: Date | null;
+    /** Cycle found in the dependency graph (scheduling skipped) */
+    cycle: string[] | null;
+}
+
+interface CriticalPathOptions {
+    /** Pre-built relationship index (rebuilt from relationships if omitted) */
+    relationshipIndex?: RelationshipIndex;
+    /** Float tolerance in hours for the critical test (default: one minute) */
+    epsilon?: number;
+    /** Working-time calendar (durations, lags and float in working hours) */
+    calendar?: WorkingCalendar | null;
+}
+
+interface HourBar {
+    x: number;
+    width: number;
+}
+
+/**
+ * Stable key for a relationship, used in criticalRelationships.
+ */
+export function relationshipKey(rel: Pick<Relationship, 'from' | 'to'>): string {
+    return `${rel.from}->${rel.to}`;
+}
+
+function toHours(date: Date): number {
+    return (date.getTime() - TIME_EPOCH.getTime()) / MS_PER_HOUR;
+}
+
+function fromHours(hours: number): Date {
+    return new Date(TIME_EPOCH.getTime() + Math.round(hours * MS_PER_HOUR));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TOPOLOGICAL ORDER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Kahn's algorithm over the relationships between known tasks.
+ * Returns null if not every task could be ordered (cycle).
+ */
+function topologicalOrder(taskIds: string[], index: RelationshipIndex, known: Set<string>): string[] | null {
+    const inDegree = new Map<string, number>();
+    for (const id of taskIds) {
+        let degree = 0;
+        for (const rel of index.bySuccessor.get(id) || []) {
+            if (known.has(rel.from)) degree++;
+        }
+        inDegree.set(id, degree);
+    }
+
+    const queue = taskIds.filter((id) => inDegree.get(id) === 0);
+    const order: string[] = [];
+
+    for (let i = 0; i < queue.length; i++) {
+        const id = queue[i]!;
+        order.push(id);
+        for (const rel of index.byPredecessor.get(id) || []) {
+            if (!known.has(rel.to)) continue;
+            const remaining = inDegree.get(rel.to)! - 1;
+            inDegree.set(rel.to, remaining);
+            if (remaining === 0) queue.push(rel.to);
+        }
+    }
+
+    return order.length === taskIds.length ? order : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compute CPM timings, float and the critical path.
+ *
+ * Complexity: O(tasks + relationships)
+ */
+export function computeCriticalPath(
+    tasks: ScheduleTask[],
+    relationships: Relationship[],
+    options: CriticalPathOptions = {}
+): CriticalPathResult {
+    const epsilon = options.epsilon ?? EPSILON_HOURS;
+    const index = options.relationshipIndex || buildRelationshipIndex(relationships);
+    const calendar = options.calendar;
+    const toAxis = calendar ? calendar.toWorkingHours : toHours;
+    const fromAxis = calendar ? calendar.fromWorkingHours : fromHours;
+
+    const empty: CriticalPathResult = {
+        schedules: new Map(),
+        criticalPath: new Set(),
+        criticalRelationships: new Set(),
+        projectStart: null,
+        projectFinish: null,
+        cycle: null,
+    };
+    if (tasks.length === 0) return empty;
+
+    // Durations and scheduled starts in hours
+    const duration = new Map<string, number>();
+    const scheduledStart = new Map<string, number>();
+    for (const task of tasks) {
+        const start = toAxis(task.start);
+        scheduledStart.set(task.id, start);
+        duration.set(task.id, Math.max(0, toAxis(task.end) - start));
+    }
+
+    const known = new Set(duration.keys());
+    const taskIds = [...known];
+    const order = topologicalOrder(taskIds, index, known);
+    if (!order) {
+        return { ...empty, cycle: detectCycles(relationships).cycle };
+    }
+
+    const predRels = (id: string): Relationship[] =>
+        (index.bySuccessor.get(id) || []).filter((rel) => known.has(rel.from));
+    const succRels = (id: string): Relationship[] =>
+        (index.byPredecessor.get(id) || []).filter((rel) => known.has(rel.to));
+
+    // 1. Forward pass: early start = max over predecessor constraints
+    const early = new Map<string, HourBar>();
+    let projectStart = Infinity;
+    let projectFinish = -Infinity;
+
+    for (const id of order) {
+        const width = duration.get(id)!;
+        const preds = predRels(id);
+
+        let es = preds.length === 0 ? scheduledStart.get(id)! : -Infinity;
+        for (const rel of preds) {
+            const { minGap } = getDepOffsets(rel, 1);
+            const constraint = getMinSuccessorX(rel.type || DEP_TYPES.FS, early.get(rel.from)!, width, minGap);
+            es = Math.max(es, constraint);
+        }
+
+        early.set(id, { x: es, width });
+        projectStart = Math.min(projectStart, es);
+        projectFinish = Math.max(projectFinish, es + width);
+    }
+
+    // 2. Backward pass: late finish = min over successor constraints, capped at project finish
+    const late = new Map<string, HourBar>();
+
+    for (let i = order.length - 1; i >= 0; i--) {
+        const id = order[i]!;
+        const width = duration.get(id)!;
+
+        let lf = projectFinish;
+        for (const rel of succRels(id)) {
+            const type = rel.type || DEP_TYPES.FS;
+            const { minGap } = getDepOffsets(rel, 1);
+            const succLate = late.get(rel.to)!;
+            // FS/FF bound our finish, SS/SF bound our start
+            lf = Math.min(
+                lf,
+                getMaxPredEnd(type, succLate, minGap),
+                getMaxPredStart(type, succLate, minGap) + width,
+            );
+        }
+
+        late.set(id, { x: lf - width, width });
+    }
+
+    // 3. Float and critical set
+    const schedules = new Map<string, TaskSchedule>();
+    const criticalPath = new Set<string>();
+
+    for (const id of order) {
+        const e = early.get(id)!;
+        const l = late.get(id)!;
+        const totalFloat = Math.max(0, l.x - e.x);
+
+        // Free float: slack to the nearest successor at early dates
+        const succs = succRels(id);
+        let freeFloat = succs.length === 0 ? projectFinish - (e.x + e.width) : Infinity;
+        for (const rel of succs) {
+            const { minGap } = getDepOffsets(rel, 1);
+            const succEarly = early.get(rel.to)!;
+            const minSuccX = getMinSuccessorX(rel.type || DEP_TYPES.FS, e, succEarly.width, minGap);
+            freeFloat = Math.min(freeFloat, succEarly.x - minSuccX);
+        }
+        freeFloat = Math.max(0, Math.min(freeFloat, totalFloat));
+
+        const critical = totalFloat <= epsilon;
+        if (critical) criticalPath.add(id);
+
+        schedules.set(id, {
+            earlyStart: fromAxis(e.x, 'start'),
+            earlyFinish: fromAxis(e.x + e.width, 'end'),
+            lateStart: fromAxis(l.x, 'start'),
+            lateFinish: fromAxis(l.x + l.width, 'end'),
+            totalFloat,
+            freeFloat,
+            critical,
+        });
+    }
+
+    // 4. Critical relationships: both ends critical and the link is binding at early dates
+    const criticalRelationships = new Set<string>();
+    for (const rel of relationships) {
+        if (!criticalPath.has(rel.from) || !criticalPath.has(rel.to)) continue;
+        const { minGap } = getDepOffsets(rel, 1);
+        const succEarly = early.get(rel.to)!;
+        const minSuccX = getMinSuccessorX(rel.type || DEP_TYPES.FS, early.get(rel.from)!, succEarly.width, minGap);
+        if (succEarly.x - minSuccX <= epsilon) {
+            criticalRelationships.add(relationshipKey(rel));
+        }
+    }
+
+    return {
+        schedules,
+        criticalPath,
+        criticalRelationships,
+        projectStart: fromAxis(projectStart, 'start'),
+        projectFinish: fromAxis(projectFinish, 'end'),
+        cycle: null,
+    };
+}
@@ -0,0 +1,65 @@
+/**
+ * minHeap.ts - Binary Min-Heap
+ *
+ * Priority queue for the schedulers: the leveling ready list and the
+ * resource conflict sweep.
+ *
+ * @module minHeap
+ */
+
+export interface MinHeap<T> {
+    push: (item: T) => void;
+    /** Remove and return the smallest item */
+    pop: () => T | undefined;
+    /** Smallest item, left in place */
+    peek: () => T | undefined;
+    size: () => number;
+    /** All items, in heap (not sorted) order */
+    items: () => readonly T[];
+}
+
+/**
+ * Create an empty binary min-heap ordered by `compare`.
+ */
+export function createMinHeap<T>(compare: (a: T, b: T) => number): MinHeap<T> {
+    const heap: T[] = [];
+
+    const push = (item: T): void => {
+        heap.push(item);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (compare(heap[i]!, heap[parent]!) >= 0) break;
+            [heap[i], heap[parent]] = [heap[parent]!, heap[i]!];
+            i = parent;
+        }
+    };
+
+    const pop = (): T | undefined => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0 && last !== undefined) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let min = i;
+                if (l < heap.length && compare(heap[l]!, heap[min]!) < 0) min = l;
+                if (r < heap.length && compare(heap[r]!, heap[min]!) < 0) min = r;
+                if (min === i) break;
+                [heap[i], heap[min]] = [heap[min]!, heap[i]!];
+                i = min;
+            }
+        }
+        return top;
+    };
+
+    return {
+        push,
+        pop,
+        peek: (): T | undefined => heap[0],
+        size: (): number => heap.length,
+        items: (): readonly T[] => heap,
+    };
+}
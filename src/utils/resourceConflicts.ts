@@ -0,0 +1,132 @@
+/**
+ * resourceConflicts.ts - Resource Over-Allocation Detection
+ *
+ * Finds tasks that overlap in time within the same resource swimlane.
+ * Only leaf tasks book a resource: summaries, projects and parents span their
+ * children, and milestones have no duration.
+ *
+ * Per resource, tasks are swept in start order against the tasks still
+ * running, kept in a min-heap by end, so the cost is O(n log n + conflicts).
+ *
+ * @module resourceConflicts
+ */
+
+import { createMinHeap } from './minHeap';
+import type { ProcessedTask } from '../types';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Minimal task shape needed for conflict detection */
+export type ConflictTask = Pick<ProcessedTask, 'id' | 'resource' | '_start' | '_end'> &
+    Partial<Pick<ProcessedTask, 'type' | '_children'>>;
+
+/** Two tasks of one resource overlapping in [start, end) */
+export interface ResourceConflict {
+    resource: string;
+    taskIds: [string, string];
+    start: Date;
+    end: Date;
+}
+
+/** Merged over-allocated interval of one resource */
+export interface ResourceOverload {
+    resource: string;
+    start: Date;
+    end: Date;
+    /** Tasks involved in the interval */
+    taskIds: string[];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DETECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Whether the task occupies its resource (leaf task with a duration) */
+export function booksResource(task: ConflictTask): boolean {
+    if (task.type === 'summary' || task.type === 'project' || task.type === 'milestone') return false;
+    if (task._children && task._children.length > 0) return false;
+    return task._end.getTime() > task._start.getTime();
+}
+
+/**
+ * Find all pairs of tasks that overlap within the same resource.
+ * Tasks without a resource are counted in the 'Unassigned' row, matching the
+ * swimlane layout. Touching tasks (one ends when the next starts) don't conflict.
+ */
+export function findResourceConflicts(tasks: Iterable<ConflictTask>): ResourceConflict[] {
+    const byResource = new Map<string, ConflictTask[]>();
+    for (const task of tasks) {
+        if (!booksResource(task)) continue;
+        const resource = task.resource || 'Unassigned';
+        let list = byResource.get(resource);
+        if (!list) {
+            list = [];
+            byResource.set(resource, list);
+        }
+        list.push(task);
+    }
+
+    const conflicts: ResourceConflict[] = [];
+    for (const [resource, list] of byResource) {
+        list.sort((a, b) => a._start.getTime() - b._start.getTime());
+
+        const active = createMinHeap<ConflictTask>((a, b) => a._end.getTime() - b._end.getTime());
+        for (const task of list) {
+            const start = task._start.getTime();
+            while (active.size() > 0 && active.peek()!._end.getTime() <= start) active.pop();
+
+            for (const other of active.items()) {
+                const end = Math.min(other._end.getTime(), task._end.getTime());
+                conflicts.push({
+                    resource,
+                    taskIds: [other.id, task.id],
+                    start: new Date(start),
+                    end: new Date(end),
+                });
+            }
+            active.push(task);
+        }
+    }
+
+    return conflicts;
+}
+
+/** Whether two results hold the same conflicts (same pairs and intervals, in any order) */
+export function sameResourceConflicts(a: ResourceConflict[] | undefined, b: ResourceConflict[] | undefined): boolean {
+    if (!a || !b) return a === b;
+    if (a.length !== b.length) return false;
+    const key = (c: ResourceConflict): string =>
+        `${c.resource}|${c.taskIds.join('|')}|${c.start.getTime()}|${c.end.getTime()}`;
+    const keys = new Set(a.map(key));
+    return b.every((conflict) => keys.has(key(conflict)));
+}
+
+/**
+ * Merge pairwise conflicts into disjoint over-allocated intervals per resource
+ * (one band per interval, for rendering).
+ */
+export function mergeResourceConflicts(conflicts: ResourceConflict[]): ResourceOverload[] {
+    const sorted = [...conflicts].sort(
+        (a, b) => a.resource.localeCompare(b.resource) || a.start.getTime() - b.start.getTime(),
+    );
+
+    const merged: ResourceOverload[] = [];
+    let ids = new Set<string>();
+    for (const conflict of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && last.resource === conflict.resource && conflict.start <= last.end) {
+            if (conflict.end > last.end) last.end = conflict.end;
+        } else {
+            if (last) last.taskIds = [...ids];
+            ids = new Set();
+            merged.push({ resource: conflict.resource, start: conflict.start, end: conflict.end, taskIds: [] });
+        }
+        conflict.taskIds.forEach((id) => ids.add(id));
+    }
+    const last = merged[merged.length - 1];
+    if (last) last.taskIds = [...ids];
+
+    return merged;
+}
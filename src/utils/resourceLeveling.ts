@@ -0,0 +1,275 @@
+/**
+ * resourceLeveling.ts - Resource Leveling
+ *
+ * Delays tasks so that no resource runs two tasks at once, without moving the
+ * project finish (serial schedule generation):
+ * - Tasks are placed in dependency order; among ready tasks higher `priority`
+ *   goes first, then the earliest scheduled start, then less total float. A
+ *   task placed first books its slot, and lower priorities fit around it
+ * - Each task starts no earlier than now and no earlier than its (already
+ *   placed) predecessors allow, in the first free slot of its resource
+ * - A task is only delayed up to its late start (CPM) and within its
+ *   `maxStart`/`maxEnd` constraints; if no slot fits it keeps its
+ *   dependency-driven start and the overlap is reported as unresolved
+ * - Locked tasks and parents (which follow their children) never move
+ *
+ * Nothing is applied: the result is a list of proposed moves to review and
+ * commit (api.applyLeveling, or by updating the tasks passed to the chart). With a working-time
+ * calendar, delays and durations count working hours.
+ *
+ * @module resourceLeveling
+ */
+
+import date_utils from './date_utils';
+import { DEP_TYPES, TIME_EPOCH, EPSILON_HOURS, buildRelationshipIndex, getDepOffsets, getMinSuccessorX } from './constraintEngine';
+import { computeCriticalPath } from './criticalPath';
+import { booksResource, findResourceConflicts } from './resourceConflicts';
+import { createMinHeap } from './minHeap';
+import type { ConflictTask, ResourceConflict } from './resourceConflicts';
+import type { Relationship, RelationshipIndex, TaskConstraints, TaskDateUpdate, WorkingCalendar } from '../types';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Task input for leveling */
+export interface LevelingTask extends ConflictTask {
+    constraints?: Partial<TaskConstraints>;
+    /** Higher priority keeps its slot when tasks compete (default: 0) */
+    priority?: number;
+}
+
+/** Proposed new schedule of a delayed task */
+export interface LevelingMove extends TaskDateUpdate {
+    resource: string;
+    previousStart: Date;
+    previousEnd: Date;
+    /** Delay in hours (working hours with a calendar) */
+    delay: number;
+}
+
+export interface LevelingResult {
+    /** Proposed moves, in scheduling order */
+    moves: LevelingMove[];
+    /** Overlaps left after the moves (locked tasks, no float left) */
+    unresolved: ResourceConflict[];
+    /** Cycle found in the dependency graph (leveling skipped) */
+    cycle: string[] | null;
+}
+
+interface LevelingOptions {
+    /** Pre-built relationship index (rebuilt from relationships if omitted) */
+    relationshipIndex?: RelationshipIndex;
+    /** Working-time calendar (delays and durations in working hours) */
+    calendar?: WorkingCalendar | null;
+}
+
+interface HourBar {
+    x: number;
+    width: number;
+}
+
+function toHours(date: Date): number {
+    return (date.getTime() - TIME_EPOCH.getTime()) / MS_PER_HOUR;
+}
+
+function fromHours(hours: number): Date {
+    return new Date(TIME_EPOCH.getTime() + Math.round(hours * MS_PER_HOUR));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * First start >= `earliest` where a bar of `width` fits between the bookings
+ * (sorted by x; bookings may overlap each other).
+ */
+function findSlot(bookings: HourBar[], earliest: number, width: number): number {
+    let start = earliest;
+    for (const booking of bookings) {
+        if (booking.x + booking.width <= start + EPSILON_HOURS) continue;
+        if (booking.x >= start + width - EPSILON_HOURS) break;
+        start = booking.x + booking.width;
+    }
+    return start;
+}
+
+function insertBooking(bookings: HourBar[], bar: HourBar): void {
+    let i = bookings.length;
+    while (i > 0 && bookings[i - 1]!.x > bar.x) i--;
+    bookings.splice(i, 0, bar);
+}
+
+/** Constraint date on the axis, null when missing or unparseable */
+function constraintOnAxis(value: string | undefined, toAxis: (date: Date) => number): number | null {
+    if (!value) return null;
+    const date = date_utils.parse(value);
+    return isNaN(date.getTime()) ? null : toAxis(date);
+}
+
+function isMovable(task: LevelingTask): boolean {
+    const locked = task.constraints?.locked ?? false;
+    if (locked !== false && locked !== 'duration') return false;
+    return !task._children || task._children.length === 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Propose delays that remove resource over-allocation within float.
+ *
+ * Complexity: O(n log n) for ordering plus the slot search per resource.
+ */
+export function levelResources(
+    tasks: LevelingTask[],
+    relationships: Relationship[],
+    options: LevelingOptions = {}
+): LevelingResult {
+    const calendar = options.calendar;
+    const toAxis = calendar ? calendar.toWorkingHours : toHours;
+    const fromAxis = calendar ? calendar.fromWorkingHours : fromHours;
+    const index = options.relationshipIndex || buildRelationshipIndex(relationships);
+
+    // Summaries and projects span their children and take no part in scheduling
+    const scheduled = tasks.filter((task) => task.type !== 'summary' && task.type !== 'project');
+    const cpm = computeCriticalPath(
+        scheduled.map((task) => ({ id: task.id, start: task._start, end: task._end })),
+        relationships,
+        { calendar, relationshipIndex: index }
+    );
+    if (cpm.cycle) {
+        return { moves: [], unresolved: findResourceConflicts(tasks), cycle: cpm.cycle };
+    }
+
+    const byId = new Map<string, LevelingTask>();
+    const original = new Map<string, HourBar>();
+    for (const task of scheduled) {
+        const x = toAxis(task._start);
+        byId.set(task.id, task);
+        original.set(task.id, { x, width: Math.max(0, toAxis(task._end) - x) });
+    }
+
+    const predRels = (id: string): Relationship[] =>
+        (index.bySuccessor.get(id) || []).filter((rel) => byId.has(rel.from));
+    const succRels = (id: string): Relationship[] =>
+        (index.byPredecessor.get(id) || []).filter((rel) => byId.has(rel.to));
+    const resourceOf = (task: LevelingTask): string => task.resource || 'Unassigned';
+
+    // Fixed tasks hold their slots from the start
+    const bookings = new Map<string, HourBar[]>();
+    const book = (task: LevelingTask, bar: HourBar): void => {
+        if (!booksResource(task)) return;
+        const resource = resourceOf(task);
+        let list = bookings.get(resource);
+        if (!list) {
+            list = [];
+            bookings.set(resource, list);
+        }
+        insertBooking(list, bar);
+    };
+    for (const task of scheduled) {
+        if (!isMovable(task)) book(task, original.get(task.id)!);
+    }
+
+    // Ready queue: priority, then scheduled start, then total float
+    const queue = createMinHeap<string>((a, b) => {
+        const ta = byId.get(a)!;
+        const tb = byId.get(b)!;
+        return (
+            (tb.priority ?? 0) - (ta.priority ?? 0) ||
+            original.get(a)!.x - original.get(b)!.x ||
+            (cpm.schedules.get(a)?.totalFloat ?? 0) - (cpm.schedules.get(b)?.totalFloat ?? 0) ||
+            (a < b ? -1 : a > b ? 1 : 0)
+        );
+    });
+
+    const remainingPreds = new Map<string, number>();
+    for (const task of scheduled) {
+        const count = predRels(task.id).length;
+        remainingPreds.set(task.id, count);
+        if (count === 0) queue.push(task.id);
+    }
+
+    const placed = new Map<string, HourBar>();
+    const moves: LevelingMove[] = [];
+
+    while (queue.size() > 0) {
+        const id = queue.pop()!;
+        const task = byId.get(id)!;
+        const bar = original.get(id)!;
+
+        let x = bar.x;
+        if (isMovable(task)) {
+            // Earliest start: never earlier than now, after the placed predecessors
+            let earliest = bar.x;
+            for (const rel of predRels(id)) {
+                const { minGap } = getDepOffsets(rel, 1);
+                earliest = Math.max(
+                    earliest,
+                    getMinSuccessorX(rel.type || DEP_TYPES.FS, placed.get(rel.from)!, bar.width, minGap)
+                );
+            }
+
+            // Latest start: late start (keeps the finish date) and absolute constraints
+            const schedule = cpm.schedules.get(id);
+            let latest = Math.max(bar.x, schedule ? toAxis(schedule.lateStart) : bar.x);
+            const minStart = constraintOnAxis(task.constraints?.minStart, toAxis);
+            const maxStart = constraintOnAxis(task.constraints?.maxStart, toAxis);
+            const maxEnd = constraintOnAxis(task.constraints?.maxEnd, toAxis);
+            if (minStart !== null) earliest = Math.max(earliest, minStart);
+            if (maxStart !== null) latest = Math.min(latest, maxStart);
+            if (maxEnd !== null) latest = Math.min(latest, maxEnd - bar.width);
+
+            x = earliest;
+            if (booksResource(task)) {
+                const slot = findSlot(bookings.get(resourceOf(task)) || [], earliest, bar.width);
+                if (slot <= latest + EPSILON_HOURS) x = slot;
+            }
+
+            const next: HourBar = { x, width: bar.width };
+            book(task, next);
+            placed.set(id, next);
+
+            if (x - bar.x > EPSILON_HOURS) {
+                const start = fromAxis(x, 'start');
+                const end = fromAxis(x + bar.width, 'end');
+                moves.push({
+                    taskId: id,
+                    resource: resourceOf(task),
+                    start,
+                    end,
+                    startString: date_utils.format(start, 'YYYY-MM-DD HH:mm'),
+                    endString: date_utils.format(end, 'YYYY-MM-DD HH:mm'),
+                    duration: (end.getTime() - start.getTime()) / MS_PER_HOUR,
+                    previousStart: task._start,
+                    previousEnd: task._end,
+                    delay: x - bar.x,
+                });
+            }
+        } else {
+            placed.set(id, bar);
+        }
+
+        for (const rel of succRels(id)) {
+            const remaining = remainingPreds.get(rel.to)! - 1;
+            remainingPreds.set(rel.to, remaining);
+            if (remaining === 0) queue.push(rel.to);
+        }
+    }
+
+    // Overlaps left once the moves are applied
+    const moved = new Map(moves.map((move) => [move.taskId, move]));
+    const unresolved = findResourceConflicts(
+        tasks.map((task) => {
+            const move = moved.get(task.id);
+            return move ? { ...task, _start: move.start, _end: move.end } : task;
+        })
+    );
+
+    return { moves, unresolved, cycle: null };
+}
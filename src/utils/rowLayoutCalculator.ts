@@ -23,6 +23,8 @@ interface LayoutConfig {
     barHeight?: number;
     padding?: number;
     subtaskHeightRatio?: number;
+    /** Stack overlapping tasks of a row in sub-lanes by their bars (following edits) */
+    packLanes?: boolean;
 }
 
 interface DisplayRow {
@@ -70,20 +72,31 @@ export function calculateRowLayouts(
         barHeight = 30,
         padding = 18,
         subtaskHeightRatio = 0.5,
+        packLanes = false,
     } = config;
 
     const baseRowHeight = barHeight + padding;
+
+    // Overlapping tasks share a row on separate sub-rows: by their loaded
+    // dates, or with lane packing by the bar extent, which follows edits
+    const taskSpan = (task: TaskLike): { start: number | Date; end: number | Date } => {
+        if (packLanes && task._bar) return { start: task._bar.x, end: task._bar.x + task._bar.width };
+        return {
+            start: task._start ?? task._bar?.x ?? 0,
+            end: task._end ?? ((task._bar?.x ?? 0) + (task._bar?.width ?? 1)),
+        };
+    };
     const layouts = new Map<string, RowLayout>();
     let cumulativeY = 0;
 
+    // Tasks without a resource sit in the 'Unassigned' row
     const tasksByResource = new Map<string, TaskLike[]>();
     for (const [_taskId, task] of iterateTasks(taskMap)) {
-        if (task.resource) {
-            if (!tasksByResource.has(task.resource)) {
-                tasksByResource.set(task.resource, []);
-            }
-            tasksByResource.get(task.resource)!.push(task);
+        const resource = task.resource || 'Unassigned';
+        if (!tasksByResource.has(resource)) {
+            tasksByResource.set(resource, []);
         }
+        tasksByResource.get(resource)!.push(task);
     }
 
     for (const row of displayRows) {
@@ -133,8 +146,7 @@ export function calculateRowLayouts(
         const rows: SubRow[] = [];
 
         const overlapsRow = (task: TaskLike, subRow: SubRow): boolean => {
-            const taskStart = task._start ?? task._bar?.x ?? 0;
-            const taskEnd = task._end ?? ((task._bar?.x ?? 0) + (task._bar?.width ?? 1));
+            const { start: taskStart, end: taskEnd } = taskSpan(task);
             for (const range of subRow.occupiedRanges) {
                 if (!(taskEnd <= range.start || taskStart >= range.end)) {
                     return true;
@@ -144,8 +156,7 @@ export function calculateRowLayouts(
         };
 
         const findRowForTask = (task: TaskLike, taskHeight: number): number => {
-            const taskStart = task._start ?? task._bar?.x ?? 0;
-            const taskEnd = task._end ?? ((task._bar?.x ?? 0) + (task._bar?.width ?? 1));
+            const { start: taskStart, end: taskEnd } = taskSpan(task);
 
             for (const subRow of rows) {
                 if (!overlapsRow(task, subRow)) {
@@ -457,28 +468,87 @@ export function computeSubtaskY(
     return parentContentY + padding / 2 + subtaskIndex * subtaskRowHeight;
 }
 
+/**
+ * Assign overlapping tasks to lanes (first free lane in start order).
+ * Uses the bar extent, which follows edits, and falls back to the dates.
+ */
+export function assignLanes(tasks: TaskLike[]): Map<string, number> {
+    const spans = tasks.map((task) => {
+        if (task._bar) return { id: task.id, start: task._bar.x, end: task._bar.x + task._bar.width };
+        const start = task._start instanceof Date ? task._start.getTime() : (task._start ?? 0);
+        const end = task._end instanceof Date ? task._end.getTime() : (task._end ?? start);
+        return { id: task.id, start, end };
+    });
+    spans.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const laneEnds: number[] = [];
+    const lanes = new Map<string, number>();
+    for (const span of spans) {
+        let lane = laneEnds.findIndex((end) => end <= span.start);
+        if (lane === -1) {
+            lane = laneEnds.length;
+            laneEnds.push(span.end);
+        } else {
+            laneEnds[lane] = span.end;
+        }
+        lanes.set(span.id, lane);
+    }
+    return lanes;
+}
+
 export function calculateSimpleRowLayouts(
     displayRows: DisplayRow[],
-    config: LayoutConfig
+    config: LayoutConfig,
+    taskMap?: TaskMap | null
 ): Map<string, RowLayout> {
-    const { barHeight = 30, padding = 18 } = config;
+    const { barHeight = 30, padding = 18, packLanes = false } = config;
     const rowHeight = barHeight + padding;
     const layouts = new Map<string, RowLayout>();
 
-    for (let i = 0; i < displayRows.length; i++) {
-        const row = displayRows[i]!;
-        const y = i * rowHeight;
+    // Lane packing: top-level tasks per resource (subtasks aren't drawn in simple mode),
+    // tasks without one in the 'Unassigned' row
+    const tasksByResource = new Map<string, TaskLike[]>();
+    if (packLanes) {
+        for (const [, task] of iterateTasks(taskMap)) {
+            if (task.parentId) continue;
+            const resource = task.resource || 'Unassigned';
+            let list = tasksByResource.get(resource);
+            if (!list) {
+                list = [];
+                tasksByResource.set(resource, list);
+            }
+            list.push(task);
+        }
+    }
+
+    let y = 0;
+    for (const row of displayRows) {
+        const rowTasks = tasksByResource.get(row.id);
+        const lanes = rowTasks ? assignLanes(rowTasks) : null;
+        let laneCount = 1;
+        for (const lane of lanes?.values() ?? []) laneCount = Math.max(laneCount, lane + 1);
+        const height = laneCount * rowHeight;
+
+        let taskPositions: Map<string, TaskPosition> | undefined;
+        if (lanes) {
+            taskPositions = new Map();
+            for (const [taskId, lane] of lanes) {
+                taskPositions.set(taskId, { y: y + padding / 2 + lane * rowHeight, height: barHeight });
+            }
+        }
 
         layouts.set(row.id, {
             y,
-            height: rowHeight,
+            height,
             contentY: y + padding / 2,
-            contentHeight: barHeight,
+            contentHeight: height - padding,
             type: row.type,
+            taskPositions,
         });
+        y += height;
     }
 
-    layouts.set('__total__', { y: 0, height: displayRows.length * rowHeight });
+    layouts.set('__total__', { y: 0, height: y });
 
     return layouts;
 }
@@ -487,6 +557,7 @@ export default {
     calculateRowLayouts,
     calculateSimpleRowLayouts,
     calculateExpandedRowHeight,
+    assignLanes,
     findRowAtY,
     rowLayoutsToSortedArray,
     getVisibleRowRange,
@@ -0,0 +1,272 @@
+/**
+ * taskEdit.ts - Task Editor Validation
+ *
+ * Checks a task edited in the details panel before it's saved. Field checks
+ * run on the raw task (dates, progress, constraint ranges); the processed task
+ * is then checked against the chart: dependencies must point at other existing
+ * tasks without closing a cycle, and the constraint engine settles the schedule
+ * against the task's constraints, predecessors and locked successors.
+ *
+ * @module taskEdit
+ */
+
+import date_utils from './date_utils';
+import { isMovementLocked } from './absoluteConstraints';
+import {
+    buildRelationshipIndex,
+    calculateCascadeUpdatesInTime,
+    detectCycles,
+    resolveConstraintsInTime,
+} from './constraintEngine';
+import type {
+    GanttTask,
+    ProcessedTask,
+    Relationship,
+    TaskConstraints,
+    TaskTimeSpan,
+    TimeConstraintContext,
+} from '../types';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** A problem with one field ('name', 'constraints.maxEnd', 'dependencies.2', ...) */
+export interface TaskEditIssue {
+    field: string;
+    message: string;
+}
+
+/** Outcome of checking an edited task */
+export interface TaskEditCheck {
+    errors: TaskEditIssue[];
+    /** The processed edit (null while invalid) */
+    task: ProcessedTask | null;
+    /** Schedule the task is saved with (null while invalid) */
+    start: Date | null;
+    end: Date | null;
+    /** Whether the constraint engine moved the task off the entered dates */
+    adjusted: boolean;
+    /** Chart relationships with the task's incoming ones replaced */
+    relationships: Relationship[];
+    /** Successors pushed by the new schedule */
+    cascadeUpdates: Map<string, TaskTimeSpan>;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/;
+
+/** Parse a "YYYY-MM-DD HH:MM" string, null when malformed */
+function parseDate(value: string | undefined): Date | null {
+    if (!value || !DATE_PATTERN.test(value)) return null;
+    const date = date_utils.parse(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function invalid(errors: TaskEditIssue[]): TaskEditCheck {
+    return { errors, task: null, start: null, end: null, adjusted: false, relationships: [], cascadeUpdates: new Map() };
+}
+
+/** Relationship of a successor's dependency (as processTasks builds them) */
+export function dependencyRelationship(taskId: string, dep: ProcessedTask['dependencies'][number]): Relationship {
+    return { from: dep.id, to: taskId, type: dep.type, lag: dep.lag, max: dep.max, elastic: true };
+}
+
+/**
+ * Editable copy of a task, scheduled at `start`/`end` (the bar's current
+ * dates, which drags move away from the task's own fields).
+ */
+export function editableTask(task: ProcessedTask, start: Date, end: Date): GanttTask {
+    const { locked, ...constraints } = task.constraints;
+    return {
+        id: task.id,
+        name: task.name,
+        start: date_utils.format(start, 'YYYY-MM-DD HH:mm'),
+        // Tasks given by duration stay that way
+        end: task.end || !task.duration ? date_utils.format(end, 'YYYY-MM-DD HH:mm') : undefined,
+        duration: task.duration,
+        progress: task.progress,
+        resource: task.resource,
+        dependencies: task.dependencies.map((dep) => ({ ...dep })),
+        constraints: locked ? { ...constraints, locked } : constraints,
+        parentId: task.parentId,
+        type: task.type,
+        color: task.color,
+        color_progress: task.color_progress,
+        color_bg: task.color_bg,
+        color_fill: task.color_fill,
+        subtaskLayout: task.subtaskLayout,
+        order: task.order,
+        priority: task.priority,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check a length in hours (working hours with a calendar) against the
+ * duration constraints. Returns the problem, or null when it fits.
+ */
+export function durationError(constraints: TaskConstraints | undefined, hours: number): string | null {
+    if (constraints?.fixedDuration && Math.abs(hours - constraints.fixedDuration) > 1 / 60) {
+        return `Duration is fixed at ${constraints.fixedDuration}h`;
+    }
+    if (constraints?.minDuration && hours < constraints.minDuration) {
+        return `Shorter than the minimum of ${constraints.minDuration}h`;
+    }
+    if (constraints?.maxDuration && hours > constraints.maxDuration) {
+        return `Longer than the maximum of ${constraints.maxDuration}h`;
+    }
+    return null;
+}
+
+/**
+ * Check the fields of an edited task on their own: dates and durations parse,
+ * the end follows the start, and constraint bounds are in order.
+ */
+export function validateTaskFields(task: GanttTask): TaskEditIssue[] {
+    const errors: TaskEditIssue[] = [];
+    const error = (field: string, message: string): void => {
+        errors.push({ field, message });
+    };
+
+    if (!task.name?.trim()) error('name', 'Enter a name');
+
+    const start = parseDate(task.start);
+    if (!start) error('start', 'Enter a start date');
+    if (task.end) {
+        const end = parseDate(task.end);
+        if (!end) error('end', 'Enter a valid end date');
+        else if (start && end <= start) error('end', 'The end must be after the start');
+    } else if (!task.duration) {
+        error('end', 'Enter an end date or a duration');
+    } else if (!date_utils.parse_duration(task.duration)) {
+        error('duration', 'Use a duration like 3d or 8h');
+    }
+
+    const progress = task.progress ?? 0;
+    if (!(progress >= 0 && progress <= 100)) error('progress', 'Progress must be between 0 and 100');
+
+    const constraints: TaskConstraints = task.constraints ?? {};
+    const dates: Partial<Record<'minStart' | 'maxStart' | 'minEnd' | 'maxEnd', Date | null>> = {};
+    for (const key of ['minStart', 'maxStart', 'minEnd', 'maxEnd'] as const) {
+        if (!constraints[key]) continue;
+        dates[key] = parseDate(constraints[key]);
+        if (!dates[key]) error(`constraints.${key}`, 'Enter a valid date');
+    }
+    if (dates.minStart && dates.maxStart && dates.minStart > dates.maxStart) {
+        error('constraints.maxStart', 'Latest start is before the earliest start');
+    }
+    if (dates.minEnd && dates.maxEnd && dates.minEnd > dates.maxEnd) {
+        error('constraints.maxEnd', 'Deadline is before the earliest end');
+    }
+
+    for (const key of ['minDuration', 'maxDuration', 'fixedDuration'] as const) {
+        const hours = constraints[key];
+        if (hours !== undefined && !(hours > 0)) error(`constraints.${key}`, 'Enter a positive number of hours');
+    }
+    if (constraints.minDuration && constraints.maxDuration && constraints.minDuration > constraints.maxDuration) {
+        error('constraints.maxDuration', 'Maximum duration is below the minimum');
+    }
+
+    (task.dependencies ?? []).forEach((dep, i) => {
+        if (!dep.id) error(`dependencies.${i}`, 'Pick a predecessor');
+        else if (!Number.isFinite(dep.lag ?? 0)) error(`dependencies.${i}`, 'Lag must be a number of hours');
+        else if (dep.max !== undefined && !(dep.max >= 0)) error(`dependencies.${i}`, 'Max gap must be 0 or more hours');
+    });
+
+    return errors;
+}
+
+/**
+ * Check a processed edit against the chart and settle its schedule.
+ *
+ * `context` describes the chart before the edit. A task that may move is
+ * resolved like a drag (clamped to its constraints and predecessors, blocked
+ * by conflicting ones); a movement-locked task keeps the entered dates. Either
+ * way successors are pushed to satisfy the new schedule.
+ */
+export function resolveTaskEdit(task: ProcessedTask, context: TimeConstraintContext): TaskEditCheck {
+    const errors: TaskEditIssue[] = [];
+    const seen = new Set<string>();
+    task.dependencies.forEach((dep, i) => {
+        const field = `dependencies.${i}`;
+        if (dep.id === task.id) errors.push({ field, message: "A task can't depend on itself" });
+        else if (!context.getTask?.(dep.id)) errors.push({ field, message: `Unknown task "${dep.id}"` });
+        else if (seen.has(dep.id)) errors.push({ field, message: 'Already a predecessor' });
+        seen.add(dep.id);
+    });
+    if (errors.length > 0) return invalid(errors);
+
+    const relationships = [
+        ...(context.relationships ?? []).filter((rel) => rel.to !== task.id),
+        ...task.dependencies.map((dep) => dependencyRelationship(task.id, dep)),
+    ];
+    const cycle = detectCycles(relationships);
+    if (cycle.hasCycle) {
+        return invalid([{ field: 'dependencies', message: `Dependency cycle: ${cycle.cycle.join(' → ')}` }]);
+    }
+
+    // Duration bounds and the earliest end, which the engine leaves to resizing
+    const constraints = task.constraints;
+    const calendar = context.getCalendar?.(task.id) ?? context.calendar;
+    const hours = calendar
+        ? calendar.workingHoursBetween(task._start, task._end)
+        : (task._end.getTime() - task._start.getTime()) / 3_600_000;
+    const lengthError = durationError(constraints, hours);
+    if (lengthError) return invalid([{ field: 'end', message: lengthError }]);
+    const minEnd = parseDate(constraints.minEnd);
+    if (minEnd && task._end < minEnd) return invalid([{ field: 'end', message: 'Ends before the earliest end' }]);
+
+    // The chart as it would be with the edit in place
+    const editContext: TimeConstraintContext = {
+        ...context,
+        getTaskSpan: (id) => (id === task.id ? { start: task._start, end: task._end } : context.getTaskSpan(id)),
+        getTask: (id) => (id === task.id ? task : context.getTask?.(id)),
+        relationships,
+        relationshipIndex: buildRelationshipIndex(relationships),
+    };
+
+    if (isMovementLocked(constraints.locked)) {
+        const cascadeUpdates = calculateCascadeUpdatesInTime(task.id, task._start, editContext);
+        return { errors, task, start: task._start, end: task._end, adjusted: false, relationships, cascadeUpdates };
+    }
+
+    // Forced: the edited dates are already "current", yet the whole schedule
+    // is checked and successors cascade off them
+    const result = resolveConstraintsInTime(task.id, task._start, task._end, editContext, { force: true });
+    if (result.blocked) {
+        return invalid([{ field: 'start', message: 'No dates satisfy the constraints and dependencies' }]);
+    }
+
+    return {
+        errors,
+        task,
+        start: result.start,
+        end: result.end,
+        adjusted: result.start.getTime() !== task._start.getTime() || result.end.getTime() !== task._end.getTime(),
+        relationships,
+        cascadeUpdates: result.cascadeUpdates,
+    };
+}
+
+/**
+ * Check an edited task: its fields first, then, processed by `process` (e.g.
+ * processTasks for just this task), against the chart.
+ */
+export function checkTaskEdit(
+    task: GanttTask,
+    process: (task: GanttTask) => ProcessedTask | undefined,
+    context: TimeConstraintContext
+): TaskEditCheck {
+    const fieldErrors = validateTaskFields(task);
+    if (fieldErrors.length > 0) return invalid(fieldErrors);
+    const processed = process(task);
+    if (!processed) return invalid([{ field: 'end', message: 'Tasks can be at most 10 years long' }]);
+    return resolveTaskEdit(processed, context);
+}
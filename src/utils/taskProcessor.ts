@@ -11,6 +11,7 @@ import type {
     NormalizedConstraints,
     GanttTask,
     ProcessedTask,
+    WorkingCalendar,
 } from '../types';
 
 interface ProcessConfig {
@@ -21,6 +22,12 @@ interface ProcessConfig {
     headerHeight?: number;
     barHeight: number;
     padding: number;
+    /** Count `duration` in working time */
+    calendar?: WorkingCalendar | null;
+    /** Resource calendars (override `calendar` for the resource's tasks) */
+    resourceCalendars?: Map<string, WorkingCalendar>;
+    /** Date → X mapping of a non-linear (collapsed) axis; overrides the linear one */
+    dateToX?: (date: Date) => number;
 }
 
 interface ProcessResult {
@@ -77,7 +84,11 @@ function parseDependencies(dependencies: Dependency[] | undefined): NormalizedDe
  * Process a single task - parse dates, validate, normalize.
  * Returns a partially processed task (without _bar position - added in processTasks).
  */
-export function processTask(task: GanttTask, index: number): Omit<ProcessedTask, '_bar' | '_resourceIndex' | '_isHidden'> | null {
+export function processTask(
+    task: GanttTask,
+    index: number,
+    calendar: WorkingCalendar | null = null
+): Omit<ProcessedTask, '_bar' | '_resourceIndex' | '_isHidden'> | null {
     // Generate ID if missing
     const id = task.id || generateTaskId(task, index);
 
@@ -88,6 +99,9 @@ export function processTask(task: GanttTask, index: number): Omit<ProcessedTask,
     let _end: Date;
     if (task.end) {
         _end = date_utils.parse(task.end);
+    } else if (task.duration && calendar) {
+        // Calculate end from duration, counting working time only
+        _end = calendar.addDuration(_start, task.duration) ?? new Date(_start);
     } else if (task.duration) {
         // Calculate end from duration
         const durationResult = date_utils.parse_duration(task.duration);
@@ -156,6 +170,7 @@ export function processTask(task: GanttTask, index: number): Omit<ProcessedTask,
         color_fill: task.color_fill,
         subtaskLayout: task.subtaskLayout,
         order: task.order,
+        priority: task.priority,
     };
 }
 
@@ -176,7 +191,8 @@ export function processTasks(
     for (let i = 0; i < tasks.length; i++) {
         const task = tasks[i];
         if (!task) continue;
-        const processed = processTask(task, i);
+        const calendar = (task.resource && config.resourceCalendars?.get(task.resource)) || config.calendar;
+        const processed = processTask(task, i, calendar);
         if (processed) {
             partialTasks.push(processed);
         }
@@ -217,26 +233,30 @@ export function processTasks(
         const isHidden = effectiveRowIndex < 0;
 
         // Compute bar position
-        const x = computeX(
-            task._start,
-            config.ganttStart,
-            config.unit,
-            config.step,
-            config.columnWidth,
-        );
+        const x = config.dateToX
+            ? config.dateToX(task._start)
+            : computeX(
+                  task._start,
+                  config.ganttStart,
+                  config.unit,
+                  config.step,
+                  config.columnWidth,
+              );
 
         // Use negative Y for hidden tasks (won't be rendered by TaskLayer)
         const y = isHidden
             ? -1000
             : computeY(effectiveRowIndex, config.barHeight, config.padding);
 
-        const width = computeWidth(
-            task._start,
-            task._end,
-            config.unit,
-            config.step,
-            config.columnWidth,
-        );
+        const width = config.dateToX
+            ? config.dateToX(task._end) - x
+            : computeWidth(
+                  task._start,
+                  task._end,
+                  config.unit,
+                  config.step,
+                  config.columnWidth,
+              );
 
         // Build complete ProcessedTask with position
         const completeTask: ProcessedTask = {
@@ -262,6 +282,7 @@ export function processTasks(
                     to: task.id, // Successor task ID
                     type: dep.type || 'FS',
                     lag: dep.lag || 0,
+                    max: dep.max, // Gap bound (undefined = elastic)
                     elastic: true, // Elastic = minimum distance constraint
                 });
             }
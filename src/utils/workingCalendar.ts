@@ -0,0 +1,285 @@
+/**
+ * workingCalendar.ts - Working-Time Calendar
+ *
+ * Maps dates onto a continuous axis of working hours since TIME_EPOCH:
+ * - Weekly schedule: working intervals per weekday (hours from local midnight)
+ * - Holidays and vacations: whole days off
+ * - Exceptions: per-date schedules that replace the weekly one
+ *
+ * Non-working time has zero length on this axis, so the constraint engine can
+ * resolve on it unchanged: durations, lags and cascade pushes then count
+ * working time (a 2-day task starting Friday runs through Monday).
+ *
+ * Days are counted in local calendar days, so DST transitions don't shift
+ * working intervals.
+ *
+ * @module workingCalendar
+ */
+
+import date_utils from './date_utils';
+import type { CalendarOptions, WorkingCalendar, WorkingInterval } from '../types';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/** Weekday of day index 0 (1970-01-01 was a Thursday) */
+const EPOCH_WEEKDAY = 4;
+
+/** Monday-Friday, whole day */
+const DEFAULT_WORKING_HOURS: Record<number, WorkingInterval[]> = {
+    0: [],
+    1: [[0, 24]],
+    2: [[0, 24]],
+    3: [[0, 24]],
+    4: [[0, 24]],
+    5: [[0, 24]],
+    6: [],
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DAY HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Local calendar day → days since 1970-01-01 */
+function dayIndexOf(date: Date): number {
+    return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+}
+
+function weekdayOf(dayIndex: number): number {
+    return (((dayIndex + EPOCH_WEEKDAY) % 7) + 7) % 7;
+}
+
+/** Local wall-clock hour within the day (fractional) */
+function hourOfDay(date: Date): number {
+    return (
+        date.getHours() +
+        date.getMinutes() / 60 +
+        date.getSeconds() / 3600 +
+        date.getMilliseconds() / MS_PER_HOUR
+    );
+}
+
+/** Date at a wall-clock hour of a day index */
+function dateAt(dayIndex: number, hour: number): Date {
+    const day = new Date(dayIndex * MS_PER_DAY);
+    return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 0, 0, 0, Math.round(hour * MS_PER_HOUR));
+}
+
+/** Clamp to [0, 24], drop empty intervals, sort and merge overlaps */
+function normalizeIntervals(intervals: WorkingInterval[] | undefined): WorkingInterval[] {
+    const clamped = (intervals || [])
+        .map(([a, b]): WorkingInterval => [Math.max(0, Math.min(24, a)), Math.max(0, Math.min(24, b))])
+        .filter(([a, b]) => b > a)
+        .sort((p, q) => p[0] - q[0]);
+
+    const merged: WorkingInterval[] = [];
+    for (const interval of clamped) {
+        const last = merged[merged.length - 1];
+        if (last && interval[0] <= last[1]) {
+            last[1] = Math.max(last[1], interval[1]);
+        } else {
+            merged.push([interval[0], interval[1]]);
+        }
+    }
+    return merged;
+}
+
+function totalHours(intervals: readonly WorkingInterval[]): number {
+    let sum = 0;
+    for (const [a, b] of intervals) sum += b - a;
+    return sum;
+}
+
+/** Working hours between midnight and `hour` */
+function hoursBefore(intervals: readonly WorkingInterval[], hour: number): number {
+    let sum = 0;
+    for (const [a, b] of intervals) {
+        if (hour <= a) break;
+        sum += Math.min(hour, b) - a;
+    }
+    return sum;
+}
+
+/**
+ * Wall-clock hour at which `offset` working hours of the day have elapsed.
+ * 'start' skips forward past gaps, 'end' stops at the end of an interval.
+ */
+function hourAtOffset(intervals: readonly WorkingInterval[], offset: number, edge: 'start' | 'end'): number {
+    let remaining = offset;
+    for (const [a, b] of intervals) {
+        const length = b - a;
+        if (edge === 'start' ? remaining < length : remaining <= length) return a + remaining;
+        remaining -= length;
+    }
+    const last = intervals[intervals.length - 1];
+    return last ? last[1] : 24;
+}
+
+function toDate(value: Date | string): Date {
+    return typeof value === 'string' ? date_utils.parse(value) : value;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FACTORY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a working-time calendar.
+ *
+ * A calendar without any working time would make the axis degenerate, so an
+ * empty weekly schedule falls back to working around the clock.
+ */
+export function createWorkingCalendar(options: CalendarOptions = {}): WorkingCalendar {
+    // Weekly schedule indexed by weekday
+    const weekly: WorkingInterval[][] = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+        const configured = options.workingHours?.[weekday];
+        weekly.push(normalizeIntervals(configured ?? DEFAULT_WORKING_HOURS[weekday]));
+    }
+    if (weekly.every((intervals) => intervals.length === 0)) {
+        for (let weekday = 0; weekday < 7; weekday++) weekly[weekday] = [[0, 24]];
+    }
+
+    const weeklyTotals = weekly.map(totalHours);
+    const weekHours = weeklyTotals.reduce((sum, h) => sum + h, 0);
+
+    // weekPrefix[k] = working hours in the first k days of an epoch-aligned week
+    const weekPrefix: number[] = [0];
+    for (let k = 0; k < 7; k++) {
+        weekPrefix.push(weekPrefix[k]! + weeklyTotals[weekdayOf(k)]!);
+    }
+
+    // Per-day overrides (holidays and vacations, then exceptions which win on conflicts)
+    const overrides = new Map<number, WorkingInterval[]>();
+    for (const holiday of options.holidays || []) {
+        overrides.set(dayIndexOf(toDate(holiday)), []);
+    }
+    for (const vacation of options.vacations || []) {
+        const last = dayIndexOf(toDate(vacation.end));
+        for (let day = dayIndexOf(toDate(vacation.start)); day <= last; day++) {
+            overrides.set(day, []);
+        }
+    }
+    for (const exception of options.exceptions || []) {
+        overrides.set(dayIndexOf(toDate(exception.date)), normalizeIntervals(exception.hours));
+    }
+
+    // Sorted override days with cumulative delta vs the weekly schedule
+    const overrideDays = [...overrides.keys()].sort((a, b) => a - b);
+    const overrideDeltaPrefix: number[] = [0];
+    for (const day of overrideDays) {
+        const delta = totalHours(overrides.get(day)!) - weeklyTotals[weekdayOf(day)]!;
+        overrideDeltaPrefix.push(overrideDeltaPrefix[overrideDeltaPrefix.length - 1]! + delta);
+    }
+
+    const hoursPerDay = options.hoursPerDay ?? Math.max(...weeklyTotals);
+
+    const intervalsOf = (dayIndex: number): readonly WorkingInterval[] =>
+        overrides.get(dayIndex) ?? weekly[weekdayOf(dayIndex)]!;
+
+    /** Working hours between TIME_EPOCH and the start of a day */
+    const hoursToDay = (dayIndex: number): number => {
+        const weeks = Math.floor(dayIndex / 7);
+        let hours = weeks * weekHours + weekPrefix[dayIndex - weeks * 7]!;
+
+        // Number of override days before dayIndex (binary search)
+        let lo = 0;
+        let hi = overrideDays.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (overrideDays[mid]! < dayIndex) lo = mid + 1;
+            else hi = mid;
+        }
+        hours += overrideDeltaPrefix[lo]!;
+        return hours;
+    };
+
+    const toWorkingHours = (date: Date): number => {
+        if (isNaN(date.getTime())) return NaN;
+        const dayIndex = dayIndexOf(date);
+        return hoursToDay(dayIndex) + hoursBefore(intervalsOf(dayIndex), hourOfDay(date));
+    };
+
+    const fromWorkingHours = (hours: number, edge: 'start' | 'end' = 'start'): Date => {
+        // An invalid date in gives NaN hours, which the search below can't bracket
+        if (!Number.isFinite(hours)) return new Date(NaN);
+
+        // 'start': last day whose start is <= hours; 'end': last day whose start is < hours
+        const before = (dayIndex: number): boolean =>
+            edge === 'start' ? hoursToDay(dayIndex) <= hours : hoursToDay(dayIndex) < hours;
+
+        // Estimate from the weekly rate, then gallop outwards to bracket the day
+        let lo = Math.floor((hours / weekHours) * 7);
+        let step = 7;
+        while (!before(lo)) {
+            lo -= step;
+            step *= 2;
+        }
+        let hi = lo + 1;
+        step = 7;
+        while (before(hi)) {
+            hi += step;
+            step *= 2;
+        }
+
+        // Binary search: before(lo) && !before(hi)
+        while (hi - lo > 1) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (before(mid)) lo = mid;
+            else hi = mid;
+        }
+
+        const offset = hours - hoursToDay(lo);
+        return dateAt(lo, hourAtOffset(intervalsOf(lo), offset, edge));
+    };
+
+    const addWorkingTime = (date: Date, hours: number, edge: 'start' | 'end' = 'end'): Date =>
+        fromWorkingHours(toWorkingHours(date) + hours, edge);
+
+    const workingHoursBetween = (start: Date, end: Date): number =>
+        toWorkingHours(end) - toWorkingHours(start);
+
+    const addDuration = (start: Date, duration: string): Date | null => {
+        const parsed = date_utils.parse_duration(duration);
+        if (!parsed) return null;
+        const { duration: value, scale } = parsed;
+
+        switch (scale) {
+            case 'day':
+                return addWorkingTime(start, value * hoursPerDay);
+            case 'hour':
+                return addWorkingTime(start, value);
+            case 'minute':
+                return addWorkingTime(start, value / 60);
+            case 'second':
+                return addWorkingTime(start, value / 3600);
+            case 'millisecond':
+                return addWorkingTime(start, value / MS_PER_HOUR);
+            default: {
+                // Months/years name calendar periods: add in wall-clock time,
+                // then pull the end back out of any trailing non-working time
+                const end = date_utils.add(start, value, scale);
+                return fromWorkingHours(toWorkingHours(end), 'end');
+            }
+        }
+    };
+
+    const getWorkingIntervals = (date: Date): readonly WorkingInterval[] => intervalsOf(dayIndexOf(date));
+
+    const isWorkingDay = (date: Date): boolean => intervalsOf(dayIndexOf(date)).length > 0;
+
+    return {
+        hoursPerDay,
+        toWorkingHours,
+        fromWorkingHours,
+        addWorkingTime,
+        workingHoursBetween,
+        addDuration,
+        getWorkingIntervals,
+        isWorkingDay,
+    };
+}
@@ -0,0 +1,79 @@
+/**
+ * zoom.ts - Continuous Timeline Zoom
+ *
+ * Maps a zoom factor onto the view modes: inside a mode the column width
+ * scales, and once it leaves [MIN_SCALE, MAX_SCALE] × the mode's own width the
+ * next finer (zoom in) or coarser (zoom out) mode takes over at the same
+ * pixels-per-time, clamped to that mode's range.
+ *
+ * @module zoom
+ */
+
+import date_utils from './date_utils';
+import type { ViewMode } from '../types';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** A view mode plus the column width it's shown at */
+export interface ZoomLevel {
+    mode: ViewMode;
+    columnWidth: number;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Column width range of a mode, relative to its unzoomed width */
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 2;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ZOOM
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Hours covered by one column of a mode */
+function columnHours(mode: ViewMode): number {
+    return date_utils.convert_scales(mode.step || '1d', 'hour');
+}
+
+/**
+ * Zoom level after scaling the time axis by `factor` (> 1 zooms in).
+ *
+ * @param modes - Available view modes (any order)
+ * @param current - Current level
+ * @param factor - Scale of pixels per unit of time
+ * @param baseWidth - Unzoomed column width of a mode
+ */
+export function zoomLevel(
+    modes: ViewMode[],
+    current: ZoomLevel,
+    factor: number,
+    baseWidth: (mode: ViewMode) => number,
+): ZoomLevel {
+    const clampWidth = (mode: ViewMode, width: number): number => {
+        const base = baseWidth(mode);
+        return Math.min(base * MAX_SCALE, Math.max(base * MIN_SCALE, width));
+    };
+
+    const currentHours = columnHours(current.mode);
+    if (!(factor > 0) || currentHours <= 0) return current;
+
+    const pixelsPerHour = (current.columnWidth / currentHours) * factor;
+    const width = pixelsPerHour * currentHours;
+    const base = baseWidth(current.mode);
+    if (width >= base * MIN_SCALE && width <= base * MAX_SCALE) {
+        return { mode: current.mode, columnWidth: width };
+    }
+
+    // Past the range: the neighbouring mode in the zoom direction takes over
+    const ordered = modes.filter((m) => columnHours(m) > 0).sort((a, b) => columnHours(a) - columnHours(b));
+    const index = ordered.findIndex((m) => m.name === current.mode.name);
+    const next = index >= 0 ? ordered[factor > 1 ? index - 1 : index + 1] : undefined;
+    if (!next) {
+        return { mode: current.mode, columnWidth: clampWidth(current.mode, width) };
+    }
+    return { mode: next, columnWidth: clampWidth(next, pixelsPerHour * columnHours(next)) };
+}
@@ -0,0 +1,54 @@
+import {
+    computeIgnoredPositions,
+    isIgnoredPosition,
+    skipIgnoredEnd,
+} from '../src/utils/barCalculations';
+
+const COL = 40;
+// Saturday 2 March 2024 to Sunday 10 March 2024, one column per day
+const days = Array.from({ length: 9 }, (_, i) => new Date(2024, 2, 2 + i));
+
+test('Ignored: weekends at both ends of the axis', () => {
+    const positions = computeIgnoredPositions(days, 'day', COL, ['weekend']);
+
+    expect(positions).toEqual([0, 40, 7 * COL, 8 * COL]);
+});
+
+test('Ignored: holidays and the ignore function add columns', () => {
+    const positions = computeIgnoredPositions(
+        days,
+        'day',
+        COL,
+        ['2024-03-05'],
+        (date) => date.getDate() === 8,
+    );
+
+    expect(positions).toEqual([3 * COL, 6 * COL]);
+});
+
+test('Ignored: wide columns are never ignored', () => {
+    expect(computeIgnoredPositions(days, 'week', COL, ['weekend'])).toEqual([]);
+});
+
+test('Ignored: positions are looked up by column', () => {
+    const positions = [0, 40, 280, 320];
+
+    expect(isIgnoredPosition(0, positions, COL)).toBe(true);
+    expect(isIgnoredPosition(79, positions, COL)).toBe(true);
+    expect(isIgnoredPosition(80, positions, COL)).toBe(false);
+    expect(isIgnoredPosition(359, positions, COL)).toBe(true);
+    expect(isIgnoredPosition(360, positions, COL)).toBe(false);
+    expect(isIgnoredPosition(-1, positions, COL)).toBe(false);
+    expect(isIgnoredPosition(0, [], COL)).toBe(false);
+});
+
+test('Ignored: bar ends skip ignored columns', () => {
+    const positions = computeIgnoredPositions(days, 'day', COL, ['weekend']);
+
+    // Ending on Friday is kept; ending on Saturday runs past Sunday, the
+    // last column, as no working column follows on the axis
+    expect(skipIgnoredEnd(7 * COL, COL, positions)).toBe(7 * COL);
+    expect(skipIgnoredEnd(8 * COL, COL, positions)).toBe(10 * COL);
+    // A bar ending in the weekend at the axis start reaches Monday
+    expect(skipIgnoredEnd(COL, COL, positions)).toBe(3 * COL);
+});
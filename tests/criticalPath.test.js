@@ -0,0 +1,114 @@
+import { computeCriticalPath } from '../src/utils/criticalPath';
+
+const BASE = new Date('2024-03-04T00:00:00Z').getTime();
+const HOUR = 60 * 60 * 1000;
+
+const at = (hours) => new Date(BASE + hours * HOUR);
+const task = (id, start, duration) => ({
+    id,
+    start: at(start),
+    end: at(start + duration),
+});
+const rel = (from, to, type, lag = 0) => ({ from, to, type, lag });
+const hoursOf = (date) => (date.getTime() - BASE) / HOUR;
+
+// A [0, 10] drives one successor per dependency type, each with a lag
+const tasks = [
+    task('A', 0, 10),
+    task('B', 12, 5),
+    task('C', 3, 4),
+    task('D', 5, 6),
+    task('E', 2, 2),
+];
+const relationships = [
+    rel('A', 'B', 'FS', 2),
+    rel('A', 'C', 'SS', 3),
+    rel('A', 'D', 'FF', 1),
+    rel('A', 'E', 'SF', 4),
+];
+
+test('CPM: early dates follow each dependency type and lag', () => {
+    const { schedules } = computeCriticalPath(tasks, relationships);
+
+    // FS: start 2h after A ends
+    expect(hoursOf(schedules.get('B').earlyStart)).toBe(12);
+    // SS: start 3h after A starts
+    expect(hoursOf(schedules.get('C').earlyStart)).toBe(3);
+    // FF: finish 1h after A ends
+    expect(hoursOf(schedules.get('D').earlyFinish)).toBe(11);
+    // SF: finish 4h after A starts
+    expect(hoursOf(schedules.get('E').earlyFinish)).toBe(4);
+});
+
+test('CPM: total float runs to the project finish', () => {
+    const { schedules, projectFinish } = computeCriticalPath(
+        tasks,
+        relationships,
+    );
+
+    expect(hoursOf(projectFinish)).toBe(17);
+    expect(schedules.get('A').totalFloat).toBe(0);
+    expect(schedules.get('B').totalFloat).toBe(0);
+    expect(schedules.get('C').totalFloat).toBe(10);
+    expect(schedules.get('D').totalFloat).toBe(6);
+    expect(schedules.get('E').totalFloat).toBe(13);
+    expect(hoursOf(schedules.get('D').lateStart)).toBe(11);
+});
+
+test('CPM: the critical path is the zero-float chain', () => {
+    const { criticalPath, criticalRelationships } = computeCriticalPath(
+        tasks,
+        relationships,
+    );
+
+    expect([...criticalPath].sort()).toEqual(['A', 'B']);
+    expect([...criticalRelationships]).toEqual(['A->B']);
+});
+
+test('CPM: a longer lag adds float to the other branches', () => {
+    // B's FS lag grows from 2h to 20h: the finish moves out, C can slip further
+    const { schedules, projectFinish } = computeCriticalPath(tasks, [
+        ...relationships.slice(1),
+        rel('A', 'B', 'FS', 20),
+    ]);
+
+    expect(hoursOf(projectFinish)).toBe(35);
+    expect(schedules.get('A').totalFloat).toBe(0);
+    expect(schedules.get('C').totalFloat).toBe(28);
+});
+
+test('CPM: SS and FF links with lags can be critical', () => {
+    // Q starts 8h after P starts and R finishes 5h after Q finishes
+    const { schedules, criticalPath, criticalRelationships } =
+        computeCriticalPath(
+            [task('P', 0, 10), task('Q', 8, 10), task('R', 20, 3)],
+            [rel('P', 'Q', 'SS', 8), rel('Q', 'R', 'FF', 5)],
+        );
+
+    expect(hoursOf(schedules.get('R').earlyFinish)).toBe(23);
+    expect(schedules.get('P').totalFloat).toBe(0);
+    expect([...criticalPath].sort()).toEqual(['P', 'Q', 'R']);
+    expect([...criticalRelationships].sort()).toEqual(['P->Q', 'Q->R']);
+});
+
+test('CPM: free float stops at the nearest successor', () => {
+    // X [0, 4] → Y must start 2h after X ends; Y is scheduled by its predecessor only
+    const { schedules } = computeCriticalPath(
+        [task('X', 0, 4), task('Y', 6, 4), task('Z', 0, 20)],
+        [rel('X', 'Y', 'FS', 2)],
+    );
+
+    expect(schedules.get('X').freeFloat).toBe(0);
+    expect(schedules.get('X').totalFloat).toBe(10);
+    expect(schedules.get('Y').freeFloat).toBe(10);
+});
+
+test('CPM: cycles skip scheduling', () => {
+    const result = computeCriticalPath(
+        [task('A', 0, 1), task('B', 1, 1)],
+        [rel('A', 'B', 'FS'), rel('B', 'A', 'FS')],
+    );
+
+    expect(result.cycle).not.toBeNull();
+    expect(result.schedules.size).toBe(0);
+});
@@ -0,0 +1,63 @@
+import { createRoot } from 'solid-js';
+import { createGanttDateStore } from '../src/stores/ganttDateStore';
+
+const COL = 40;
+const day = (d, hours = 0) => new Date(2024, 2, d, hours);
+const weekdays = (start) => start.getDay() !== 0 && start.getDay() !== 6;
+
+// Day view from Monday 4 March to Monday 18 March 2024, weekends collapsed
+const setup = (collapsed = true) =>
+    createRoot((dispose) => {
+        const store = createGanttDateStore({
+            ganttStart: day(4),
+            ganttEnd: day(18),
+            viewMode: 'Day',
+            columnWidth: COL,
+        });
+        store.setCollapsedTime(collapsed ? weekdays : null);
+        return { store, dispose };
+    });
+
+test('Dates: the collapsed axis leaves out the weekend columns', () => {
+    const { store, dispose } = setup();
+
+    expect(store.dates()).toHaveLength(10);
+    expect(store.dateToX(day(11))).toBe(5 * COL);
+    dispose();
+
+    const linear = setup(false);
+    expect(linear.store.dateToX(day(11))).toBe(7 * COL);
+    linear.dispose();
+});
+
+test('Dates: dates inside a collapsed gap land on the next column', () => {
+    const { store, dispose } = setup();
+
+    expect(store.dateToX(day(9))).toBe(5 * COL);
+    expect(store.dateToX(day(10, 15))).toBe(5 * COL);
+    expect(store.xToDate(5 * COL)).toEqual(day(11));
+    dispose();
+});
+
+test('Dates: working dates round-trip across collapsed gaps', () => {
+    const { store, dispose } = setup();
+
+    for (const date of [day(4), day(8, 12), day(11), day(11, 6), day(15, 18)]) {
+        expect(store.xToDate(store.dateToX(date))).toEqual(date);
+    }
+    for (const x of [0, 170, 180, 200, 210, 390]) {
+        expect(store.dateToX(store.xToDate(x))).toBeCloseTo(x);
+    }
+    dispose();
+});
+
+test('Dates: the collapsed axis extends linearly past both ends', () => {
+    const { store, dispose } = setup();
+
+    // Sunday before the first column, Saturday after the last one
+    expect(store.dateToX(day(3))).toBe(-COL);
+    expect(store.xToDate(-COL)).toEqual(day(3));
+    expect(store.dateToX(day(16))).toBe(10 * COL);
+    expect(store.xToDate(10 * COL)).toEqual(day(16));
+    dispose();
+});
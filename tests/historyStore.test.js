@@ -0,0 +1,159 @@
+import { createRoot } from 'solid-js';
+import { createTaskStore } from '../src/stores/taskStore';
+import { createTaskHistory } from '../src/stores/historyStore';
+
+const task = (id, x) => ({ id, _bar: { x, y: 0, width: 10, height: 20 } });
+
+// Store with tasks A, B and C at x = 0, and a history on top of it
+const setup = () =>
+    createRoot((dispose) => {
+        const store = createTaskStore();
+        store.updateTasks([task('A', 0), task('B', 0), task('C', 0)]);
+        const history = createTaskHistory(store);
+        return { store, history, dispose };
+    });
+
+const x = (store, id) => store.getBarPosition(id).x;
+const move = (store, id, to) => store.updateBarPosition(id, { x: to });
+// Writes are grouped per turn; let the turn end
+const endTurn = () => new Promise((resolve) => setTimeout(resolve));
+
+test('History: loads are not recorded', () => {
+    const { history, dispose } = setup();
+
+    expect(history.canUndo()).toBe(false);
+    dispose();
+});
+
+test('History: writes of one turn are one operation', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    move(store, 'B', 20);
+    await endTurn();
+    move(store, 'C', 30);
+    await endTurn();
+
+    history.undo();
+    expect([x(store, 'A'), x(store, 'B'), x(store, 'C')]).toEqual([10, 20, 0]);
+    history.undo();
+    expect([x(store, 'A'), x(store, 'B'), x(store, 'C')]).toEqual([0, 0, 0]);
+    expect(history.canUndo()).toBe(false);
+
+    history.redo();
+    expect([x(store, 'A'), x(store, 'B')]).toEqual([10, 20]);
+    expect(history.canRedo()).toBe(true);
+    dispose();
+});
+
+test('History: a transaction is one operation, recorded when it closes', () => {
+    const { store, history, dispose } = setup();
+    history.transaction(() => {
+        move(store, 'A', 10);
+        history.transaction(() => move(store, 'B', 20));
+    });
+
+    expect(history.canUndo()).toBe(true);
+    const changes = history.undo();
+    expect(changes.map((change) => change.id).sort()).toEqual(['A', 'B']);
+    expect(history.canUndo()).toBe(false);
+    dispose();
+});
+
+test('History: a new edit clears redo', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    await endTurn();
+    history.undo();
+    move(store, 'B', 20);
+    await endTurn();
+
+    expect(history.canRedo()).toBe(false);
+    dispose();
+});
+
+test('History: writes that end where they started are not recorded', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    move(store, 'A', 0);
+    await endTurn();
+
+    expect(history.canUndo()).toBe(false);
+    dispose();
+});
+
+test('History: discard reverts an earlier operation and forgets it', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    await endTurn();
+    const operation = history.lastOperation();
+    move(store, 'B', 20);
+    await endTurn();
+
+    expect(history.discard(operation)).not.toBeNull();
+    expect([x(store, 'A'), x(store, 'B')]).toEqual([0, 20]);
+
+    // Only B's move is left to undo
+    history.undo();
+    expect([x(store, 'A'), x(store, 'B')]).toEqual([0, 0]);
+    expect(history.canUndo()).toBe(false);
+    dispose();
+});
+
+test('History: discard refuses when a later operation touched the same tasks', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    await endTurn();
+    const operation = history.lastOperation();
+    move(store, 'A', 20);
+    await endTurn();
+
+    expect(history.discard(operation)).toBeNull();
+    expect(x(store, 'A')).toBe(20);
+
+    history.undo();
+    history.undo();
+    expect(x(store, 'A')).toBe(0);
+    dispose();
+});
+
+test('History: discarding an undone operation drops it from redo', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    await endTurn();
+    const operation = history.lastOperation();
+    history.undo();
+
+    expect(history.discard(operation)).toBeNull();
+    expect(history.canRedo()).toBe(false);
+    expect(x(store, 'A')).toBe(0);
+    dispose();
+});
+
+test('History: clear drops undo and redo', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    await endTurn();
+    move(store, 'B', 10);
+    await endTurn();
+    history.undo();
+    history.clear();
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    dispose();
+});
+
+test('History: mapBars re-projects recorded positions', async () => {
+    const { store, history, dispose } = setup();
+    move(store, 'A', 10);
+    await endTurn();
+
+    // The axis doubled its scale: the bars follow, and so does history
+    store.updateTasks([task('A', 20), task('B', 0), task('C', 0)]);
+    history.mapBars((t) => ({ x: t._bar.x * 2, width: t._bar.width * 2 }));
+    history.undo();
+    expect(x(store, 'A')).toBe(0);
+    history.redo();
+    expect(x(store, 'A')).toBe(20);
+    dispose();
+});
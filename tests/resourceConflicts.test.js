@@ -0,0 +1,104 @@
+import {
+    findResourceConflicts,
+    mergeResourceConflicts,
+} from '../src/utils/resourceConflicts';
+
+const BASE = new Date(2024, 2, 4).getTime();
+const HOUR = 60 * 60 * 1000;
+
+const at = (hours) => new Date(BASE + hours * HOUR);
+const hoursOf = (date) => (date.getTime() - BASE) / HOUR;
+const task = (id, resource, start, duration, extra = {}) => ({
+    id,
+    resource,
+    _start: at(start),
+    _end: at(start + duration),
+    ...extra,
+});
+const pairs = (conflicts) =>
+    conflicts.map((conflict) => [
+        conflict.resource,
+        [...conflict.taskIds].sort().join(''),
+        hoursOf(conflict.start),
+        hoursOf(conflict.end),
+    ]);
+
+test('Conflicts: overlapping tasks of one resource conflict over the overlap', () => {
+    const conflicts = findResourceConflicts([
+        task('A', 'R1', 0, 4),
+        task('B', 'R1', 2, 4),
+        task('C', 'R2', 0, 10),
+    ]);
+
+    expect(pairs(conflicts)).toEqual([['R1', 'AB', 2, 4]]);
+});
+
+test('Conflicts: touching tasks do not conflict', () => {
+    expect(
+        findResourceConflicts([task('A', 'R1', 0, 4), task('B', 'R1', 4, 4)]),
+    ).toEqual([]);
+});
+
+test('Conflicts: a long task conflicts with each task it overlaps', () => {
+    const conflicts = findResourceConflicts([
+        task('L', 'R1', 0, 20),
+        task('A', 'R1', 2, 2),
+        task('B', 'R1', 4, 2),
+        task('C', 'R1', 5, 10),
+    ]);
+
+    expect(pairs(conflicts).sort()).toEqual([
+        ['R1', 'AL', 2, 4],
+        ['R1', 'BC', 5, 6],
+        ['R1', 'BL', 4, 6],
+        ['R1', 'CL', 5, 15],
+    ]);
+});
+
+test('Conflicts: tasks without a resource share the Unassigned row', () => {
+    const conflicts = findResourceConflicts([
+        task('A', undefined, 0, 4),
+        task('B', '', 2, 4),
+    ]);
+
+    expect(pairs(conflicts)).toEqual([['Unassigned', 'AB', 2, 4]]);
+});
+
+test('Conflicts: milestones, summaries and parents book no time', () => {
+    const conflicts = findResourceConflicts([
+        task('A', 'R1', 0, 4),
+        task('M', 'R1', 2, 0, { type: 'milestone' }),
+        task('S', 'R1', 0, 8, { type: 'summary' }),
+        task('P', 'R1', 0, 8, { _children: ['A'] }),
+        task('Z', 'R1', 2, 0),
+    ]);
+
+    expect(conflicts).toEqual([]);
+});
+
+test('Conflicts: merged into one band per overlapping stretch', () => {
+    const bands = mergeResourceConflicts(
+        findResourceConflicts([
+            task('A', 'R1', 0, 4),
+            task('B', 'R1', 2, 4),
+            task('C', 'R1', 4, 4),
+            task('D', 'R1', 20, 4),
+            task('E', 'R1', 22, 4),
+            task('F', 'R2', 0, 4),
+            task('G', 'R2', 3, 4),
+        ]),
+    );
+
+    expect(
+        bands.map((band) => [
+            band.resource,
+            hoursOf(band.start),
+            hoursOf(band.end),
+            [...band.taskIds].sort().join(''),
+        ]),
+    ).toEqual([
+        ['R1', 2, 6, 'ABC'],
+        ['R1', 22, 24, 'DE'],
+        ['R2', 3, 4, 'FG'],
+    ]);
+});
@@ -0,0 +1,128 @@
+import { levelResources } from '../src/utils/resourceLeveling';
+import date_utils from '../src/utils/date_utils';
+import { createWorkingCalendar } from '../src/utils/workingCalendar';
+
+const BASE = new Date(2024, 2, 4).getTime();
+const HOUR = 60 * 60 * 1000;
+
+const at = (hours) => new Date(BASE + hours * HOUR);
+const hoursOf = (date) => (date.getTime() - BASE) / HOUR;
+const task = (id, resource, start, duration, extra = {}) => ({
+    id,
+    resource,
+    _start: at(start),
+    _end: at(start + duration),
+    ...extra,
+});
+const spans = (moves) =>
+    Object.fromEntries(
+        moves.map((move) => [
+            move.taskId,
+            [hoursOf(move.start), hoursOf(move.end)],
+        ]),
+    );
+
+// Holds the project finish at hour 20, leaving the others float
+const LONG = task('L', 'R2', 0, 20);
+
+test('Leveling: delays the later task within its float', () => {
+    const { moves, unresolved } = levelResources(
+        [task('A', 'R1', 0, 4), task('B', 'R1', 2, 4), LONG],
+        [],
+    );
+
+    expect(spans(moves)).toEqual({ B: [4, 8] });
+    expect(moves[0].delay).toBe(2);
+    expect(unresolved).toEqual([]);
+});
+
+test('Leveling: keeps tasks without float and reports the overlap', () => {
+    const { moves, unresolved } = levelResources(
+        [task('A', 'R1', 0, 4), task('B', 'R1', 2, 4)],
+        [],
+    );
+
+    expect(moves).toEqual([]);
+    expect(unresolved.map((conflict) => conflict.taskIds)).toEqual([
+        ['A', 'B'],
+    ]);
+});
+
+test('Leveling: successors of a delayed task follow it', () => {
+    const { moves } = levelResources(
+        [
+            task('A', 'R1', 0, 4),
+            task('B', 'R1', 2, 4),
+            task('C', 'R3', 6, 2),
+            LONG,
+        ],
+        [{ from: 'B', to: 'C', type: 'FS', lag: 0 }],
+    );
+
+    expect(spans(moves)).toEqual({ B: [4, 8], C: [8, 10] });
+});
+
+test('Leveling: locked tasks keep their slot', () => {
+    const { moves } = levelResources(
+        [
+            task('A', 'R1', 2, 4, { constraints: { locked: true } }),
+            task('B', 'R1', 0, 4),
+            LONG,
+        ],
+        [],
+    );
+
+    // B starts first but has to make way for the locked task
+    expect(spans(moves)).toEqual({ B: [6, 10] });
+});
+
+test('Leveling: higher priority keeps its slot even if it starts later', () => {
+    const { moves } = levelResources(
+        [task('A', 'R1', 0, 4), task('B', 'R1', 2, 4, { priority: 5 }), LONG],
+        [],
+    );
+
+    expect(spans(moves)).toEqual({ A: [6, 10] });
+});
+
+test('Leveling: never delays past maxEnd', () => {
+    const maxEnd = date_utils.format(at(7), 'YYYY-MM-DD HH:mm');
+    const { moves, unresolved } = levelResources(
+        [
+            task('A', 'R1', 0, 4),
+            task('B', 'R1', 2, 4, { constraints: { maxEnd } }),
+            LONG,
+        ],
+        [],
+    );
+
+    expect(moves).toEqual([]);
+    expect(unresolved).toHaveLength(1);
+});
+
+test('Leveling: cycles skip leveling', () => {
+    const { moves, cycle } = levelResources(
+        [task('A', 'R1', 0, 4), task('B', 'R1', 2, 4)],
+        [
+            { from: 'A', to: 'B', type: 'FS', lag: 0 },
+            { from: 'B', to: 'A', type: 'FS', lag: 0 },
+        ],
+    );
+
+    expect(moves).toEqual([]);
+    expect(cycle).not.toBeNull();
+});
+
+test('Leveling: skips unparseable constraint dates', () => {
+    const { moves } = levelResources(
+        [
+            task('A', 'R1', 0, 4),
+            task('B', 'R1', 2, 4, { constraints: { minStart: 'soon' } }),
+            LONG,
+        ],
+        [],
+        { calendar: createWorkingCalendar() },
+    );
+
+    expect(spans(moves)).toEqual({ B: [4, 8] });
+});
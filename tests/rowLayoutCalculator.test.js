@@ -0,0 +1,85 @@
+import {
+    assignLanes,
+    calculateSimpleRowLayouts,
+} from '../src/utils/rowLayoutCalculator';
+
+const bar = (id, x, width, extra = {}) => ({
+    id,
+    _bar: { x, y: 0, width, height: 30 },
+    ...extra,
+});
+
+test('Lanes: overlapping tasks get separate lanes', () => {
+    const lanes = assignLanes([bar('A', 0, 100), bar('B', 50, 100)]);
+
+    expect(lanes.get('A')).toBe(0);
+    expect(lanes.get('B')).toBe(1);
+});
+
+test('Lanes: a task starting where another ends reuses its lane', () => {
+    const lanes = assignLanes([
+        bar('A', 0, 100),
+        bar('B', 100, 50),
+        bar('C', 50, 100),
+    ]);
+
+    expect(lanes.get('A')).toBe(0);
+    expect(lanes.get('C')).toBe(1);
+    expect(lanes.get('B')).toBe(0);
+});
+
+test('Lanes: the first free lane is reused', () => {
+    // C fits in lane 0 again once A has ended, while B still runs
+    const lanes = assignLanes([
+        bar('A', 0, 50),
+        bar('B', 10, 200),
+        bar('C', 60, 20),
+    ]);
+
+    expect([lanes.get('A'), lanes.get('B'), lanes.get('C')]).toEqual([0, 1, 0]);
+});
+
+test('Lanes: dates are used without a bar', () => {
+    const lanes = assignLanes([
+        { id: 'A', _start: new Date(2024, 0, 1), _end: new Date(2024, 0, 3) },
+        { id: 'B', _start: new Date(2024, 0, 2), _end: new Date(2024, 0, 4) },
+    ]);
+
+    expect(lanes.get('B')).toBe(1);
+});
+
+test('Lanes: packed rows grow by their lane count', () => {
+    const tasks = {
+        A: bar('A', 0, 100, { resource: 'R1' }),
+        B: bar('B', 50, 100, { resource: 'R1' }),
+        C: bar('C', 0, 100, { resource: 'R2' }),
+    };
+    const layouts = calculateSimpleRowLayouts(
+        [{ id: 'R1' }, { id: 'R2' }],
+        { barHeight: 30, padding: 10, packLanes: true },
+        tasks,
+    );
+
+    expect(layouts.get('R1').height).toBe(80);
+    expect(layouts.get('R2').y).toBe(80);
+    expect(layouts.get('R2').height).toBe(40);
+    expect(layouts.get('R1').taskPositions.get('B').y).toBe(45);
+});
+
+test('Lanes: tasks without a resource pack in the Unassigned row', () => {
+    const tasks = {
+        A: bar('A', 0, 100),
+        B: bar('B', 50, 100),
+        S: bar('S', 60, 10, { parentId: 'A' }),
+    };
+    const layouts = calculateSimpleRowLayouts(
+        [{ id: 'Unassigned' }],
+        { barHeight: 30, padding: 10, packLanes: true },
+        tasks,
+    );
+
+    const row = layouts.get('Unassigned');
+    expect(row.height).toBe(80);
+    // Subtasks aren't drawn in simple mode and take no lane
+    expect([...row.taskPositions.keys()].sort()).toEqual(['A', 'B']);
+});
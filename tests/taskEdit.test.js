@@ -0,0 +1,155 @@
+import {
+    dependencyRelationship,
+    durationError,
+    resolveTaskEdit,
+    validateTaskFields,
+} from '../src/utils/taskEdit';
+import { createWorkingCalendar } from '../src/utils/workingCalendar';
+
+const BASE = new Date(2024, 2, 4).getTime();
+const HOUR = 60 * 60 * 1000;
+
+const at = (hours) => new Date(BASE + hours * HOUR);
+const hoursOf = (date) => (date.getTime() - BASE) / HOUR;
+const task = (id, start, duration, extra = {}) => ({
+    id,
+    _start: at(start),
+    _end: at(start + duration),
+    dependencies: [],
+    constraints: {},
+    ...extra,
+});
+const fs = (id, lag = 0) => ({ id, type: 'FS', lag });
+
+// Chart context for tasks as they are before the edit
+const chart = (tasks, extra = {}) => {
+    const byId = new Map(tasks.map((t) => [t.id, t]));
+    return {
+        getTaskSpan: (id) =>
+            byId.has(id)
+                ? { start: byId.get(id)._start, end: byId.get(id)._end }
+                : null,
+        getTask: (id) => byId.get(id),
+        relationships: tasks.flatMap((t) =>
+            t.dependencies.map((dep) => dependencyRelationship(t.id, dep)),
+        ),
+        ...extra,
+    };
+};
+
+// A [0, 10] → B [10, 15]
+const A = task('A', 0, 10);
+const B = task('B', 10, 5, { dependencies: [fs('A')] });
+
+test('Edit: a dependency closing a cycle is rejected', () => {
+    const check = resolveTaskEdit(
+        { ...A, dependencies: [fs('B')] },
+        chart([A, B]),
+    );
+
+    expect(check.task).toBeNull();
+    expect(check.errors[0].field).toBe('dependencies');
+    expect(check.errors[0].message).toMatch(/cycle/);
+});
+
+test('Edit: self and unknown dependencies are rejected', () => {
+    const check = resolveTaskEdit(
+        { ...A, dependencies: [fs('A'), fs('X')] },
+        chart([A, B]),
+    );
+
+    expect(check.errors.map((error) => error.field)).toEqual([
+        'dependencies.0',
+        'dependencies.1',
+    ]);
+});
+
+test('Edit: a fixed duration rejects other lengths', () => {
+    const fixed = { constraints: { fixedDuration: 8 } };
+
+    const longer = resolveTaskEdit(task('C', 0, 10, fixed), chart([A, B]));
+    expect(longer.errors).toEqual([
+        { field: 'end', message: 'Duration is fixed at 8h' },
+    ]);
+
+    const exact = resolveTaskEdit(task('C', 0, 8, fixed), chart([A, B]));
+    expect(exact.errors).toEqual([]);
+    expect(exact.adjusted).toBe(false);
+});
+
+test('Edit: a fixed duration counts working hours with a calendar', () => {
+    const office = [[9, 17]];
+    const calendar = createWorkingCalendar({
+        workingHours: { 1: office, 2: office, 3: office, 4: office, 5: office },
+    });
+    // Friday 09:00 to Monday 13:00: 8 + 4 working hours
+    const edit = {
+        ...task('C', 0, 0, { constraints: { fixedDuration: 12 } }),
+        _start: new Date(2024, 2, 1, 9),
+        _end: new Date(2024, 2, 4, 13),
+    };
+
+    expect(resolveTaskEdit(edit, chart([A, B], { calendar })).errors).toEqual(
+        [],
+    );
+});
+
+test('Edit: unchanged dates are still checked against new dependencies', () => {
+    const C = task('C', 0, 5);
+    const check = resolveTaskEdit(
+        { ...C, dependencies: [fs('A')] },
+        chart([A, B, C]),
+    );
+
+    expect(check.adjusted).toBe(true);
+    expect(hoursOf(check.start)).toBe(10);
+    expect(hoursOf(check.end)).toBe(15);
+});
+
+test('Edit: a longer task pushes its successors', () => {
+    const check = resolveTaskEdit(task('A', 0, 14), chart([A, B]));
+
+    expect(check.adjusted).toBe(false);
+    const pushed = check.cascadeUpdates.get('B');
+    expect([hoursOf(pushed.start), hoursOf(pushed.end)]).toEqual([14, 19]);
+});
+
+test('Edit: a locked successor holds the end of a longer task', () => {
+    const locked = { ...B, constraints: { locked: true } };
+    const check = resolveTaskEdit(task('A', 0, 14), chart([A, locked]));
+
+    // Clamped like a drag: the task moves earlier to end where B starts
+    expect(check.adjusted).toBe(true);
+    expect(hoursOf(check.end)).toBe(10);
+    expect(check.cascadeUpdates.size).toBe(0);
+});
+
+test('Edit: fields are checked on their own first', () => {
+    const errors = validateTaskFields({
+        id: 'A',
+        name: ' ',
+        start: '2024-03-04 10:00',
+        end: '2024-03-04 09:00',
+        constraints: { fixedDuration: 0 },
+    });
+
+    expect(errors.map((error) => error.field)).toEqual([
+        'name',
+        'end',
+        'constraints.fixedDuration',
+    ]);
+});
+
+test('Edit: duration limits', () => {
+    expect(durationError({ fixedDuration: 8 }, 8)).toBeNull();
+    expect(durationError({ fixedDuration: 8 }, 9)).toBe(
+        'Duration is fixed at 8h',
+    );
+    expect(durationError({ minDuration: 4, maxDuration: 6 }, 3)).toBe(
+        'Shorter than the minimum of 4h',
+    );
+    expect(durationError({ minDuration: 4, maxDuration: 6 }, 7)).toBe(
+        'Longer than the maximum of 6h',
+    );
+    expect(durationError(undefined, 100)).toBeNull();
+});
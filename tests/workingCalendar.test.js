@@ -0,0 +1,135 @@
+import { createWorkingCalendar } from '../src/utils/workingCalendar';
+import { computeCriticalPath } from '../src/utils/criticalPath';
+import { resolveConstraintsInTime } from '../src/utils/constraintEngine';
+
+// 2024-03-01 is a Friday
+const FRIDAY = new Date(2024, 2, 1);
+const OFFICE_HOURS = {
+    1: [[9, 17]],
+    2: [[9, 17]],
+    3: [[9, 17]],
+    4: [[9, 17]],
+    5: [[9, 17]],
+};
+
+test('Calendar: a 2-day task starting Friday ends on Tuesday', () => {
+    const calendar = createWorkingCalendar();
+    const end = calendar.addDuration(FRIDAY, '2d');
+
+    // Friday and Monday; the end is the close of Monday
+    expect(end).toEqual(new Date(2024, 2, 5));
+    expect(end.getDay()).toBe(2);
+});
+
+test('Calendar: Friday noon + 2 working days ends Tuesday noon', () => {
+    const calendar = createWorkingCalendar({ workingHours: OFFICE_HOURS });
+    const end = calendar.addDuration(new Date(2024, 2, 1, 12), '2d');
+
+    expect(calendar.hoursPerDay).toBe(8);
+    expect(end).toEqual(new Date(2024, 2, 5, 12));
+});
+
+test('Calendar: a holiday pushes the end a working day further', () => {
+    const calendar = createWorkingCalendar({
+        workingHours: OFFICE_HOURS,
+        holidays: ['2024-03-04'],
+    });
+    const end = calendar.addDuration(new Date(2024, 2, 1, 12), '2d');
+
+    expect(end).toEqual(new Date(2024, 2, 6, 12));
+    expect(calendar.isWorkingDay(new Date(2024, 2, 4))).toBe(false);
+});
+
+test('Calendar: the weekend has no working hours', () => {
+    const calendar = createWorkingCalendar({ workingHours: OFFICE_HOURS });
+
+    expect(
+        calendar.workingHoursBetween(
+            new Date(2024, 2, 1, 17),
+            new Date(2024, 2, 4, 9),
+        ),
+    ).toBe(0);
+    expect(
+        calendar.workingHoursBetween(
+            new Date(2024, 2, 1, 9),
+            new Date(2024, 2, 5, 9),
+        ),
+    ).toBe(16);
+});
+
+test('Calendar: start and end edges resolve around a gap', () => {
+    const calendar = createWorkingCalendar({ workingHours: OFFICE_HOURS });
+    const friday5pm = calendar.toWorkingHours(new Date(2024, 2, 1, 17));
+
+    // The same axis point is Friday's close or Monday's opening
+    expect(calendar.fromWorkingHours(friday5pm, 'end')).toEqual(
+        new Date(2024, 2, 1, 17),
+    );
+    expect(calendar.fromWorkingHours(friday5pm, 'start')).toEqual(
+        new Date(2024, 2, 4, 9),
+    );
+});
+
+test('Calendar: dependency lags count working hours', () => {
+    const calendar = createWorkingCalendar({ workingHours: OFFICE_HOURS });
+    const { schedules } = computeCriticalPath(
+        [
+            {
+                id: 'A',
+                start: new Date(2024, 2, 1, 9),
+                end: new Date(2024, 2, 1, 17),
+            },
+            {
+                id: 'B',
+                start: new Date(2024, 2, 1, 17),
+                end: new Date(2024, 2, 4, 13),
+            },
+        ],
+        [{ from: 'A', to: 'B', type: 'FS', lag: 8 }],
+        { calendar },
+    );
+
+    // A ends Friday 17:00; 8 working hours later is Monday's close, so B
+    // starts Tuesday morning and keeps its 4 working hours
+    expect(schedules.get('B').earlyStart).toEqual(new Date(2024, 2, 5, 9));
+    expect(schedules.get('B').earlyFinish).toEqual(new Date(2024, 2, 5, 13));
+});
+
+test('Calendar: a task dragged across a weekend keeps its working days', () => {
+    const calendar = createWorkingCalendar();
+    // A runs Thursday and Friday, B (after A) Monday and Tuesday
+    const spans = {
+        A: { start: new Date(2024, 1, 29), end: new Date(2024, 2, 2) },
+        B: { start: new Date(2024, 2, 4), end: new Date(2024, 2, 6) },
+    };
+    const context = {
+        getTaskSpan: (id) => spans[id],
+        getTask: (id) => ({ id }),
+        relationships: [{ from: 'A', to: 'B', type: 'FS', lag: 0 }],
+        calendar,
+    };
+
+    // One day later, at the same wall-clock length (Friday to Sunday)
+    const result = resolveConstraintsInTime(
+        'A',
+        new Date(2024, 2, 1),
+        new Date(2024, 2, 3),
+        context,
+    );
+
+    // Friday and Monday; B follows on Tuesday and Wednesday
+    expect(result.start).toEqual(new Date(2024, 2, 1));
+    expect(result.end).toEqual(new Date(2024, 2, 5));
+    expect(result.cascadeUpdates.get('B')).toEqual({
+        start: new Date(2024, 2, 5),
+        end: new Date(2024, 2, 7),
+    });
+});
+
+test('Calendar: invalid dates stay invalid', () => {
+    const calendar = createWorkingCalendar();
+    const hours = calendar.toWorkingHours(new Date(NaN));
+
+    expect(calendar.fromWorkingHours(hours).getTime()).toBeNaN();
+    expect(calendar.fromWorkingHours(Infinity, 'end').getTime()).toBeNaN();
+});
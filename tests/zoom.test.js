@@ -0,0 +1,46 @@
+import { zoomLevel } from '../src/utils/zoom';
+
+const HOUR = { name: 'Hour', step: '1h', column_width: 40 };
+const DAY = { name: 'Day', step: '1d', column_width: 60 };
+const WEEK = { name: 'Week', step: '7d', column_width: 140 };
+// Any order: the modes are sorted by column length
+const MODES = [WEEK, HOUR, DAY];
+
+const zoom = (mode, columnWidth, factor) => {
+    const level = zoomLevel(
+        MODES,
+        { mode, columnWidth },
+        factor,
+        (m) => m.column_width,
+    );
+    return [level.mode.name, level.columnWidth];
+};
+
+test('Zoom: the column width scales inside a mode', () => {
+    expect(zoom(DAY, 60, 1.5)).toEqual(['Day', 90]);
+    // Both ends of the range still belong to the mode
+    expect(zoom(DAY, 60, 2)).toEqual(['Day', 120]);
+    expect(zoom(DAY, 60, 0.5)).toEqual(['Day', 30]);
+});
+
+test('Zoom: past MAX_SCALE the finer mode takes over, clamped to its range', () => {
+    // 7.5 px per hour is below half of Hour's 40px columns
+    expect(zoom(DAY, 60, 3)).toEqual(['Hour', 20]);
+    // 40 px per hour fits Hour as is
+    expect(zoom(DAY, 120, 8)).toEqual(['Hour', 40]);
+});
+
+test('Zoom: past MIN_SCALE the coarser mode takes over at the same scale', () => {
+    // 0.625 px per hour is 105px per week
+    expect(zoom(DAY, 60, 0.25)).toEqual(['Week', 105]);
+});
+
+test('Zoom: the coarsest and finest modes clamp', () => {
+    expect(zoom(WEEK, 140, 0.1)).toEqual(['Week', 70]);
+    expect(zoom(HOUR, 40, 10)).toEqual(['Hour', 80]);
+});
+
+test('Zoom: invalid factors keep the current level', () => {
+    expect(zoom(DAY, 60, 0)).toEqual(['Day', 60]);
+    expect(zoom(DAY, 60, NaN)).toEqual(['Day', 60]);
+});